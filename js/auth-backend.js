@@ -0,0 +1,403 @@
+// auth-backend.js
+// Модуль серверной части учётных записей: локальная заглушка для разработки и REST API
+
+// Ошибка авторизации
+class AuthError extends Error {
+    /**
+     * @param {string} message - Сообщение об ошибке
+     * @param {Object} options - Дополнительные сведения
+     * @param {string} [options.field] - Имя поля формы, к которому относится ошибка
+     * @param {number} [options.status] - HTTP-статус ответа
+     * @param {boolean} [options.isNetworkError] - Запрос не дошёл до сервера (нет сети или таймаут)
+     */
+    constructor(message, { field = null, status = null, isNetworkError = false } = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.field = field;
+        this.status = status;
+        this.isNetworkError = isNetworkError;
+    }
+}
+
+/**
+ * Вычисляет SHA-256 хэш пароля с солью
+ * @param {string} password - Пароль
+ * @param {string} salt - Соль
+ * @returns {Promise<string>} - Хэш в шестнадцатеричном виде
+ */
+async function hashPassword(password, salt) {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new AuthError('Браузер не поддерживает безопасное хранение паролей');
+    }
+
+    const data = new TextEncoder().encode(`${salt}:${password}`);
+    const hash = await window.crypto.subtle.digest('SHA-256', data);
+
+    return Array.from(new Uint8Array(hash))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Генерирует случайную строку для соли и токенов
+ * @returns {string} - Случайная строка
+ */
+function generateRandomId() {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Проверяет данные локальной базы пользователей
+ * @param {Object} data - Данные из хранилища
+ * @returns {boolean} - Результат проверки
+ */
+function validateUsersData(data) {
+    return Boolean(data) &&
+        Array.isArray(data.users) &&
+        data.sessions !== null && typeof data.sessions === 'object';
+}
+
+// Учётные записи в localStorage. Только для разработки: данные доступны любому скрипту на странице
+class LocalAuthBackend {
+    /**
+     * @param {Object} options - Настройки
+     * @param {VersionedStore} [options.store] - Хранилище пользователей
+     * @param {number} [options.delay] - Имитация задержки сети в мс
+     */
+    constructor({ store, delay = 300 } = {}) {
+        this.store = store || new VersionedStore('techstore_users', {
+            version: 1,
+            validate: validateUsersData,
+            defaultValue: () => ({ users: [], sessions: {} })
+        });
+        this.delay = delay;
+    }
+
+    /**
+     * Убирает служебные поля из записи пользователя
+     * @param {Object} record - Запись пользователя
+     * @returns {Object} - Публичные данные пользователя
+     */
+    toPublicUser({ id, name, email, phone, createdAt }) {
+        return { id, name, email, phone, createdAt };
+    }
+
+    /**
+     * Находит пользователя по токену сессии
+     * @param {Object} data - Данные хранилища
+     * @param {string} token - Токен сессии
+     * @returns {Object} - Запись пользователя
+     */
+    findUserByToken(data, token) {
+        const userId = data.sessions[token];
+        const user = userId && data.users.find(user => user.id === userId);
+
+        if (!user) {
+            throw new AuthError('Сессия истекла, войдите снова', { status: 401 });
+        }
+
+        return user;
+    }
+
+    /**
+     * Создаёт сессию пользователя
+     * @param {Object} data - Данные хранилища
+     * @param {Object} user - Запись пользователя
+     * @returns {Object} - { user, token }
+     */
+    createSession(data, user) {
+        const token = generateRandomId();
+        data.sessions[token] = user.id;
+        this.store.save(data);
+        return { user: this.toPublicUser(user), token };
+    }
+
+    /**
+     * Проверяет, зарегистрирован ли email
+     * @param {string} email - Email
+     * @returns {Promise<boolean>} - Email занят
+     */
+    async isEmailRegistered(email) {
+        await delay(this.delay);
+
+        const normalizedEmail = email.trim().toLowerCase();
+        return this.store.load().users.some(user => user.email === normalizedEmail);
+    }
+
+    /**
+     * Регистрирует пользователя
+     * @param {Object} profile - { name, email, phone, password }
+     * @returns {Promise<Object>} - { user, token }
+     */
+    async register({ name, email, phone, password }) {
+        await delay(this.delay);
+
+        const data = this.store.load();
+        const normalizedEmail = email.trim().toLowerCase();
+
+        if (data.users.some(user => user.email === normalizedEmail)) {
+            throw new AuthError('Пользователь с таким email уже зарегистрирован', { field: 'email', status: 409 });
+        }
+
+        const salt = generateRandomId();
+        const user = {
+            id: generateRandomId(),
+            name: name.trim(),
+            email: normalizedEmail,
+            phone: phone.trim(),
+            salt,
+            passwordHash: await hashPassword(password, salt),
+            createdAt: new Date().toISOString(),
+            cart: { items: [], promoCode: null }
+        };
+
+        data.users.push(user);
+        return this.createSession(data, user);
+    }
+
+    /**
+     * Выполняет вход
+     * @param {Object} credentials - { email, password }
+     * @returns {Promise<Object>} - { user, token }
+     */
+    async login({ email, password }) {
+        await delay(this.delay);
+
+        const data = this.store.load();
+        const user = data.users.find(user => user.email === email.trim().toLowerCase());
+
+        if (!user || user.passwordHash !== await hashPassword(password, user.salt)) {
+            throw new AuthError('Неверный email или пароль', { field: 'password', status: 401 });
+        }
+
+        return this.createSession(data, user);
+    }
+
+    /**
+     * Завершает сессию
+     * @param {string} token - Токен сессии
+     * @returns {Promise<void>}
+     */
+    async logout(token) {
+        const data = this.store.load();
+        delete data.sessions[token];
+        this.store.save(data);
+    }
+
+    /**
+     * Получает пользователя по токену сессии
+     * @param {string} token - Токен сессии
+     * @returns {Promise<Object>} - Данные пользователя
+     */
+    async getCurrentUser(token) {
+        return this.toPublicUser(this.findUserByToken(this.store.load(), token));
+    }
+
+    /**
+     * Получает сохранённую корзину пользователя
+     * @param {string} token - Токен сессии
+     * @returns {Promise<Object>} - { items, promoCode }
+     */
+    async getCart(token) {
+        const user = this.findUserByToken(this.store.load(), token);
+        return user.cart || { items: [], promoCode: null };
+    }
+
+    /**
+     * Сохраняет корзину пользователя
+     * @param {string} token - Токен сессии
+     * @param {Object} cartData - { items, promoCode }
+     * @returns {Promise<void>}
+     */
+    async saveCart(token, cartData) {
+        const data = this.store.load();
+        const user = this.findUserByToken(data, token);
+        user.cart = cartData;
+        this.store.save(data);
+    }
+}
+
+class RestAuthBackend {
+    /**
+     * @param {Object} options - Настройки
+     * @param {string} options.baseUrl - Базовый адрес API
+     * @param {number} [options.timeout] - Таймаут запроса в мс
+     */
+    constructor({ baseUrl, timeout = DEFAULT_CATALOG_CONFIG.timeout }) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.timeout = timeout;
+    }
+
+    /**
+     * Выполняет запрос к API и разбирает JSON
+     * @param {string} path - Путь относительно baseUrl
+     * @param {Object} options - Параметры запроса
+     * @param {string} [options.method] - HTTP-метод
+     * @param {Object} [options.body] - Тело запроса
+     * @param {string} [options.token] - Токен сессии
+     * @param {AbortSignal} [options.signal] - Сигнал отмены запроса
+     * @returns {Promise<*>} - Промис с данными ответа (null для пустого ответа)
+     */
+    async request(path, { method = 'GET', body, token, signal } = {}) {
+        // Запрос, отменённый до вызова (устаревшая проверка при вводе), не отправляется
+        if (signal && signal.aborted) {
+            throw new DOMException('Запрос отменён', 'AbortError');
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const abort = () => controller.abort();
+
+        if (signal) {
+            signal.addEventListener('abort', abort);
+        }
+
+        const headers = { 'Accept': 'application/json' };
+
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+
+            const text = await response.text();
+            const data = text ? JSON.parse(text) : null;
+
+            if (!response.ok) {
+                // Сервер может указать текст ошибки и поле формы: { message, field }
+                throw new AuthError((data && data.message) || `Сервер вернул ошибку ${response.status}`, {
+                    field: data && data.field,
+                    status: response.status
+                });
+            }
+
+            return data;
+        } catch (error) {
+            if (error instanceof AuthError) {
+                throw error;
+            }
+
+            // Запрос отменён вызывающим кодом — это не ошибка сервера
+            if (signal && signal.aborted) {
+                throw error;
+            }
+
+            if (error.name === 'AbortError') {
+                throw new AuthError('Превышено время ожидания ответа сервера', { isNetworkError: true });
+            }
+
+            if (error instanceof SyntaxError) {
+                throw new AuthError('Сервер вернул некорректные данные');
+            }
+
+            throw new AuthError('Нет соединения с сервером', { isNetworkError: true });
+        } finally {
+            clearTimeout(timeoutId);
+
+            // Сигнал вызывающего кода переживает запрос: обработчик не должен копиться
+            if (signal) {
+                signal.removeEventListener('abort', abort);
+            }
+        }
+    }
+
+    /**
+     * Проверяет, зарегистрирован ли email
+     * @param {string} email - Email
+     * @param {Object} [options] - Параметры
+     * @param {AbortSignal} [options.signal] - Сигнал отмены запроса
+     * @returns {Promise<boolean>} - Email занят
+     */
+    async isEmailRegistered(email, { signal } = {}) {
+        const data = await this.request(`/auth/email-check?email=${encodeURIComponent(email)}`, { signal });
+        return Boolean(data && data.registered);
+    }
+
+    /**
+     * Регистрирует пользователя
+     * @param {Object} profile - { name, email, phone, password }
+     * @returns {Promise<Object>} - { user, token }
+     */
+    async register(profile) {
+        return this.request('/auth/register', { method: 'POST', body: profile });
+    }
+
+    /**
+     * Выполняет вход
+     * @param {Object} credentials - { email, password }
+     * @returns {Promise<Object>} - { user, token }
+     */
+    async login(credentials) {
+        return this.request('/auth/login', { method: 'POST', body: credentials });
+    }
+
+    /**
+     * Завершает сессию
+     * @param {string} token - Токен сессии
+     * @returns {Promise<void>}
+     */
+    async logout(token) {
+        await this.request('/auth/logout', { method: 'POST', token });
+    }
+
+    /**
+     * Получает пользователя по токену сессии
+     * @param {string} token - Токен сессии
+     * @returns {Promise<Object>} - Данные пользователя
+     */
+    async getCurrentUser(token) {
+        return this.request('/auth/me', { token });
+    }
+
+    /**
+     * Получает сохранённую корзину пользователя
+     * @param {string} token - Токен сессии
+     * @returns {Promise<Object>} - { items, promoCode }
+     */
+    async getCart(token) {
+        return this.request('/cart', { token });
+    }
+
+    /**
+     * Сохраняет корзину пользователя
+     * @param {string} token - Токен сессии
+     * @param {Object} cartData - { items, promoCode }
+     * @returns {Promise<void>}
+     */
+    async saveCart(token, cartData) {
+        await this.request('/cart', { method: 'PUT', body: cartData, token });
+    }
+}
+
+/**
+ * Собирает настройки API учётных записей и заказов. В отличие от getCatalogConfig, параметры адреса
+ * не учитываются: пароли, токены и заказы уходят только на сервер из настроек сайта
+ * @returns {Object} - Настройки
+ */
+function getAccountApiConfig() {
+    return { ...DEFAULT_CATALOG_CONFIG, ...(window.TECHSTORE_CONFIG || {}) };
+}
+
+/**
+ * Создаёт серверную часть учётных записей по настройкам
+ * @param {Object} config - Настройки (см. getAccountApiConfig)
+ * @returns {LocalAuthBackend|RestAuthBackend} - Серверная часть
+ */
+function createAuthBackend(config) {
+    if (config.source === 'rest') {
+        return new RestAuthBackend(config);
+    }
+
+    return new LocalAuthBackend({ delay: config.mockDelay });
+}
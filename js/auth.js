@@ -0,0 +1,448 @@
+// auth.js
+// Модуль учётных записей: сессия пользователя, вход, регистрация и личный кабинет
+
+/**
+ * Проверяет сохранённую сессию
+ * @param {Object} data - Данные из хранилища
+ * @returns {boolean} - Результат проверки
+ */
+function validateSessionData(data) {
+    return Boolean(data) &&
+        (data.token === null || typeof data.token === 'string') &&
+        (data.user === null || (typeof data.user === 'object' && typeof data.user.name === 'string'));
+}
+
+class SessionManager {
+    /**
+     * @param {LocalAuthBackend|RestAuthBackend} backend - Серверная часть учётных записей
+     * @param {VersionedStore} store - Хранилище сессии
+     * @param {ProductCart} cart - Корзина, которая сохраняется в учётной записи
+     */
+    constructor(backend, store, cart) {
+        this.backend = backend;
+        this.store = store;
+        this.cart = cart;
+        this.token = null;
+        this.user = null;
+        this.status = 'idle';
+        this.listeners = new Set();
+
+        // Корзина вошедшего пользователя сохраняется на сервере при каждом изменении.
+        // Изменение из другой вкладки сохраняет та вкладка, где оно сделано: иначе каждая
+        // открытая вкладка отправила бы тот же запрос
+        this.cart.subscribe(event => {
+            if (!event.external) {
+                this.saveCart();
+            }
+        });
+
+        // Вход и выход в другой вкладке
+        this.store.subscribe(data => {
+            this.token = data.token;
+            this.user = data.user;
+            this.emit();
+        });
+    }
+
+    /**
+     * Подписывается на изменения сессии
+     * @param {Function} listener - Обработчик, получает SessionManager
+     * @returns {Function} - Функция отписки
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Оповещает подписчиков об изменении сессии
+    emit() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Проверяет, выполнен ли вход
+     * @returns {boolean} - Результат проверки
+     */
+    isAuthenticated() {
+        return Boolean(this.token && this.user);
+    }
+
+    /**
+     * Восстанавливает сессию из хранилища и проверяет её на сервере
+     * @returns {Promise<void>}
+     */
+    async restore() {
+        this.status = 'loading';
+        const { token, user } = this.store.load();
+        this.token = token;
+        this.user = user;
+
+        if (token) {
+            try {
+                this.user = await this.backend.getCurrentUser(token);
+                this.save();
+            } catch (error) {
+                // Без связи с сервером оставляем сохранённые данные, недействительную сессию сбрасываем
+                if (error.status === 401) {
+                    this.token = null;
+                    this.user = null;
+                    this.save();
+                } else {
+                    console.error('Не удалось проверить сессию:', error);
+                }
+            }
+        }
+
+        this.status = 'ready';
+        this.emit();
+    }
+
+    /**
+     * Регистрирует пользователя и выполняет вход
+     * @param {Object} profile - { name, email, phone, password }
+     * @returns {Promise<Array<string>>} - Изменения корзины после объединения
+     */
+    async register(profile) {
+        return this.start(await this.backend.register(profile));
+    }
+
+    /**
+     * Выполняет вход
+     * @param {Object} credentials - { email, password }
+     * @returns {Promise<Array<string>>} - Изменения корзины после объединения
+     */
+    async login(credentials) {
+        return this.start(await this.backend.login(credentials));
+    }
+
+    /**
+     * Начинает сессию и объединяет гостевую корзину с сохранённой корзиной пользователя
+     * @param {Object} session - { user, token }
+     * @returns {Promise<Array<string>>} - Изменения корзины после объединения
+     */
+    async start({ user, token }) {
+        this.token = token;
+        this.user = user;
+        this.save();
+
+        let changes = [];
+        try {
+            // Объединённая корзина сохранится на сервере через подписку на корзину
+            changes = this.cart.merge(await this.backend.getCart(token));
+        } catch (error) {
+            console.error('Не удалось загрузить корзину пользователя:', error);
+        }
+
+        this.emit();
+        return changes;
+    }
+
+    /**
+     * Завершает сессию. Корзина остаётся в учётной записи и очищается на устройстве
+     * @returns {Promise<void>}
+     */
+    async logout() {
+        const token = this.token;
+
+        // Сначала сбрасываем сессию, чтобы очистка корзины не сохранилась на сервер
+        this.token = null;
+        this.user = null;
+        this.save();
+        this.cart.clear();
+        this.emit();
+
+        try {
+            await this.backend.logout(token);
+        } catch (error) {
+            console.error('Ошибка завершения сессии:', error);
+        }
+    }
+
+    // Сохраняет сессию в хранилище
+    save() {
+        this.store.save({ token: this.token, user: this.user });
+    }
+
+    // Сохраняет корзину в учётной записи пользователя
+    saveCart() {
+        if (!this.isAuthenticated()) return;
+
+        this.backend.saveCart(this.token, this.cart.serialize()).catch(error => {
+            console.error('Не удалось сохранить корзину пользователя:', error);
+        });
+    }
+}
+
+// Инициализация сессии
+const accountApiConfig = getAccountApiConfig();
+
+const session = new SessionManager(
+    createAuthBackend(accountApiConfig),
+    new VersionedStore('techstore_session', {
+        version: 1,
+        validate: validateSessionData,
+        defaultValue: () => ({ token: null, user: null })
+    }),
+    cart
+);
+
+const authValidator = new FormValidator();
+
+// Правила для формы входа
+const loginRules = {
+    email: {
+        required: true,
+        pattern: 'email'
+    },
+    password: {
+        required: true
+    }
+};
+
+// Правила для формы регистрации
+const registrationRules = {
+    name: {
+        required: true,
+        minLength: 2,
+        maxLength: 50,
+        pattern: 'name'
+    },
+    email: {
+        required: true,
+        pattern: 'email',
+        async: {
+            validate: async (value, { signal }) => !(await session.backend.isEmailRegistered(value, { signal })),
+            message: 'emailTaken'
+        }
+    },
+    phone: {
+        required: true
+    },
+    password: {
+        required: true,
+        pattern: 'password'
+    },
+    'password-confirm': {
+        required: true,
+        match: 'password',
+        messages: { match: 'passwordMismatch' }
+    }
+};
+
+// Модальные окна входа и личного кабинета (создаются в initAuth)
+let authDialog = null;
+let accountDialog = null;
+
+/**
+ * Показывает форму входа или регистрации (обработчик маршрутов #/login и #/register)
+ * @param {string} mode - 'login' или 'register'
+ * @returns {Function|undefined} - Функция закрытия окна при уходе с маршрута
+ */
+function showAuth(mode) {
+    const authModal = document.getElementById('auth-modal');
+    if (!authModal || !authDialog) return;
+
+    if (session.isAuthenticated()) {
+        router.navigate('/account', { replace: true });
+        return;
+    }
+
+    document.getElementById('auth-title').textContent = mode === 'login' ? 'Вход' : 'Регистрация';
+    document.getElementById('login-form').hidden = mode !== 'login';
+    document.getElementById('registration-form').hidden = mode !== 'register';
+    authModal.querySelectorAll('.auth__tab').forEach(tab => {
+        const isActive = tab.getAttribute('data-mode') === mode;
+        tab.classList.toggle('active', isActive);
+        tab.setAttribute('aria-current', isActive ? 'page' : 'false');
+    });
+
+    authDialog.open();
+
+    return hideAuth;
+}
+
+function hideAuth() {
+    if (authDialog) {
+        authDialog.close();
+    }
+}
+
+/**
+ * Показывает личный кабинет (обработчик маршрута #/account)
+ * @returns {Function|undefined} - Функция закрытия окна при уходе с маршрута
+ */
+function showAccount() {
+    if (!accountDialog) return;
+
+    // Сессия ещё проверяется — маршрут будет обработан повторно после проверки
+    if (session.status !== 'ready') return;
+
+    if (!session.isAuthenticated()) {
+        router.navigate('/login', { replace: true });
+        return;
+    }
+
+    renderAccount(session.user);
+
+    accountDialog.open();
+
+    return hideAccount;
+}
+
+function hideAccount() {
+    if (accountDialog) {
+        accountDialog.close();
+    }
+}
+
+/**
+ * Рендерит данные профиля в личном кабинете
+ * @param {Object} user - Пользователь
+ */
+function renderAccount(user) {
+    const profile = document.getElementById('account-profile');
+    if (!profile) return;
+
+    const registeredAt = user.createdAt
+        ? new Date(user.createdAt).toLocaleDateString('ru-RU', { day: 'numeric', month: 'long', year: 'numeric' })
+        : '—';
+
+    renderTemplate(profile, html`
+        <dt>Имя</dt>
+        <dd>${user.name}</dd>
+        <dt>Email</dt>
+        <dd>${user.email}</dd>
+        <dt>Телефон</dt>
+        <dd>${user.phone ? formatMaskedValue('phone', user.phone) : '—'}</dd>
+        <dt>Дата регистрации</dt>
+        <dd>${registeredAt}</dd>
+    `);
+}
+
+/**
+ * Обновляет кнопку учётной записи в шапке
+ * @param {SessionManager} session - Сессия
+ */
+function renderUserMenu(session) {
+    const accountToggle = document.getElementById('account-toggle');
+    const accountToggleText = document.getElementById('account-toggle-text');
+    if (!accountToggle || !accountToggleText) return;
+
+    if (session.isAuthenticated()) {
+        accountToggleText.textContent = session.user.name;
+        accountToggle.setAttribute('aria-label', `Личный кабинет: ${session.user.name}`);
+    } else {
+        accountToggleText.textContent = 'Войти';
+        accountToggle.setAttribute('aria-label', 'Войти в личный кабинет');
+    }
+}
+
+/**
+ * Отправляет форму входа или регистрации и показывает ошибки сервера у полей формы
+ * @param {HTMLFormElement} form - Форма
+ * @param {Function} action - Действие, возвращающее промис с изменениями корзины
+ * @returns {Promise<void>}
+ */
+async function submitAuthForm(form, action) {
+    const submitButton = form.querySelector('[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        const cartChanges = await action();
+
+        form.reset();
+        router.navigate('/account', { replace: true });
+        showSuccessMessage(`Добро пожаловать, ${session.user.name}!`);
+
+        if (cartChanges.length) {
+            showInfoMessage(`Корзина объединена с сохранённой:\n${cartChanges.join('\n')}`);
+        }
+    } catch (error) {
+        if (!(error instanceof AuthError)) {
+            console.error('Ошибка авторизации:', error);
+            showErrorMessage('Не удалось выполнить запрос. Попробуйте позже.');
+            return;
+        }
+
+        const field = error.field && form.elements[error.field];
+
+        if (field) {
+            authValidator.showFieldError(field, error.message);
+            field.focus();
+        } else {
+            showErrorMessage(error.message);
+        }
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+// Инициализация учётных записей
+function initAuth() {
+    const accountToggle = document.getElementById('account-toggle');
+    if (accountToggle) {
+        accountToggle.addEventListener('click', () => {
+            router.navigate(session.isAuthenticated() ? '/account' : '/login');
+        });
+    }
+
+    const authModal = document.getElementById('auth-modal');
+    const accountModal = document.getElementById('account-modal');
+    const dialogOptions = { onClose: () => router.back('/'), returnFocus: '#account-toggle' };
+
+    if (authModal) {
+        authDialog = new ModalDialog(authModal, dialogOptions);
+    }
+
+    if (accountModal) {
+        accountDialog = new ModalDialog(accountModal, dialogOptions);
+    }
+
+    // Переключение между входом и регистрацией не добавляет записей в историю
+    document.querySelectorAll('.auth__tab').forEach(tab => {
+        tab.addEventListener('click', (e) => {
+            e.preventDefault();
+            router.navigate(`/${tab.getAttribute('data-mode') === 'login' ? 'login' : 'register'}`, { replace: true });
+            // Смена маршрута открывает окно заново — фокус остаётся на вкладке
+            tab.focus();
+        });
+    });
+
+    authValidator.initFormValidation('#login-form', loginRules, form => {
+        submitAuthForm(form, () => session.login({
+            email: form.elements.email.value,
+            password: form.elements.password.value
+        }));
+    });
+
+    authValidator.initFormValidation('#registration-form', registrationRules, form => {
+        submitAuthForm(form, () => session.register({
+            name: form.elements.name.value,
+            email: form.elements.email.value,
+            phone: getFieldValue(form.elements.phone),
+            password: form.elements.password.value
+        }));
+    });
+
+    const logoutButton = document.getElementById('account-logout');
+    if (logoutButton) {
+        logoutButton.addEventListener('click', async () => {
+            await session.logout();
+            router.navigate('/', { replace: true });
+            showInfoMessage('Вы вышли из учётной записи');
+        });
+    }
+
+    session.subscribe(renderUserMenu);
+    renderUserMenu(session);
+
+    // Вход или выход в другой вкладке при открытом личном кабинете
+    session.subscribe(() => {
+        if (router.current && router.current.path === '/account') {
+            router.resolve({ force: true });
+        }
+    });
+
+    // Личный кабинет ждёт проверки сессии
+    session.restore().then(() => router.resolve({ force: true }));
+}
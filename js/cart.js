@@ -1,76 +1,302 @@
 // cart.js
 // Модуль корзины покупок
+const CART_STORAGE_VERSION = 2;
+
+// Миграции формата корзины: ключ — исходная версия
+const CART_MIGRATIONS = {
+    // Версия 0: массив полных копий товаров (или { id, quantity }) без конверта,
+    // промокод хранился под отдельным ключом. Название и цену оставляем
+    // до сверки с каталогом, чтобы сообщить пользователю об изменениях
+    0: (items, storage) => {
+        const promoCode = storage.getItem('techstore_promo_code');
+        storage.removeItem('techstore_promo_code');
+
+        return {
+            items: (Array.isArray(items) ? items : [])
+                .filter(item => item && typeof item === 'object')
+                .map(({ id, quantity, name, price }) => ({ id, quantity, name, price })),
+            promoCode: promoCode || null
+        };
+    },
+    // Версия 1: позиции без артикула. Вариант по умолчанию подставляется при сверке с каталогом
+    1: (data) => ({
+        ...data,
+        items: data.items.map(item => ({ ...item, sku: null }))
+    })
+};
+
+// Типы событий изменения корзины
+const CART_EVENTS = {
+    ITEM_ADDED: 'item-added',
+    ITEM_REMOVED: 'item-removed',
+    QUANTITY_CHANGED: 'quantity-changed',
+    CLEARED: 'cleared',
+    PROMO_CHANGED: 'promo-changed',
+    // Корзина целиком обновлена: сверка с каталогом или изменение в другой вкладке
+    // (у события из другой вкладки external: true)
+    SYNCED: 'synced',
+    // Восстановлено предыдущее состояние (отмена удаления или очистки)
+    RESTORED: 'restored'
+};
+
+/**
+ * Проверяет данные корзины текущей версии
+ * @param {Object} data - Данные из хранилища
+ * @returns {boolean} - Результат проверки
+ */
+function validateCartData(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.items)) {
+        return false;
+    }
+
+    if (data.promoCode !== null && typeof data.promoCode !== 'string') {
+        return false;
+    }
+
+    return data.items.every(item =>
+        item &&
+        Number.isInteger(item.id) && item.id > 0 &&
+        (item.sku === null || typeof item.sku === 'string') &&
+        Number.isInteger(item.quantity) && item.quantity > 0 &&
+        (item.name === undefined || typeof item.name === 'string') &&
+        (item.price === undefined || (typeof item.price === 'number' && item.price > 0))
+    );
+}
+
 class ProductCart {
-    constructor() {
+    /**
+     * @param {PromotionEngine} promotionEngine - Движок скидок и промокодов
+     * @param {VersionedStore} store - Хранилище корзины
+     */
+    constructor(promotionEngine, store) {
         this.items = [];
+        this.promoCode = null;
+        this.promotionEngine = promotionEngine;
+        this.store = store;
+        // В хранилище только ID, артикул и количество: данные товаров подставляются после загрузки каталога
+        this.isSynced = false;
+        this.catalogProducts = [];
+        this.listeners = new Set();
         this.loadFromStorage();
+        
+        // Синхронизация с корзиной, изменённой в другой вкладке
+        this.store.subscribe(data => this.applyExternalChange(data));
     }
     
     /**
-     * Добавляет товар в корзину
+     * Подписывается на изменения корзины
+     * @param {Function} listener - Обработчик (event, cart), event — { type, ...данные события }
+     * @returns {Function} - Функция отписки
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.unsubscribe(listener);
+    }
+    
+    /**
+     * Отписывает обработчик от изменений корзины
+     * @param {Function} listener - Обработчик
+     */
+    unsubscribe(listener) {
+        this.listeners.delete(listener);
+    }
+    
+    /**
+     * Сохраняет корзину и оповещает подписчиков
+     * @param {string} type - Тип события из CART_EVENTS
+     * @param {Object} detail - Данные события
+     */
+    emit(type, detail = {}) {
+        // Изменение из другой вкладки уже сохранено ею: повторная запись вызвала бы событие storage
+        // в той вкладке, и вкладки пересохраняли бы корзину друг за другом
+        if (!detail.external) {
+            this.saveToStorage();
+        }
+        
+        const event = { type, ...detail };
+        this.listeners.forEach(listener => {
+            // Ошибка одного подписчика не должна мешать остальным
+            try {
+                listener(event, this);
+            } catch (error) {
+                console.error('Ошибка обработчика корзины:', error);
+            }
+        });
+    }
+    
+    /**
+     * Создаёт позицию корзины для варианта товара. Цена, остаток и изображение берутся из варианта
      * @param {Object} product - Объект товара
-     * @returns {boolean} - Результат операции
+     * @param {Object} variant - Вариант товара
+     * @param {number} quantity - Количество
+     * @returns {Object} - Позиция корзины
      */
-    addProduct(product) {
-        if (!this.validateProduct(product)) {
-            return false;
+    createItem(product, variant, quantity) {
+        const { variants, images, ...productData } = product;
+        
+        return {
+            ...productData,
+            sku: variant.sku,
+            options: variant.options,
+            variantTitle: formatVariantOptions(variant.options),
+            price: variant.price,
+            stock: variant.stock,
+            maxPerOrder: variant.maxPerOrder,
+            image: variant.images[0],
+            quantity
+        };
+    }
+    
+    /**
+     * Находит позицию корзины по артикулу
+     * @param {string} sku - Артикул варианта
+     * @returns {Object|undefined} - Позиция корзины
+     */
+    findItem(sku) {
+        return this.items.find(item => item.sku === sku);
+    }
+    
+    /**
+     * Добавляет вариант товара в корзину. Каждый вариант — отдельная позиция
+     * @param {Object} product - Объект товара
+     * @param {number} quantity - Количество (по умолчанию 1)
+     * @param {string|null} sku - Артикул варианта (по умолчанию — первый вариант в наличии)
+     * @returns {Object} - { success, error }
+     */
+    addProduct(product, quantity = 1, sku = null) {
+        const variant = this.validateProduct(product) && findVariant(product, sku);
+        
+        if (!variant) {
+            return { success: false, error: 'Не удалось добавить товар в корзину' };
         }
         
-        const existingItem = this.items.find(item => item.id === product.id);
+        // Обновляем цену и остаток из актуальной карточки товара
+        const existingItem = this.findItem(variant.sku);
+        const currentQuantity = existingItem ? existingItem.quantity : 0;
+        const item = this.createItem(product, variant, currentQuantity + quantity);
+        
+        if (item.quantity > getOrderLimit(item)) {
+            return { success: false, error: getOrderLimitMessage(item) };
+        }
         
         if (existingItem) {
-            existingItem.quantity += 1;
-        } else {
-            this.items.push({
-                ...product,
-                quantity: 1
+            Object.assign(existingItem, item);
+            this.emit(CART_EVENTS.QUANTITY_CHANGED, {
+                productId: product.id,
+                sku: variant.sku,
+                quantity: existingItem.quantity,
+                previousQuantity: currentQuantity
             });
+        } else {
+            this.items.push(item);
+            this.emit(CART_EVENTS.ITEM_ADDED, { productId: product.id, sku: variant.sku, quantity });
         }
         
-        this.saveToStorage();
-        this.updateCartUI();
-        return true;
+        return { success: true, error: null };
     }
     
     /**
-     * Удаляет товар из корзины
-     * @param {number} productId - ID товара
+     * Удаляет позицию из корзины
+     * @param {string} sku - Артикул варианта
      * @returns {boolean} - Результат операции
      */
-    removeProduct(productId) {
-        const initialLength = this.items.length;
-        this.items = this.items.filter(item => item.id !== productId);
+    removeProduct(sku) {
+        const item = this.findItem(sku);
         
-        if (this.items.length !== initialLength) {
-            this.saveToStorage();
-            this.updateCartUI();
-            return true;
+        if (!item) {
+            return false;
         }
         
-        return false;
+        this.items = this.items.filter(item => item.sku !== sku);
+        this.emit(CART_EVENTS.ITEM_REMOVED, { productId: item.id, sku, item });
+        return true;
     }
     
     /**
-     * Изменяет количество товара в корзине
-     * @param {number} productId - ID товара
+     * Изменяет количество позиции в корзине
+     * @param {string} sku - Артикул варианта
      * @param {number} quantity - Новое количество
-     * @returns {boolean} - Результат операции
+     * @returns {Object} - { success, error }
      */
-    updateQuantity(productId, quantity) {
+    updateQuantity(sku, quantity) {
         if (quantity <= 0) {
-            return this.removeProduct(productId);
+            return { success: this.removeProduct(sku), error: null };
         }
         
-        const item = this.items.find(item => item.id === productId);
+        const item = this.findItem(sku);
         
-        if (item) {
-            item.quantity = quantity;
-            this.saveToStorage();
-            this.updateCartUI();
-            return true;
+        if (!item) {
+            return { success: false, error: 'Товар не найден в корзине' };
         }
         
-        return false;
+        if (quantity > getOrderLimit(item)) {
+            return { success: false, error: getOrderLimitMessage(item) };
+        }
+        
+        const previousQuantity = item.quantity;
+        item.quantity = quantity;
+        this.emit(CART_EVENTS.QUANTITY_CHANGED, { productId: item.id, sku, quantity, previousQuantity });
+        return { success: true, error: null };
+    }
+    
+    /**
+     * Сверяет корзину с актуальным каталогом: подставляет текущие данные вариантов,
+     * удаляет снятые с продажи и ограничивает количество по остаткам
+     * @param {Array} products - Товары каталога
+     * @param {Object} [options] - Параметры
+     * @param {boolean} [options.external] - Сверяется состояние, пришедшее из другой вкладки
+     * @returns {Array<string>} - Описания внесённых изменений
+     */
+    reconcile(products, { external = false } = {}) {
+        const changes = [];
+        const items = [];
+        this.catalogProducts = products;
+        
+        this.items.forEach(storedItem => {
+            const product = products.find(product => product.id === storedItem.id);
+            // Позиции без артикула (из старого формата хранилища) получают вариант по умолчанию
+            const variant = product && findVariant(product, storedItem.sku);
+            
+            if (!variant) {
+                changes.push(`«${getItemTitle(storedItem)}» больше не продаётся и удалён из корзины`);
+                return;
+            }
+            
+            // Один вариант мог оказаться в нескольких позициях после подстановки артикула
+            const duplicate = items.find(item => item.sku === variant.sku);
+            const item = this.createItem(product, variant, storedItem.quantity + (duplicate ? duplicate.quantity : 0));
+            
+            // Цена известна только для товаров, уже сверенных с каталогом (или из старого формата хранилища)
+            if (storedItem.price !== undefined && storedItem.price !== item.price) {
+                changes.push(`«${getItemTitle(item)}»: цена изменилась с ${formatPrice(storedItem.price)} до ${formatPrice(item.price)}`);
+            }
+            
+            const limit = getOrderLimit(item);
+            
+            if (limit === 0) {
+                changes.push(`«${getItemTitle(item)}» закончился и удалён из корзины`);
+                if (duplicate) items.splice(items.indexOf(duplicate), 1);
+                return;
+            }
+            
+            if (item.quantity > limit) {
+                changes.push(`«${getItemTitle(item)}»: количество уменьшено с ${item.quantity} до ${limit} шт.`);
+                item.quantity = limit;
+            }
+            
+            if (duplicate) {
+                Object.assign(duplicate, item);
+            } else {
+                items.push(item);
+            }
+        });
+        
+        this.items = items;
+        
+        this.isSynced = true;
+        this.emit(CART_EVENTS.SYNCED, { changes, external });
+        
+        return changes;
     }
     
     /**
@@ -78,20 +304,111 @@ class ProductCart {
      */
     clear() {
         this.items = [];
-        this.saveToStorage();
-        this.updateCartUI();
+        this.promoCode = null;
+        this.emit(CART_EVENTS.CLEARED);
     }
     
     /**
-     * Рассчитывает общую сумму
-     * @returns {number} - Общая сумма
+     * Объединяет корзину с сохранённой корзиной пользователя: количество одинаковых
+     * вариантов суммируется, затем ограничивается остатками каталога
+     * @param {Object} data - { items, promoCode }. Элементы items: { id, sku?, quantity, name? }
+     * @returns {Array<string>} - Описания изменений после сверки с каталогом
      */
-    calculateTotal() {
+    merge(data) {
+        data.items.forEach(({ id, sku = null, quantity, name }) => {
+            const existingItem = sku && this.findItem(sku);
+            
+            if (existingItem) {
+                existingItem.quantity += quantity;
+            } else {
+                // Название нужно только для сообщения, если товар больше не продаётся.
+                // Позиции без артикула и повторы объединяются при сверке с каталогом
+                this.items.push({ id, sku, quantity, name });
+            }
+        });
+        
+        this.promoCode = this.promoCode || data.promoCode;
+        
+        if (this.isSynced) {
+            return this.reconcile(this.catalogProducts);
+        }
+        
+        this.emit(CART_EVENTS.SYNCED, { changes: [] });
+        return [];
+    }
+    
+    /**
+     * Сохраняет копию текущего состояния корзины
+     * @returns {Object} - { items, promoCode }
+     */
+    getSnapshot() {
+        return {
+            items: this.items.map(item => ({ ...item })),
+            promoCode: this.promoCode
+        };
+    }
+    
+    /**
+     * Восстанавливает состояние корзины из копии
+     * @param {Object} snapshot - Результат getSnapshot()
+     */
+    restore(snapshot) {
+        this.items = snapshot.items.map(item => ({ ...item }));
+        this.promoCode = snapshot.promoCode;
+        this.emit(CART_EVENTS.RESTORED);
+    }
+    
+    /**
+     * Применяет промокод
+     * @param {string} code - Промокод
+     * @returns {Object} - { success, error }
+     */
+    applyPromoCode(code) {
+        const { valid, promotion, error } = this.promotionEngine.validateCode(code, this.items);
+        
+        if (!valid) {
+            return { success: false, error };
+        }
+        
+        this.promoCode = promotion.code;
+        this.emit(CART_EVENTS.PROMO_CHANGED, { promoCode: this.promoCode });
+        return { success: true, error: null };
+    }
+    
+    /**
+     * Отменяет применённый промокод
+     */
+    removePromoCode() {
+        this.promoCode = null;
+        this.emit(CART_EVENTS.PROMO_CHANGED, { promoCode: null });
+    }
+    
+    /**
+     * Рассчитывает сумму товаров без скидок
+     * @returns {number} - Сумма товаров
+     */
+    calculateSubtotal() {
         return this.items.reduce((total, item) => {
             return total + (item.price * item.quantity);
         }, 0);
     }
     
+    /**
+     * Рассчитывает сумму со скидками по акциям и промокоду
+     * @returns {Object} - { subtotal, discounts, discountTotal, total, promoError }
+     */
+    getPriceBreakdown() {
+        return this.promotionEngine.calculate(this.items, { promoCode: this.promoCode });
+    }
+    
+    /**
+     * Рассчитывает общую сумму с учётом скидок
+     * @returns {number} - Общая сумма
+     */
+    calculateTotal() {
+        return this.getPriceBreakdown().total;
+    }
+    
     /**
      * Получает количество товаров в корзине
      * @returns {number} - Количество товаров
@@ -115,181 +432,550 @@ class ProductCart {
     }
     
     /**
-     * Сохраняет корзину в localStorage
+     * Сохраняет корзину в хранилище
      */
     saveToStorage() {
-        try {
-            localStorage.setItem('techstore_cart', JSON.stringify(this.items));
-        } catch (error) {
-            console.error('Ошибка сохранения корзины:', error);
-        }
+        this.store.save(this.serialize());
     }
     
     /**
-     * Загружает корзину из localStorage
+     * Возвращает данные корзины для сохранения: только ID, артикул, количество и промокод
+     * @returns {Object} - { items, promoCode }
      */
-    loadFromStorage() {
-        try {
-            const storedCart = localStorage.getItem('techstore_cart');
-            if (storedCart) {
-                this.items = JSON.parse(storedCart);
-            }
-        } catch (error) {
-            console.error('Ошибка загрузки корзины:', error);
-            this.items = [];
-        }
+    serialize() {
+        return {
+            items: this.items.map(item => ({ id: item.id, sku: item.sku, quantity: item.quantity })),
+            promoCode: this.promoCode
+        };
     }
     
     /**
-     * Обновляет UI корзины
+     * Загружает корзину из хранилища
      */
-    updateCartUI() {
-        // Обновляем счетчик товаров
-        const cartCount = document.getElementById('cart-count');
-        if (cartCount) {
-            cartCount.textContent = this.getItemCount();
-        }
-        
-        // Обновляем содержимое корзины в модальном окне
-        this.renderCartItems();
-        
-        // Обновляем общую сумму
-        const totalPrice = document.getElementById('total-price');
-        if (totalPrice) {
-            totalPrice.textContent = formatPrice(this.calculateTotal());
-        }
+    loadFromStorage() {
+        const data = this.store.load();
+        this.items = data.items;
+        this.promoCode = data.promoCode;
     }
     
     /**
-     * Рендерит товары в корзине
+     * Применяет состояние корзины, сохранённое другой вкладкой
+     * @param {Object} data - Данные корзины из хранилища
      */
-    renderCartItems() {
-        const cartItems = document.getElementById('cart-items');
-        const cartEmpty = document.getElementById('cart-empty');
-        
-        if (!cartItems || !cartEmpty) return;
+    applyExternalChange(data) {
+        this.items = data.items;
+        this.promoCode = data.promoCode;
         
-        if (this.items.length === 0) {
-            cartEmpty.style.display = 'block';
-            cartItems.style.display = 'none';
-            return;
+        if (this.isSynced) {
+            // Изменения уже показаны пользователю во вкладке, где они сделаны
+            this.reconcile(this.catalogProducts, { external: true });
+        } else {
+            this.emit(CART_EVENTS.SYNCED, { changes: [], external: true });
         }
-        
+    }
+}
+
+/**
+ * Формирует название позиции корзины с параметрами варианта
+ * @param {Object} item - Позиция корзины или заказа
+ * @returns {string} - Например, «iPhone 14 Pro (Тёмно-фиолетовый, 256 ГБ)»
+ */
+function getItemTitle(item) {
+    const name = item.name || `Товар №${item.id}`;
+    return item.variantTitle ? `${name} (${item.variantTitle})` : name;
+}
+
+// Инициализация корзины
+const cart = new ProductCart(promotionEngine, new VersionedStore('techstore_cart', {
+    version: CART_STORAGE_VERSION,
+    migrations: CART_MIGRATIONS,
+    validate: validateCartData,
+    defaultValue: () => ({ items: [], promoCode: null })
+}));
+
+/**
+ * Обновляет счётчик товаров в шапке
+ * @param {Object} event - Событие корзины
+ * @param {ProductCart} cart - Корзина
+ */
+function renderCartBadge(event, cart) {
+    const cartCount = document.getElementById('cart-count');
+    if (cartCount) {
+        cartCount.textContent = cart.getItemCount();
+    }
+}
+
+/**
+ * Обновляет содержимое модального окна корзины
+ * @param {Object} event - Событие корзины
+ * @param {ProductCart} cart - Корзина
+ */
+function renderCartModal(event, cart) {
+    // До загрузки каталога цены товаров неизвестны
+    if (!cart.isSynced) {
+        renderCartLoadingState(cart);
+        return;
+    }
+    
+    renderCartItems(cart);
+    renderPriceBreakdown(cart);
+}
+
+/**
+ * Рендерит состояние корзины до сверки с каталогом
+ * @param {ProductCart} cart - Корзина
+ */
+function renderCartLoadingState(cart) {
+    const cartItems = document.getElementById('cart-items');
+    const cartEmpty = document.getElementById('cart-empty');
+    const totalPrice = document.getElementById('total-price');
+    
+    if (!cartItems || !cartEmpty) return;
+    
+    if (cart.items.length === 0) {
+        cartEmpty.style.display = 'block';
+        cartItems.style.display = 'none';
+    } else {
         cartEmpty.style.display = 'none';
         cartItems.style.display = 'block';
-        
-        cartItems.innerHTML = this.items.map(item => `
-            <div class="cart-item">
-                <img src="${item.image}" alt="${item.name}" class="cart-item__image">
-                <div class="cart-item__details">
-                    <h4 class="cart-item__title">${item.name}</h4>
-                    <div class="cart-item__price">${formatPrice(item.price)} руб.</div>
-                </div>
-                <div class="cart-item__actions">
-                    <div class="cart-item__quantity">
-                        <button class="quantity-button decrease-quantity" data-product-id="${item.id}">-</button>
-                        <span class="quantity-value">${item.quantity}</span>
-                        <button class="quantity-button increase-quantity" data-product-id="${item.id}">+</button>
-                    </div>
-                    <button class="cart-item__remove" data-product-id="${item.id}">🗑️</button>
+        cartItems.innerHTML = '<p class="cart__loading">Загружаем актуальные цены...</p>';
+    }
+    
+    if (totalPrice) {
+        totalPrice.textContent = '—';
+    }
+}
+
+/**
+ * Пересчитывает суммы корзины в выбранную валюту: цены позиций и скидки складываются в итог
+ * @param {ProductCart} cart - Корзина
+ * @param {Object} [breakdown] - Расчёт корзины в рублях (см. PromotionEngine.calculate)
+ * @returns {Object} - См. CurrencyManager.convertBreakdown
+ */
+function getCartAmounts(cart, breakdown = cart.getPriceBreakdown()) {
+    return currencyManager.convertBreakdown({ items: cart.items, discounts: breakdown.discounts });
+}
+
+/**
+ * Рендерит сумму товаров, применённые скидки и итог
+ * @param {ProductCart} cart - Корзина
+ */
+function renderPriceBreakdown(cart) {
+    const breakdown = cart.getPriceBreakdown();
+    const amounts = getCartAmounts(cart, breakdown);
+    
+    const totalPrice = document.getElementById('total-price');
+    if (totalPrice) {
+        totalPrice.textContent = formatAmount(amounts.total);
+    }
+    
+    const breakdownList = document.getElementById('cart-breakdown');
+    if (breakdownList) {
+        breakdownList.hidden = breakdown.discounts.length === 0;
+        renderTemplate(breakdownList, html`
+            <dt>Товары</dt>
+            <dd>${formatAmount(amounts.subtotal)}</dd>
+            ${amounts.discounts.map(discount => html`
+                <dt>${discount.title}</dt>
+                <dd class="cart__discount">−${formatAmount(discount.amount)}</dd>
+            `)}
+        `);
+    }
+    
+    const promoMessage = document.getElementById('promo-message');
+    const promoInput = document.getElementById('promo-input');
+    if (promoMessage) {
+        if (cart.promoCode && breakdown.promoError) {
+            promoMessage.textContent = `Промокод ${cart.promoCode} не применён: ${breakdown.promoError}`;
+            promoMessage.className = 'promo__message promo__message--error';
+        } else if (cart.promoCode) {
+            promoMessage.textContent = `Промокод ${cart.promoCode} применён`;
+            promoMessage.className = 'promo__message promo__message--success';
+        } else if (promoMessage.classList.contains('promo__message--success')) {
+            promoMessage.textContent = '';
+            promoMessage.className = 'promo__message';
+        }
+    }
+    
+    if (promoInput && document.activeElement !== promoInput) {
+        promoInput.value = cart.promoCode || '';
+    }
+    
+    const promoRemove = document.getElementById('promo-remove');
+    if (promoRemove) {
+        promoRemove.hidden = !cart.promoCode;
+    }
+}
+
+/**
+ * Рендерит товары в корзине. Позиции обновляются по артикулу, обработчики кнопок назначаются делегированием в initCart
+ * @param {ProductCart} cart - Корзина
+ */
+function renderCartItems(cart) {
+    const cartItems = document.getElementById('cart-items');
+    const cartEmpty = document.getElementById('cart-empty');
+    
+    if (!cartItems || !cartEmpty) return;
+    
+    const cartClear = document.getElementById('cart-clear');
+    if (cartClear) {
+        cartClear.hidden = cart.items.length === 0;
+    }
+    
+    if (cart.items.length === 0) {
+        cartEmpty.style.display = 'block';
+        cartItems.style.display = 'none';
+        return;
+    }
+    
+    cartEmpty.style.display = 'none';
+    cartItems.style.display = 'block';
+    
+    // Изменившиеся позиции пересоздаются — запоминаем элемент с фокусом, чтобы вернуть его
+    const focused = cartItems.contains(document.activeElement) ? document.activeElement : null;
+    
+    renderKeyedList(cartItems, cart.items, { key: item => item.sku, render: renderCartItem });
+    
+    if (focused && !focused.isConnected) {
+        restoreCartItemFocus(cartItems, focused);
+    }
+}
+
+/**
+ * Возвращает фокус на элемент управления пересозданной позиции. Если кнопка стала недоступна —
+ * на поле количества, если позиция удалена — на первую позицию или окно корзины
+ * @param {HTMLElement} cartItems - Контейнер позиций
+ * @param {HTMLElement} focused - Элемент, имевший фокус до перерисовки
+ */
+function restoreCartItemFocus(cartItems, focused) {
+    const sku = escapeSelectorValue(focused.getAttribute('data-sku'));
+    const candidates = [
+        cartItems.querySelector(`[data-sku="${sku}"][data-action="${focused.getAttribute('data-action')}"]:not([disabled])`),
+        cartItems.querySelector(`[data-sku="${sku}"][role="spinbutton"]`),
+        cartItems.querySelector('[role="spinbutton"]'),
+        document.querySelector('#cart-modal .modal__content')
+    ];
+    const target = candidates.find(Boolean);
+    
+    if (target) {
+        target.focus();
+    }
+}
+
+/**
+ * Формирует позицию корзины
+ * @param {Object} item - Товар в корзине
+ * @returns {SafeHtml} - Разметка позиции
+ */
+function renderCartItem(item) {
+    const title = getItemTitle(item);
+    const limit = getOrderLimit(item);
+    
+    return html`
+        <div class="cart-item">
+            <img src="${item.image}" alt="${item.name}" class="cart-item__image">
+            <div class="cart-item__details">
+                <h4 class="cart-item__title">${item.name}</h4>
+                ${item.variantTitle ? html`<div class="cart-item__variant">${item.variantTitle}</div>` : ''}
+                <div class="cart-item__price">${formatPrice(item.price)}</div>
+            </div>
+            <div class="cart-item__actions">
+                <div class="cart-item__quantity">
+                    <button class="quantity-button" data-action="decrease" data-sku="${item.sku}" aria-label="Уменьшить количество «${title}»">-</button>
+                    <span class="quantity-value" role="spinbutton" tabindex="0" data-action="quantity" data-sku="${item.sku}"
+                          aria-label="Количество «${title}»" aria-valuenow="${item.quantity}" aria-valuemin="1" aria-valuemax="${Math.max(limit, item.quantity)}">${item.quantity}</span>
+                    <button class="quantity-button" data-action="increase" data-sku="${item.sku}" aria-label="Увеличить количество «${title}»"${item.quantity >= limit ? html` disabled title="${getOrderLimitMessage(item)}"` : ''}>+</button>
                 </div>
+                <button class="cart-item__save" data-action="save-for-later" data-sku="${item.sku}">Сохранить на потом</button>
+                <button class="cart-item__remove" data-action="remove" data-sku="${item.sku}" aria-label="Удалить «${title}» из корзины"><span aria-hidden="true">🗑️</span></button>
             </div>
-        `).join('');
+        </div>
+    `;
+}
+
+/**
+ * Изменяет количество позиции с клавиатуры: стрелки — на единицу, Home и End — минимум и максимум
+ * @param {KeyboardEvent} e - Событие клавиатуры на поле количества
+ * @param {Object} item - Товар в корзине
+ */
+function handleQuantityKeydown(e, item) {
+    const steps = {
+        ArrowUp: item.quantity + 1,
+        ArrowRight: item.quantity + 1,
+        ArrowDown: item.quantity - 1,
+        ArrowLeft: item.quantity - 1,
+        Home: 1,
+        End: getOrderLimit(item)
+    };
+    
+    if (!(e.key in steps)) return;
+    
+    e.preventDefault();
+    
+    // С клавиатуры количество не опускается ниже единицы: удаление — отдельной кнопкой
+    const quantity = Math.max(steps[e.key], 1);
+    if (quantity === item.quantity) return;
+    
+    const result = cart.updateQuantity(item.sku, quantity);
+    if (!result.success) {
+        showErrorMessage(result.error);
+    }
+}
+
+/**
+ * Озвучивает изменения корзины программами чтения с экрана, пока открыто окно корзины.
+ * Добавление из каталога, удаление и очистка также сопровождаются уведомлениями, но они находятся
+ * за пределами модального окна и могут не озвучиваться
+ * @param {Object} event - Событие корзины
+ * @param {ProductCart} cart - Корзина
+ */
+function announceCartChange(event, cart) {
+    if (!cartDialog || !cartDialog.isOpen() || !cart.isSynced) return;
+    
+    const total = `Итого ${formatAmount(getCartAmounts(cart).total)}`;
+    let message = '';
+    
+    switch (event.type) {
+        case CART_EVENTS.QUANTITY_CHANGED: {
+            const item = cart.findItem(event.sku);
+            message = item ? `«${getItemTitle(item)}»: ${event.quantity} шт. ${total}` : '';
+            break;
+        }
         
-        // Добавляем обработчики событий для кнопок в корзине
-        document.querySelectorAll('.decrease-quantity').forEach(button => {
-            button.addEventListener('click', function() {
-                const productId = parseInt(this.getAttribute('data-product-id'));
-                const item = cart.items.find(item => item.id === productId);
-                if (item) {
-                    cart.updateQuantity(productId, item.quantity - 1);
-                }
-            });
-        });
+        case CART_EVENTS.ITEM_ADDED: {
+            const item = cart.findItem(event.sku);
+            message = item ? `Товар «${getItemTitle(item)}» добавлен в корзину. ${total}` : '';
+            break;
+        }
         
-        document.querySelectorAll('.increase-quantity').forEach(button => {
-            button.addEventListener('click', function() {
-                const productId = parseInt(this.getAttribute('data-product-id'));
-                const item = cart.items.find(item => item.id === productId);
-                if (item) {
-                    cart.updateQuantity(productId, item.quantity + 1);
-                }
-            });
-        });
+        case CART_EVENTS.ITEM_REMOVED:
+            message = `Товар «${getItemTitle(event.item)}» удалён из корзины. ${cart.items.length ? total : 'Корзина пуста'}`;
+            break;
         
-        document.querySelectorAll('.cart-item__remove').forEach(button => {
-            button.addEventListener('click', function() {
-                const productId = parseInt(this.getAttribute('data-product-id'));
-                cart.removeProduct(productId);
-            });
-        });
+        case CART_EVENTS.CLEARED:
+            message = 'Корзина очищена';
+            break;
+        
+        case CART_EVENTS.RESTORED:
+            message = `Корзина восстановлена. ${total}`;
+            break;
+    }
+    
+    if (message) {
+        announce('cart-status', message);
     }
 }
 
-// Инициализация корзины
-const cart = new ProductCart();
+// Модальное окно корзины (создаётся в initCart)
+let cartDialog = null;
+
+// Открытие модального окна корзины (обработчик маршрута #/cart)
+function showCart() {
+    if (!cartDialog) return;
+    
+    cartDialog.open();
+    
+    return hideCart;
+}
+
+// Закрытие модального окна корзины
+function hideCart() {
+    if (cartDialog) {
+        cartDialog.close();
+    }
+}
 
 // Инициализация функционала корзины
 function initCart() {
     // Открытие/закрытие модального окна корзины
     const cartToggle = document.getElementById('cart-toggle');
     const cartModal = document.getElementById('cart-modal');
-    const cartClose = document.getElementById('cart-close');
     
-    if (cartToggle && cartModal && cartClose) {
+    if (cartToggle && cartModal) {
         cartToggle.addEventListener('click', () => {
-            cartModal.classList.add('active');
-            document.body.style.overflow = 'hidden';
+            router.navigate('/cart');
         });
         
-        cartClose.addEventListener('click', () => {
-            cartModal.classList.remove('active');
-            document.body.style.overflow = '';
+        // Закрытие (крестик, подложка, Escape) возвращает на предыдущий адрес, фокус — на кнопку корзины
+        cartDialog = new ModalDialog(cartModal, {
+            onClose: () => router.back('/'),
+            returnFocus: '#cart-toggle'
+        });
+    }
+    
+    // Шапка, модальное окно и озвучивание — независимые подписчики корзины
+    cart.subscribe(renderCartBadge);
+    cart.subscribe(renderCartModal);
+    cart.subscribe(announceCartChange);
+    currencyManager.subscribe(() => renderCartModal(null, cart));
+    
+    // Кнопки товаров перерисовываются, поэтому обработчик назначается на контейнер
+    const cartItems = document.getElementById('cart-items');
+    if (cartItems) {
+        cartItems.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const item = cart.findItem(button.getAttribute('data-sku'));
+            if (!item) return;
+            
+            switch (button.getAttribute('data-action')) {
+                case 'decrease':
+                    cart.updateQuantity(item.sku, item.quantity - 1);
+                    break;
+                
+                case 'increase': {
+                    const result = cart.updateQuantity(item.sku, item.quantity + 1);
+                    if (!result.success) {
+                        showErrorMessage(result.error);
+                    }
+                    break;
+                }
+                
+                case 'save-for-later':
+                    saveCartItemForLater(item);
+                    break;
+                
+                case 'remove':
+                    removeFromCartWithUndo(item);
+                    break;
+            }
         });
         
-        cartModal.addEventListener('click', (e) => {
-            if (e.target === cartModal || e.target.classList.contains('modal__overlay')) {
-                cartModal.classList.remove('active');
-                document.body.style.overflow = '';
+        cartItems.addEventListener('keydown', (e) => {
+            const spinbutton = e.target.closest('[role="spinbutton"]');
+            const item = spinbutton && cart.findItem(spinbutton.getAttribute('data-sku'));
+            
+            if (item) {
+                handleQuantityKeydown(e, item);
             }
         });
     }
     
+    const cartClear = document.getElementById('cart-clear');
+    if (cartClear) {
+        cartClear.addEventListener('click', clearCartWithUndo);
+    }
+    
     // Обработка оформления заказа
     const checkoutButton = document.getElementById('checkout-button');
     if (checkoutButton) {
         checkoutButton.addEventListener('click', () => {
             if (cart.items.length === 0) {
-                alert('Корзина пуста. Добавьте товары перед оформлением заказа.');
+                showErrorMessage('Корзина пуста. Добавьте товары перед оформлением заказа.');
+                return;
+            }
+            
+            if (!cart.isSynced) {
+                showInfoMessage('Каталог ещё загружается. Попробуйте через несколько секунд.');
                 return;
             }
             
-            // В реальном приложении здесь был бы переход к оформлению заказа
-            alert('Заказ успешно оформлен! Спасибо за покупку.');
-            cart.clear();
-            cartModal.classList.remove('active');
-            document.body.style.overflow = '';
+            // Корзина очищается только после подтверждения заказа.
+            // Оформление заменяет корзину в истории, чтобы «Назад» вёл в каталог
+            router.navigate('/checkout', { replace: true });
         });
     }
     
-    // Обновляем UI корзины при загрузке
-    cart.updateCartUI();
+    // Применение промокода
+    const promoForm = document.getElementById('promo-form');
+    if (promoForm) {
+        promoForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            const promoInput = document.getElementById('promo-input');
+            const promoMessage = document.getElementById('promo-message');
+            const code = promoInput.value.trim();
+            
+            if (!code) return;
+            
+            const result = cart.applyPromoCode(code);
+            if (!result.success && promoMessage) {
+                promoMessage.textContent = result.error;
+                promoMessage.className = 'promo__message promo__message--error';
+            }
+        });
+    }
+    
+    const promoRemove = document.getElementById('promo-remove');
+    if (promoRemove) {
+        promoRemove.addEventListener('click', () => cart.removePromoCode());
+    }
+    
+    // Первичная отрисовка корзины, загруженной из хранилища
+    const initialEvent = { type: CART_EVENTS.SYNCED, changes: [] };
+    renderCartBadge(initialEvent, cart);
+    renderCartModal(initialEvent, cart);
 }
 
-// Добавление товара в корзину
-function addToCart(productId) {
+/**
+ * Добавление товара в корзину
+ * @param {number} productId - ID товара
+ * @param {number} quantity - Количество
+ * @param {string|null} sku - Артикул варианта (по умолчанию — первый вариант в наличии)
+ */
+function addToCart(productId, quantity = 1, sku = null) {
     const product = productManager.getProductById(productId);
     
     if (product) {
-        const success = cart.addProduct(product);
+        const result = cart.addProduct(product, quantity, sku);
         
-        if (success) {
-            // В реальном приложении здесь можно показать toast-уведомление
-            console.log(`Товар "${product.name}" добавлен в корзину`);
+        if (result.success) {
+            const item = cart.findItem(findVariant(product, sku).sku);
+            
+            notifications.show({
+                type: 'success',
+                message: `Товар «${getItemTitle(item)}» добавлен в корзину`,
+                action: { label: 'Перейти в корзину', onClick: () => router.navigate('/cart') },
+                duration: TOAST_DURATION
+            });
         } else {
-            showErrorMessage('Не удалось добавить товар в корзину');
+            showErrorMessage(result.error);
         }
     } else {
         showErrorMessage('Товар не найден');
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Удаляет товар из корзины с возможностью отмены
+ * @param {Object} item - Товар в корзине
+ */
+function removeFromCartWithUndo(item) {
+    const snapshot = cart.getSnapshot();
+    
+    if (cart.removeProduct(item.sku)) {
+        showUndoMessage(`Товар «${getItemTitle(item)}» удалён из корзины`, snapshot);
+    }
+}
+
+// Очистка корзины с возможностью отмены
+function clearCartWithUndo() {
+    if (cart.items.length === 0) return;
+    
+    const snapshot = cart.getSnapshot();
+    cart.clear();
+    showUndoMessage('Корзина очищена', snapshot);
+}
+
+/**
+ * Показывает уведомление с кнопкой «Отменить», восстанавливающей корзину
+ * @param {string} message - Текст уведомления
+ * @param {Object} snapshot - Состояние корзины до изменения
+ */
+function showUndoMessage(message, snapshot) {
+    notifications.show({
+        type: 'action',
+        message,
+        action: { label: 'Отменить', onClick: () => cart.restore(snapshot) }
+    });
+}
+
+// Сверка корзины с актуальным каталогом после его загрузки
+function reconcileCart() {
+    const changes = cart.reconcile(productManager.products);
+    
+    // Изменение цены или количества — не ошибка, а сведения для покупателя
+    if (changes.length) {
+        showInfoMessage(`Товары в корзине изменились:\n${changes.join('\n')}`);
+    }
+}
@@ -0,0 +1,529 @@
+// checkout.js
+// Модуль оформления заказа
+const FREE_DELIVERY_THRESHOLD = 20000;
+const COURIER_DELIVERY_PRICE = 500;
+
+const DELIVERY_METHODS = {
+    courier: 'Курьерская доставка',
+    pickup: 'Самовывоз из магазина'
+};
+
+const PAYMENT_METHODS = {
+    card: 'Картой при получении',
+    cash: 'Наличными при получении'
+};
+
+/**
+ * Формирует адрес доставки заказа для отображения
+ * @param {Object} delivery - Данные доставки заказа
+ * @returns {string} - Адрес курьерской доставки или пункт самовывоза
+ */
+function formatDeliveryAddress(delivery) {
+    if (delivery.method !== 'courier') {
+        return delivery.pickupPoint;
+    }
+
+    // Индекс указывается в заказах, оформленных после его добавления в форму
+    return [delivery.postalCode, delivery.city, delivery.address].filter(Boolean).join(', ');
+}
+
+class CheckoutWizard {
+    /**
+     * @param {ProductCart} cart - Корзина, из которой оформляется заказ
+     * @param {FormValidator} validator - Валидатор полей формы
+     * @param {Function} onComplete - Колбэк, получающий оформленный заказ. Возвращает промис
+     *                                с сохранённым заказом; при ошибке корзина не очищается
+     */
+    constructor(cart, validator, onComplete) {
+        this.cart = cart;
+        this.validator = validator;
+        this.onComplete = onComplete;
+        this.steps = ['contacts', 'delivery', 'payment', 'review', 'done'];
+        this.currentStep = 0;
+        this.order = null;
+        // Идёт проверка шага: повторные нажатия «Далее» игнорируются
+        this.isValidating = false;
+
+        const isCourier = values => values['delivery-method'] === 'courier';
+        const isPickup = values => values['delivery-method'] === 'pickup';
+
+        this.rules = {
+            contacts: {
+                name: {
+                    required: true,
+                    minLength: 2,
+                    maxLength: 50,
+                    pattern: 'name'
+                },
+                email: {
+                    required: true,
+                    pattern: 'email'
+                },
+                phone: {
+                    required: true
+                }
+            },
+            // Адрес нужен только для курьерской доставки, пункт выдачи — только для самовывоза
+            delivery: {
+                'postal-code': {
+                    when: isCourier,
+                    required: true
+                },
+                city: {
+                    when: isCourier,
+                    required: true,
+                    minLength: 2,
+                    maxLength: 50
+                },
+                address: {
+                    when: isCourier,
+                    required: true,
+                    minLength: 5,
+                    maxLength: 150
+                },
+                comment: {
+                    when: isCourier,
+                    maxLength: 300
+                },
+                'pickup-point': {
+                    when: isPickup,
+                    required: true
+                }
+            },
+            payment: {}
+        };
+    }
+
+    /**
+     * Получает значение поля формы (в том числе группы радиокнопок). Поля с маской — в каноническом виде
+     * @param {HTMLFormElement} form - Форма
+     * @param {string} name - Имя поля
+     * @returns {string} - Значение поля
+     */
+    getFormValue(form, name) {
+        const checked = form.querySelector(`[name="${escapeSelectorValue(name)}"]:checked`);
+        if (checked) {
+            return checked.value;
+        }
+
+        const field = form.querySelector(`[name="${escapeSelectorValue(name)}"]`);
+        return field ? getFieldValue(field) : '';
+    }
+
+    /**
+     * Валидирует текущий шаг
+     * @param {HTMLFormElement} form - Форма оформления заказа
+     * @returns {Promise<boolean>} - Результат валидации
+     */
+    async validateStep(form) {
+        const step = this.steps[this.currentStep];
+        const stepElement = form.querySelector(`.checkout__step[data-step="${step}"]`);
+
+        if (!stepElement) return true;
+
+        const { isValid } = await this.validator.validateForm(stepElement, this.rules[step] || {});
+        return isValid;
+    }
+
+    /**
+     * Рассчитывает стоимость доставки
+     * @param {string} method - Способ доставки
+     * @param {number} subtotal - Сумма товаров
+     * @returns {number} - Стоимость доставки
+     */
+    calculateDeliveryCost(method, subtotal) {
+        if (method !== 'courier' || subtotal >= FREE_DELIVERY_THRESHOLD) {
+            return 0;
+        }
+
+        return COURIER_DELIVERY_PRICE;
+    }
+
+    /**
+     * Генерирует номер заказа
+     * @param {Date} date - Дата оформления
+     * @returns {string} - Номер заказа
+     */
+    generateOrderNumber(date) {
+        const datePart = date.toISOString().slice(0, 10).replace(/-/g, '');
+        const randomPart = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+        return `TS-${datePart}-${randomPart}`;
+    }
+
+    /**
+     * Собирает объект заказа из формы и корзины
+     * @param {HTMLFormElement} form - Форма оформления заказа
+     * @returns {Object} - Объект заказа
+     */
+    buildOrder(form) {
+        const createdAt = new Date();
+        const deliveryMethod = this.getFormValue(form, 'delivery-method');
+        const items = this.cart.items.map(item => ({
+            id: item.id,
+            sku: item.sku,
+            name: item.name,
+            variantTitle: item.variantTitle,
+            price: item.price,
+            quantity: item.quantity,
+            total: item.price * item.quantity
+        }));
+        const breakdown = this.cart.getPriceBreakdown();
+        // Порог бесплатной доставки считается от суммы со скидками
+        const deliveryCost = this.calculateDeliveryCost(deliveryMethod, breakdown.total);
+        const promoApplied = breakdown.discounts.some(discount => discount.code);
+
+        const delivery = { method: deliveryMethod };
+        if (deliveryMethod === 'courier') {
+            delivery.postalCode = this.getFormValue(form, 'postal-code');
+            delivery.city = this.getFormValue(form, 'city');
+            delivery.address = this.getFormValue(form, 'address');
+            delivery.comment = this.getFormValue(form, 'comment');
+        } else {
+            delivery.pickupPoint = this.getFormValue(form, 'pickup-point');
+        }
+
+        return {
+            number: this.generateOrderNumber(createdAt),
+            createdAt: createdAt.toISOString(),
+            customer: {
+                name: this.getFormValue(form, 'name'),
+                email: this.getFormValue(form, 'email'),
+                phone: this.getFormValue(form, 'phone')
+            },
+            delivery,
+            payment: {
+                method: this.getFormValue(form, 'payment-method')
+            },
+            items,
+            subtotal: breakdown.subtotal,
+            discounts: breakdown.discounts,
+            discountTotal: breakdown.discountTotal,
+            promoCode: promoApplied ? this.cart.promoCode : null,
+            deliveryCost,
+            total: breakdown.total + deliveryCost,
+            // Суммы заказа хранятся в рублях, валюта и курс фиксируются для отображения
+            currency: currencyManager.getSnapshot()
+        };
+    }
+
+    /**
+     * Переходит к следующему шагу или подтверждает заказ
+     * @param {HTMLFormElement} form - Форма оформления заказа
+     * @returns {Promise<void>} - Отклоняется, если проверку шага не удалось выполнить
+     */
+    async next(form) {
+        if (this.isValidating) return;
+
+        this.isValidating = true;
+        let isValid;
+
+        // Ошибка проверки (например, недоступен сервер) не должна блокировать мастер
+        try {
+            isValid = await this.validateStep(form);
+        } finally {
+            this.isValidating = false;
+        }
+
+        if (!isValid) {
+            const firstErrorField = form.querySelector('.error');
+            if (firstErrorField) {
+                firstErrorField.focus();
+            }
+            return;
+        }
+
+        const step = this.steps[this.currentStep];
+
+        if (step === 'review') {
+            this.confirm(form);
+            return;
+        }
+
+        if (step === 'done') {
+            router.back('/');
+            return;
+        }
+
+        this.goToStep(this.currentStep + 1, form);
+    }
+
+    /**
+     * Возвращает на предыдущий шаг
+     * @param {HTMLFormElement} form - Форма оформления заказа
+     */
+    back(form) {
+        if (this.currentStep > 0 && this.steps[this.currentStep] !== 'done') {
+            this.goToStep(this.currentStep - 1, form);
+        }
+    }
+
+    /**
+     * Подтверждает заказ, сохраняет его и очищает корзину
+     * @param {HTMLFormElement} form - Форма оформления заказа
+     * @returns {Promise<void>}
+     */
+    async confirm(form) {
+        if (this.cart.items.length === 0) {
+            showErrorMessage('Корзина пуста. Добавьте товары перед оформлением заказа.');
+            return;
+        }
+
+        const nextButton = form.querySelector('#checkout-next');
+        const order = this.buildOrder(form);
+
+        if (nextButton) {
+            nextButton.disabled = true;
+        }
+
+        try {
+            this.order = this.onComplete ? await this.onComplete(order) : order;
+        } catch (error) {
+            console.error('Ошибка оформления заказа:', error);
+            // Ошибки 4xx объясняют, что не так с заказом (например, исчерпан лимит промокода)
+            showErrorMessage(error.status >= 400 && error.status < 500
+                ? error.message
+                : 'Не удалось оформить заказ. Попробуйте ещё раз.');
+            return;
+        } finally {
+            if (nextButton) {
+                nextButton.disabled = false;
+            }
+        }
+
+        // Промокод заказа из очереди считается использованным, когда магазин примет заказ (см. flushOrderOutbox)
+        if (this.order.promoCode && !this.order.queued) {
+            this.cart.promotionEngine.registerUsage(this.order.promoCode);
+        }
+
+        this.cart.clear();
+        this.goToStep(this.steps.indexOf('done'), form);
+    }
+
+    /**
+     * Сбрасывает мастер к первому шагу
+     * @param {HTMLFormElement} form - Форма оформления заказа
+     */
+    reset(form) {
+        this.order = null;
+        form.reset();
+        form.querySelectorAll('.error').forEach(field => this.validator.clearFieldError(field));
+        this.goToStep(0, form);
+    }
+
+    /**
+     * Показывает указанный шаг
+     * @param {number} index - Индекс шага
+     * @param {HTMLFormElement} form - Форма оформления заказа
+     */
+    goToStep(index, form) {
+        this.currentStep = index;
+        const step = this.steps[index];
+
+        form.querySelectorAll('.checkout__step').forEach(element => {
+            element.classList.toggle('active', element.getAttribute('data-step') === step);
+        });
+
+        form.querySelectorAll('.checkout__progress-item').forEach((element, i) => {
+            element.classList.toggle('active', i === index);
+            element.classList.toggle('completed', i < index);
+        });
+
+        if (step === 'delivery') {
+            this.toggleDeliveryFields(form);
+        }
+
+        if (step === 'review') {
+            this.renderReview(form);
+        }
+
+        if (step === 'done') {
+            this.renderConfirmation(form);
+        }
+
+        this.updateButtons(form);
+    }
+
+    /**
+     * Показывает поля, соответствующие выбранному способу доставки
+     * @param {HTMLFormElement} form - Форма оформления заказа
+     */
+    toggleDeliveryFields(form) {
+        const method = this.getFormValue(form, 'delivery-method');
+
+        form.querySelectorAll('[data-delivery]').forEach(element => {
+            element.hidden = element.getAttribute('data-delivery') !== method;
+        });
+    }
+
+    /**
+     * Обновляет подписи и видимость кнопок навигации
+     * @param {HTMLFormElement} form - Форма оформления заказа
+     */
+    updateButtons(form) {
+        const step = this.steps[this.currentStep];
+        const backButton = form.querySelector('#checkout-back');
+        const nextButton = form.querySelector('#checkout-next');
+
+        if (backButton) {
+            backButton.hidden = this.currentStep === 0 || step === 'done';
+        }
+
+        if (nextButton) {
+            const labels = {
+                review: 'Подтвердить заказ',
+                done: 'Продолжить покупки'
+            };
+            nextButton.textContent = labels[step] || 'Далее';
+        }
+    }
+
+    /**
+     * Рендерит сводку заказа перед подтверждением
+     * @param {HTMLFormElement} form - Форма оформления заказа
+     */
+    renderReview(form) {
+        const review = form.querySelector('#checkout-review');
+        if (!review) return;
+
+        const preview = this.buildOrder(form);
+        const amounts = currencyManager.convertBreakdown(preview);
+        const deliveryText = formatDeliveryAddress(preview.delivery);
+
+        renderTemplate(review, html`
+            <ul class="checkout__review-items">
+                ${amounts.items.map(item => html`
+                    <li class="checkout__review-item">
+                        <span>${getItemTitle(item)} × ${item.quantity}</span>
+                        <span>${formatAmount(item.total)}</span>
+                    </li>
+                `)}
+            </ul>
+            <dl class="checkout__summary">
+                <dt>Получатель</dt>
+                <dd>${preview.customer.name}, ${formatMaskedValue('phone', preview.customer.phone)}, ${preview.customer.email}</dd>
+                <dt>${DELIVERY_METHODS[preview.delivery.method]}</dt>
+                <dd>${deliveryText}</dd>
+                <dt>Оплата</dt>
+                <dd>${PAYMENT_METHODS[preview.payment.method]}</dd>
+                <dt>Товары</dt>
+                <dd>${formatAmount(amounts.subtotal)}</dd>
+                ${amounts.discounts.map(discount => html`
+                    <dt>${discount.title}</dt>
+                    <dd class="cart__discount">−${formatAmount(discount.amount)}</dd>
+                `)}
+                <dt>Доставка</dt>
+                <dd>${amounts.deliveryCost ? formatAmount(amounts.deliveryCost) : 'Бесплатно'}</dd>
+                <dt>Итого</dt>
+                <dd class="checkout__summary-total">${formatAmount(amounts.total)}</dd>
+            </dl>
+        `);
+    }
+
+    /**
+     * Рендерит подтверждение оформленного заказа
+     * @param {HTMLFormElement} form - Форма оформления заказа
+     */
+    renderConfirmation(form) {
+        const orderNumber = form.querySelector('#checkout-order-number');
+        if (orderNumber && this.order) {
+            orderNumber.textContent = this.order.number;
+        }
+
+        // Заказ, оформленный без сети, ждёт отправки в очереди (см. offline.js)
+        const isQueued = Boolean(this.order && this.order.queued);
+        form.querySelectorAll('[data-order-state]').forEach(element => {
+            element.hidden = element.dataset.orderState !== (isQueued ? 'queued' : 'saved');
+        });
+    }
+}
+
+// Инициализация мастера оформления заказа
+const checkoutWizard = new CheckoutWizard(cart, new FormValidator(), async order => {
+    const savedOrder = await submitOrder(order);
+
+    // Новый заказ меняет статистику «С этим товаром покупают». Заказ из очереди учитывается после отправки
+    if (!savedOrder.queued) {
+        refreshRecommendations();
+    }
+    return savedOrder;
+});
+
+// Модальное окно оформления заказа (создаётся в initCheckout)
+let checkoutDialog = null;
+
+// Открытие модального окна оформления заказа (обработчик маршрута #/checkout)
+function showCheckout() {
+    const checkoutForm = document.getElementById('checkout-form');
+
+    if (!checkoutDialog || !checkoutForm) return;
+
+    // Корзина ещё не сверена с каталогом — маршрут будет обработан повторно после загрузки
+    if (!cart.isSynced) return;
+
+    // Повторная обработка маршрута не должна сбрасывать заполненную форму
+    if (!checkoutDialog.isOpen()) {
+        if (cart.items.length === 0) {
+            showErrorMessage('Корзина пуста. Добавьте товары перед оформлением заказа.');
+            router.navigate('/cart', { replace: true });
+            return;
+        }
+
+        checkoutWizard.reset(checkoutForm);
+    }
+
+    checkoutDialog.open();
+
+    return closeCheckout;
+}
+
+// Закрытие модального окна оформления заказа
+function closeCheckout() {
+    if (checkoutDialog) {
+        checkoutDialog.close();
+    }
+}
+
+// Инициализация оформления заказа
+function initCheckout() {
+    const checkoutModal = document.getElementById('checkout-modal');
+    const checkoutForm = document.getElementById('checkout-form');
+    const backButton = document.getElementById('checkout-back');
+
+    if (!checkoutModal || !checkoutForm) return;
+
+    checkoutForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        checkoutWizard.next(this).catch(error => {
+            console.error('Ошибка проверки данных заказа:', error);
+            showErrorMessage('Не удалось проверить данные. Попробуйте ещё раз.');
+        });
+    });
+
+    if (backButton) {
+        backButton.addEventListener('click', () => checkoutWizard.back(checkoutForm));
+    }
+
+    // Переключение полей при смене способа доставки
+    checkoutForm.querySelectorAll('[name="delivery-method"]').forEach(radio => {
+        radio.addEventListener('change', () => checkoutWizard.toggleDeliveryFields(checkoutForm));
+    });
+
+    // Сброс ошибки при вводе
+    checkoutForm.addEventListener('input', (e) => {
+        if (e.target.classList.contains('error')) {
+            checkoutWizard.validator.clearFieldError(e.target);
+        }
+    });
+
+    // Сводка заказа показывает суммы в выбранной валюте
+    currencyManager.subscribe(() => {
+        if (checkoutWizard.steps[checkoutWizard.currentStep] === 'review') {
+            checkoutWizard.renderReview(checkoutForm);
+        }
+    });
+
+    checkoutDialog = new ModalDialog(checkoutModal, {
+        onClose: () => router.back('/'),
+        returnFocus: '#cart-toggle'
+    });
+}
@@ -0,0 +1,304 @@
+// compare.js
+// Модуль сравнения товаров: список сравнения, плавающая панель и таблица характеристик
+const COMPARE_STORAGE_VERSION = 1;
+const MAX_COMPARE_PRODUCTS = 4;
+
+/**
+ * Проверяет данные списка сравнения
+ * @param {Object} data - Данные из хранилища
+ * @returns {boolean} - Результат проверки
+ */
+function validateCompareData(data) {
+    return validateIdListData(data) && data.ids.length <= MAX_COMPARE_PRODUCTS;
+}
+
+class ComparisonList extends IdListStore {
+    /**
+     * @param {VersionedStore} store - Хранилище списка сравнения
+     * @param {number} [limit] - Максимальное количество товаров
+     */
+    constructor(store, limit = MAX_COMPARE_PRODUCTS) {
+        super(store);
+        this.limit = limit;
+    }
+
+    /**
+     * Проверяет, заполнен ли список
+     * @returns {boolean} - Результат проверки
+     */
+    isFull() {
+        return this.ids.length >= this.limit;
+    }
+
+    /**
+     * Добавляет товар к сравнению
+     * @param {number} productId - ID товара
+     * @returns {Object} - Результат операции { success, error }
+     */
+    add(productId) {
+        if (this.has(productId)) {
+            return { success: true };
+        }
+
+        if (this.isFull()) {
+            return {
+                success: false,
+                error: `Сравнивать можно не более ${this.limit} товаров. Уберите один из товаров из сравнения`
+            };
+        }
+
+        this.ids = [...this.ids, productId];
+        this.save();
+        return { success: true };
+    }
+
+    /**
+     * Убирает товар из сравнения
+     * @param {number} productId - ID товара
+     * @returns {boolean} - true, если товар убран
+     */
+    remove(productId) {
+        if (!this.has(productId)) {
+            return false;
+        }
+
+        this.ids = this.ids.filter(id => id !== productId);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Добавляет или убирает товар
+     * @param {number} productId - ID товара
+     * @returns {Object} - Результат операции { success, error, added }
+     */
+    toggle(productId) {
+        if (this.remove(productId)) {
+            return { success: true, added: false };
+        }
+
+        return { ...this.add(productId), added: true };
+    }
+
+    // Очищает список сравнения
+    clear() {
+        this.ids = [];
+        this.save();
+    }
+
+    /**
+     * Убирает из списка товары, снятые с продажи
+     * @param {Array} products - Товары каталога
+     */
+    reconcile(products) {
+        const ids = this.ids.filter(id => products.some(product => product.id === id));
+
+        if (ids.length !== this.ids.length) {
+            this.ids = ids;
+            this.save();
+        }
+    }
+}
+
+// Инициализация списка сравнения
+const comparison = new ComparisonList(new VersionedStore('techstore_compare', {
+    version: COMPARE_STORAGE_VERSION,
+    validate: validateCompareData,
+    defaultValue: () => ({ ids: [] })
+}));
+
+// Сверяет список сравнения с загруженным каталогом
+function reconcileComparison() {
+    comparison.reconcile(productManager.products);
+    // Названия и изображения товаров в панели доступны только после загрузки каталога
+    renderCompareTray();
+}
+
+// Показывать в таблице только различающиеся характеристики
+let showOnlyDifferences = false;
+
+/**
+ * Формирует кнопку сравнения для карточки товара
+ * @param {number} productId - ID товара
+ * @returns {SafeHtml} - Разметка кнопки
+ */
+function renderCompareButton(productId) {
+    const isActive = comparison.has(productId);
+
+    return html`
+        <button type="button" class="compare-toggle${isActive ? ' active' : ''}" data-product-id="${productId}" aria-pressed="${isActive}">
+            Сравнить
+        </button>
+    `;
+}
+
+// Обновляет состояние кнопок сравнения на странице
+function updateCompareButtons() {
+    document.querySelectorAll('.compare-toggle').forEach(button => {
+        const isActive = comparison.has(parseInt(button.getAttribute('data-product-id')));
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+}
+
+// Рендерит плавающую панель сравнения
+function renderCompareTray() {
+    const compareTray = document.getElementById('compare-tray');
+    const compareTrayItems = document.getElementById('compare-tray-items');
+    const compareTrayCount = document.getElementById('compare-tray-count');
+    const compareTrayOpen = document.getElementById('compare-tray-open');
+    if (!compareTray || !compareTrayItems) return;
+
+    compareTray.hidden = comparison.getCount() === 0;
+    compareTrayCount.textContent = `${comparison.getCount()} из ${comparison.limit}`;
+    // Сравнение имеет смысл минимум для двух товаров
+    compareTrayOpen.disabled = comparison.getCount() < 2;
+
+    renderTemplate(compareTrayItems, html`${comparison.ids.map(id => {
+        const product = productManager.getProductById(id);
+        const name = product ? product.name : 'Товар загружается';
+
+        return html`
+            <li class="compare-tray__item">
+                ${product ? html`<img src="${product.image}" alt="" class="compare-tray__image">` : ''}
+                <span class="compare-tray__name">${name}</span>
+                <button type="button" class="compare-tray__remove" data-product-id="${id}" aria-label="Убрать «${name}» из сравнения">×</button>
+            </li>
+        `;
+    })}`);
+}
+
+// Рендерит таблицу сравнения
+function renderCompareTable() {
+    const compareTable = document.getElementById('compare-table');
+    if (!compareTable) return;
+
+    if (productManager.status !== 'ready') {
+        compareTable.innerHTML = '<p class="cart__loading">Загружаем товары...</p>';
+        return;
+    }
+
+    const { products, rows } = productManager.compareProducts(comparison.ids);
+
+    if (products.length < 2) {
+        compareTable.innerHTML = '<p class="cart__empty">Добавьте к сравнению хотя бы два товара</p>';
+        return;
+    }
+
+    const visibleRows = showOnlyDifferences ? rows.filter(row => row.isDifferent) : rows;
+
+    renderTemplate(compareTable, html`
+        <table class="compare">
+            <thead>
+                <tr>
+                    <th scope="col"><span class="sr-only">Характеристика</span></th>
+                    ${products.map(product => html`
+                        <th scope="col" class="compare__product">
+                            <img src="${product.image}" alt="" class="compare__image">
+                            <a href="#/product/${product.id}" class="compare__name">${product.name}</a>
+                            <button type="button" class="compare__remove" data-product-id="${product.id}">Убрать</button>
+                        </th>
+                    `)}
+                </tr>
+            </thead>
+            <tbody>
+                ${visibleRows.length === 0 ? html`
+                    <tr><td colspan="${products.length + 1}">Характеристики товаров совпадают</td></tr>
+                ` : visibleRows.map(row => html`
+                    <tr class="compare__row${row.isDifferent ? ' compare__row--different' : ''}">
+                        <th scope="row">${row.label}</th>
+                        ${row.values.map((value, index) => html`
+                            <td class="compare__cell${row.best.includes(index) ? ' compare__cell--best' : ''}">${value}</td>
+                        `)}
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `);
+}
+
+// Модальное окно сравнения (создаётся в initCompare)
+let compareDialog = null;
+
+// Открытие сравнения (обработчик маршрута #/compare)
+function showCompare() {
+    if (!compareDialog) return;
+
+    renderCompareTable();
+    compareDialog.open();
+
+    return hideCompare;
+}
+
+function hideCompare() {
+    if (compareDialog) {
+        compareDialog.close();
+    }
+}
+
+// Инициализация сравнения товаров
+function initCompare() {
+    const compareModal = document.getElementById('compare-modal');
+    const compareTable = document.getElementById('compare-table');
+    const compareDifferences = document.getElementById('compare-differences');
+    const compareTrayItems = document.getElementById('compare-tray-items');
+    const compareTrayOpen = document.getElementById('compare-tray-open');
+    const compareTrayClear = document.getElementById('compare-tray-clear');
+
+    if (compareModal) {
+        compareDialog = new ModalDialog(compareModal, {
+            onClose: () => router.back('/'),
+            returnFocus: '#compare-tray-open'
+        });
+    }
+
+    if (compareTable) {
+        compareTable.addEventListener('click', (e) => {
+            const button = e.target.closest('.compare__remove');
+            if (button) {
+                comparison.remove(parseInt(button.getAttribute('data-product-id')));
+            }
+        });
+    }
+
+    if (compareDifferences) {
+        compareDifferences.addEventListener('change', () => {
+            showOnlyDifferences = compareDifferences.checked;
+            renderCompareTable();
+        });
+    }
+
+    if (compareTrayItems) {
+        compareTrayItems.addEventListener('click', (e) => {
+            const button = e.target.closest('.compare-tray__remove');
+            if (button) {
+                comparison.remove(parseInt(button.getAttribute('data-product-id')));
+            }
+        });
+    }
+
+    if (compareTrayOpen) {
+        compareTrayOpen.addEventListener('click', () => router.navigate('/compare'));
+    }
+
+    if (compareTrayClear) {
+        compareTrayClear.addEventListener('click', () => comparison.clear());
+    }
+
+    // Кнопки сравнения есть в карточках каталога и в карточке товара
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.compare-toggle');
+        if (!button) return;
+
+        const result = comparison.toggle(parseInt(button.getAttribute('data-product-id')));
+        if (!result.success) {
+            showErrorMessage(result.error);
+        }
+    });
+
+    comparison.subscribe(updateCompareButtons);
+    comparison.subscribe(renderCompareTray);
+    comparison.subscribe(renderCompareTable);
+    currencyManager.subscribe(renderCompareTable);
+    renderCompareTray();
+}
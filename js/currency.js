@@ -0,0 +1,355 @@
+// currency.js
+// Модуль валют: курсы, пересчёт и форматирование сумм, переключатель валюты в шапке
+const CURRENCY_STORAGE_VERSION = 1;
+
+// Цены каталога, корзины и заказов хранятся в базовой валюте
+const BASE_CURRENCY = 'RUB';
+
+// Поддерживаемые валюты: локаль форматирования, знаков после запятой и шаг фильтра по цене
+const CURRENCIES = {
+    RUB: { name: 'Российский рубль', symbol: '₽', locale: 'ru-RU', fractionDigits: 0, priceStep: 1000 },
+    KZT: { name: 'Казахстанский тенге', symbol: '₸', locale: 'ru-KZ', fractionDigits: 0, priceStep: 5000 },
+    BYN: { name: 'Белорусский рубль', symbol: 'Br', locale: 'ru-BY', fractionDigits: 2, priceStep: 50 },
+    USD: { name: 'Доллар США', symbol: '$', locale: 'en-US', fractionDigits: 2, priceStep: 10 },
+    EUR: { name: 'Евро', symbol: '€', locale: 'de-DE', fractionDigits: 2, priceStep: 10 }
+};
+
+// Курсы для демо-режима: стоимость единицы валюты в рублях
+const MOCK_EXCHANGE_RATES = {
+    KZT: 0.1875,
+    BYN: 28.64,
+    USD: 92.45,
+    EUR: 100.37
+};
+
+/**
+ * Округляет сумму до заданного числа знаков после запятой (половина — от нуля).
+ * Сдвиг через экспоненту избавляет от ошибок двоичной арифметики: 1.005 → 1.01, а не 1
+ * @param {number} amount - Сумма
+ * @param {number} fractionDigits - Знаков после запятой
+ * @returns {number} - Округлённая сумма
+ */
+function roundAmount(amount, fractionDigits) {
+    const rounded = Math.round(Number(`${Math.abs(amount)}e${fractionDigits}`));
+    return Math.sign(amount) * Number(`${rounded}e-${fractionDigits}`);
+}
+
+/**
+ * Проверяет курсы валют, полученные от сервера
+ * @param {Object} data - { base, rates } — стоимость единицы валюты в базовой валюте
+ * @returns {Object} - Курсы поддерживаемых валют
+ * @throws {CatalogError} - Если данные некорректны
+ */
+function validateRatesData(data) {
+    if (!data || data.base !== BASE_CURRENCY || !data.rates || typeof data.rates !== 'object') {
+        throw new CatalogError('Некорректный формат курсов валют', { retryable: false });
+    }
+
+    // Курсы неизвестных валют и некорректные значения отбрасываются
+    return Object.keys(CURRENCIES).reduce((rates, code) => {
+        const rate = data.rates[code];
+        if (typeof rate === 'number' && Number.isFinite(rate) && rate > 0) {
+            rates[code] = rate;
+        }
+        return rates;
+    }, {});
+}
+
+/**
+ * Проверяет сохранённые настройки валюты
+ * @param {Object} data - Данные из хранилища
+ * @returns {boolean} - Результат проверки
+ */
+function validateCurrencyData(data) {
+    return Boolean(data) &&
+        typeof data.code === 'string' &&
+        Boolean(data.rates) &&
+        typeof data.rates === 'object';
+}
+
+// Курсы из встроенных данных (демо-режим)
+class MockRateSource {
+    /**
+     * @param {Object} rates - Стоимость единицы валюты в рублях
+     * @param {Object} options - Настройки
+     * @param {number} [options.delay] - Имитация задержки сети в мс
+     */
+    constructor(rates, { delay = DEFAULT_CATALOG_CONFIG.mockDelay } = {}) {
+        this.rates = rates;
+        this.delay = delay;
+    }
+
+    /**
+     * Загружает курсы валют
+     * @returns {Promise<Object>} - Курсы поддерживаемых валют
+     */
+    async fetchRates() {
+        await delay(this.delay);
+        return validateRatesData({ base: BASE_CURRENCY, rates: this.rates });
+    }
+}
+
+// Курсы с сервера: GET-запрос возвращает { base: 'RUB', rates: { USD: 92.45, ... } }
+class RestRateSource {
+    /**
+     * @param {Object} options - Настройки
+     * @param {string} options.url - Адрес курсов валют
+     * @param {number} [options.timeout] - Таймаут запроса в мс
+     */
+    constructor({ url, timeout }) {
+        this.api = new RestCatalogSource({ baseUrl: url, timeout });
+    }
+
+    /**
+     * Загружает курсы валют
+     * @returns {Promise<Object>} - Курсы поддерживаемых валют
+     */
+    async fetchRates() {
+        return validateRatesData(await this.api.request(''));
+    }
+}
+
+/**
+ * Создаёт источник курсов валют по настройкам
+ * @param {Object} config - Настройки (см. getCatalogConfig)
+ * @returns {MockRateSource|RestRateSource} - Источник курсов
+ */
+function createRateSource(config) {
+    if (config.ratesUrl) {
+        return new RestRateSource({ url: config.ratesUrl, timeout: config.timeout });
+    }
+
+    if (config.source === 'rest') {
+        return new RestRateSource({ url: `${config.baseUrl.replace(/\/+$/, '')}/rates`, timeout: config.timeout });
+    }
+
+    return new MockRateSource(MOCK_EXCHANGE_RATES, { delay: config.mockDelay });
+}
+
+class CurrencyManager {
+    /**
+     * @param {VersionedStore} store - Хранилище выбранной валюты и последних курсов
+     * @param {MockRateSource|RestRateSource} rateSource - Источник курсов
+     */
+    constructor(store, rateSource) {
+        this.store = store;
+        this.rateSource = rateSource;
+        this.listeners = new Set();
+        this.apply(this.store.load());
+
+        // Синхронизация с валютой, выбранной в другой вкладке
+        this.store.subscribe(data => {
+            this.apply(data);
+            this.emit();
+        });
+    }
+
+    /**
+     * Применяет сохранённые настройки. Валюта без курса заменяется базовой
+     * @param {Object} data - { code, rates }
+     */
+    apply(data) {
+        this.rates = { ...data.rates, [BASE_CURRENCY]: 1 };
+        this.code = this.isAvailable(data.code) ? data.code : BASE_CURRENCY;
+    }
+
+    /**
+     * Подписывается на смену валюты и обновление курсов
+     * @param {Function} listener - Обработчик, получает CurrencyManager
+     * @returns {Function} - Функция отписки
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Оповещает подписчиков об изменении
+    emit() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Сохраняет валюту и курсы: при следующем запуске цены сразу показываются в выбранной валюте
+    save() {
+        this.store.save({ code: this.code, rates: this.rates });
+    }
+
+    /**
+     * Проверяет, можно ли показывать цены в валюте
+     * @param {string} code - Код валюты
+     * @returns {boolean} - Валюта поддерживается и курс известен
+     */
+    isAvailable(code) {
+        return Boolean(CURRENCIES[code]) && typeof this.rates[code] === 'number';
+    }
+
+    /**
+     * Загружает актуальные курсы
+     * @returns {Promise<void>}
+     */
+    async loadRates() {
+        const rates = await this.rateSource.fetchRates();
+        this.apply({ code: this.code, rates });
+        this.save();
+        this.emit();
+    }
+
+    /**
+     * Выбирает валюту отображения цен
+     * @param {string} code - Код валюты
+     * @returns {Object} - { success, error }
+     */
+    setCurrency(code) {
+        if (!this.isAvailable(code)) {
+            return { success: false, error: 'Курс этой валюты сейчас недоступен' };
+        }
+
+        if (code !== this.code) {
+            this.code = code;
+            this.save();
+            this.emit();
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Текущая валюта и курс — фиксируются в заказе
+     * @returns {Object} - { code, rate }
+     */
+    getSnapshot() {
+        return { code: this.code, rate: this.rates[this.code] };
+    }
+
+    /**
+     * Пересчитывает сумму из базовой валюты
+     * @param {number} amount - Сумма в базовой валюте
+     * @param {Object} [currency] - { code, rate }, по умолчанию — текущая валюта
+     * @returns {number} - Сумма в валюте, округлённая до её минимальной единицы
+     */
+    convert(amount, currency = this.getSnapshot()) {
+        const { fractionDigits } = CURRENCIES[currency.code] || CURRENCIES[BASE_CURRENCY];
+        return roundAmount(amount / currency.rate, fractionDigits);
+    }
+
+    /**
+     * Пересчитывает сумму в базовую валюту (например, границу фильтра, введённую покупателем)
+     * @param {number} amount - Сумма в валюте
+     * @param {Object} [currency] - { code, rate }, по умолчанию — текущая валюта
+     * @returns {number} - Сумма в базовой валюте, округлённая до её минимальной единицы
+     */
+    toBase(amount, currency = this.getSnapshot()) {
+        return roundAmount(amount * currency.rate, CURRENCIES[BASE_CURRENCY].fractionDigits);
+    }
+
+    /**
+     * Пересчитывает расчёт заказа из базовой валюты так, чтобы показанные строки складывались в итог:
+     * цена позиции и каждая скидка пересчитываются один раз, суммы считаются из пересчитанных строк
+     * @param {Object} breakdown - Суммы в базовой валюте
+     * @param {Array} breakdown.items - Позиции { price, quantity }
+     * @param {Array} [breakdown.discounts] - Скидки { amount }
+     * @param {number} [breakdown.deliveryCost] - Стоимость доставки
+     * @param {Object} [currency] - { code, rate }, по умолчанию — текущая валюта
+     * @returns {Object} - { items, subtotal, discounts, discountTotal, deliveryCost, total } в валюте,
+     *                     у позиций пересчитаны price и total
+     */
+    convertBreakdown({ items, discounts = [], deliveryCost = 0 }, currency = this.getSnapshot()) {
+        const { fractionDigits } = CURRENCIES[currency.code] || CURRENCIES[BASE_CURRENCY];
+        const sum = amounts => roundAmount(amounts.reduce((total, amount) => total + amount, 0), fractionDigits);
+
+        const convertedItems = items.map(item => {
+            const price = this.convert(item.price, currency);
+            return { ...item, price, total: roundAmount(price * item.quantity, fractionDigits) };
+        });
+        const convertedDiscounts = discounts.map(discount => ({ ...discount, amount: this.convert(discount.amount, currency) }));
+        const convertedDeliveryCost = this.convert(deliveryCost, currency);
+        const subtotal = sum(convertedItems.map(item => item.total));
+        const discountTotal = sum(convertedDiscounts.map(discount => discount.amount));
+
+        return {
+            items: convertedItems,
+            subtotal,
+            discounts: convertedDiscounts,
+            discountTotal,
+            deliveryCost: convertedDeliveryCost,
+            // Скидка не больше суммы товаров, но после округления могла бы превысить её на копейку
+            total: Math.max(sum([subtotal, -discountTotal, convertedDeliveryCost]), 0)
+        };
+    }
+
+    /**
+     * Форматирует сумму в валюте
+     * @param {number} amount - Сумма в базовой валюте
+     * @param {Object} [currency] - { code, rate }, по умолчанию — текущая валюта
+     * @returns {string} - Например, «99 990 ₽» или «$1,081.56»
+     */
+    format(amount, currency = this.getSnapshot()) {
+        return this.formatAmount(this.convert(amount, currency), currency);
+    }
+
+    /**
+     * Форматирует сумму, уже пересчитанную в валюту (см. convertBreakdown)
+     * @param {number} amount - Сумма в валюте
+     * @param {Object} [currency] - { code, rate }, по умолчанию — текущая валюта
+     * @returns {string} - Например, «99 990 ₽» или «$1,081.56»
+     */
+    formatAmount(amount, currency = this.getSnapshot()) {
+        const { locale, fractionDigits } = CURRENCIES[currency.code] || CURRENCIES[BASE_CURRENCY];
+
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: currency.code,
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        }).format(amount);
+    }
+}
+
+// Инициализация валют: до загрузки курсов используются сохранённые
+const currencyManager = new CurrencyManager(new VersionedStore('techstore_currency', {
+    version: CURRENCY_STORAGE_VERSION,
+    validate: validateCurrencyData,
+    defaultValue: () => ({ code: BASE_CURRENCY, rates: {} })
+}), createRateSource(catalogConfig));
+
+// Рендерит переключатель валюты: валюты без курса недоступны
+function renderCurrencySelect() {
+    const currencySelect = document.getElementById('currency-select');
+    if (!currencySelect) return;
+
+    renderTemplate(currencySelect, html`${Object.entries(CURRENCIES).map(([code, currency]) => html`
+        <option value="${code}" title="${currency.name}"${currencyManager.isAvailable(code) ? '' : ' disabled'}>${currency.symbol} ${code}</option>
+    `)}`);
+    currencySelect.value = currencyManager.code;
+}
+
+// Обновляет суммы в статичной разметке (элементы с data-price — сумма в базовой валюте)
+function renderStaticPrices() {
+    document.querySelectorAll('[data-price]').forEach(element => {
+        element.textContent = formatPrice(parseFloat(element.getAttribute('data-price')));
+    });
+}
+
+// Инициализация переключателя валюты
+function initCurrency() {
+    const currencySelect = document.getElementById('currency-select');
+
+    if (currencySelect) {
+        currencySelect.addEventListener('change', () => {
+            const result = currencyManager.setCurrency(currencySelect.value);
+            if (!result.success) {
+                showErrorMessage(result.error);
+                currencySelect.value = currencyManager.code;
+            }
+        });
+    }
+
+    currencyManager.subscribe(renderCurrencySelect);
+    currencyManager.subscribe(renderStaticPrices);
+    renderCurrencySelect();
+    renderStaticPrices();
+
+    currencyManager.loadRates().catch(error => {
+        // Цены остаются в валюте с сохранённым курсом или в рублях
+        console.error('Не удалось загрузить курсы валют:', error);
+    });
+}
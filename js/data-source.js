@@ -0,0 +1,665 @@
+// data-source.js
+// Модуль источников данных каталога
+
+// Настройки по умолчанию. Переопределяются через window.TECHSTORE_CONFIG.
+// При локальной разработке — и параметрами адреса: ?source=rest&api=http://localhost:3001/api
+const DEFAULT_CATALOG_CONFIG = {
+    source: 'mock',
+    baseUrl: '/api',
+    timeout: 10000,
+    retries: 2,
+    retryDelay: 1000,
+    mockDelay: 500,
+    // Адрес курсов валют; по умолчанию — {baseUrl}/rates для REST и встроенные курсы для демо
+    ratesUrl: null
+};
+
+// Хосты локальной разработки. Только на них настройки можно переопределить параметрами адреса:
+// иначе ссылка на магазин с ?api=... отправила бы данные пользователя на чужой сервер
+const DEV_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// Ошибка загрузки данных каталога
+class CatalogError extends Error {
+    /**
+     * @param {string} message - Сообщение об ошибке
+     * @param {Object} options - Дополнительные сведения
+     * @param {number} [options.status] - HTTP-статус ответа
+     * @param {boolean} [options.retryable] - Можно ли повторить запрос
+     */
+    constructor(message, { status = null, retryable = true } = {}) {
+        super(message);
+        this.name = 'CatalogError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+// Параметры вариантов товара в порядке вывода. Значения параметров,
+// совпадающие с ключами SPEC_ATTRIBUTES (main.js), заменяют характеристики товара
+const VARIANT_OPTIONS = {
+    color: { label: 'Цвет' },
+    storage: { label: 'Память', unit: 'ГБ' }
+};
+
+// Демонстрационный каталог для MockCatalogSource.
+// Ключи specs — атрибуты из SPEC_ATTRIBUTES (main.js), числовые значения без единиц измерения.
+// Товар с вариантами задаёт цену, остаток и изображения в каждом варианте (variants),
+// товар без вариантов — в самой записи (price, stock, image)
+const MOCK_PRODUCTS = [
+    {
+        id: 1,
+        name: 'iPhone 14 Pro',
+        description: 'Новейший смартфон от Apple с улучшенной камерой',
+        category: 'smartphones',
+        brand: 'Apple',
+        popularity: 95,
+        maxPerOrder: 3,
+        images: ['images/iphnoe14.png'],
+        variants: [
+            { sku: 'APL-IP14P-128-BLK', options: { color: 'Космический чёрный', storage: 128 }, price: 99990, stock: 5 },
+            { sku: 'APL-IP14P-256-BLK', options: { color: 'Космический чёрный', storage: 256 }, price: 109990, stock: 3 },
+            { sku: 'APL-IP14P-128-PRP', options: { color: 'Тёмно-фиолетовый', storage: 128 }, price: 99990, stock: 4 },
+            { sku: 'APL-IP14P-256-PRP', options: { color: 'Тёмно-фиолетовый', storage: 256 }, price: 109990, stock: 0 },
+            { sku: 'APL-IP14P-512-PRP', options: { color: 'Тёмно-фиолетовый', storage: 512 }, price: 129990, stock: 2 }
+        ],
+        fullDescription: 'Флагманский смартфон с экраном Super Retina XDR, динамическим островом Dynamic Island и основной камерой 48 Мп. Процессор A16 Bionic обеспечивает высокую производительность и энергоэффективность.',
+        specs: {
+            screenSize: 6.1,
+            screenType: 'OLED',
+            processor: 'A16 Bionic',
+            storage: 128,
+            camera: 48,
+            weight: 206
+        }
+    },
+    {
+        id: 2,
+        name: 'Samsung Galaxy S23',
+        description: 'Флагманский смартфон от Samsung с мощным процессором',
+        category: 'smartphones',
+        brand: 'Samsung',
+        popularity: 80,
+        images: ['images/samsunhgs23.png'],
+        variants: [
+            { sku: 'SMS-S23-256-BLK', options: { color: 'Чёрный', storage: 256 }, price: 79990, stock: 2 },
+            { sku: 'SMS-S23-256-GRN', options: { color: 'Зелёный', storage: 256 }, price: 79990, stock: 2 },
+            { sku: 'SMS-S23-512-BLK', options: { color: 'Чёрный', storage: 512 }, price: 89990, stock: 1 }
+        ],
+        fullDescription: 'Компактный флагман с ярким дисплеем Dynamic AMOLED 2X и процессором Snapdragon 8 Gen 2. Тройная камера с основным модулем 50 Мп снимает чёткие фото даже при слабом освещении.',
+        specs: {
+            screenSize: 6.1,
+            screenType: 'Dynamic AMOLED 2X',
+            processor: 'Snapdragon 8 Gen 2',
+            storage: 256,
+            camera: 50,
+            weight: 168
+        }
+    },
+    {
+        id: 3,
+        name: 'MacBook Air M2',
+        description: 'Легкий и мощный ноутбук от Apple',
+        price: 129990,
+        category: 'laptops',
+        brand: 'Apple',
+        popularity: 90,
+        stock: 7,
+        maxPerOrder: 2,
+        image: 'images/macbookarim2.png',
+        fullDescription: 'Тонкий ноутбук без вентилятора на чипе Apple M2. Дисплей Liquid Retina, до 18 часов автономной работы и корпус толщиной всего 11,3 мм.',
+        specs: {
+            screenSize: 13.6,
+            screenType: 'Liquid Retina',
+            processor: 'Apple M2',
+            ram: 8,
+            storage: 256,
+            weight: 1240
+        }
+    },
+    {
+        id: 4,
+        name: 'Dell XPS 13',
+        description: 'Компактный ноутбук с безрамочным дисплеем',
+        price: 89990,
+        category: 'laptops',
+        brand: 'Dell',
+        popularity: 60,
+        stock: 0,
+        image: 'images/dellXPS13.png',
+        fullDescription: 'Премиальный ультрабук с безрамочным дисплеем InfinityEdge и алюминиевым корпусом. Подходит для работы, учёбы и поездок.',
+        specs: {
+            screenSize: 13.4,
+            screenType: 'FHD+',
+            processor: 'Intel Core i7-1250U',
+            ram: 16,
+            storage: 512,
+            weight: 1170
+        }
+    },
+    {
+        id: 5,
+        name: 'iPad Pro',
+        description: 'Мощный планшет для работы и творчества',
+        category: 'tablets',
+        brand: 'Apple',
+        popularity: 75,
+        images: ['images/Ipadpro.png'],
+        variants: [
+            { sku: 'APL-IPADP11-128-GRY', options: { color: 'Серый космос', storage: 128 }, price: 74990, stock: 2 },
+            { sku: 'APL-IPADP11-256-GRY', options: { color: 'Серый космос', storage: 256 }, price: 84990, stock: 1 },
+            { sku: 'APL-IPADP11-128-SLV', options: { color: 'Серебристый', storage: 128 }, price: 74990, stock: 0 }
+        ],
+        fullDescription: 'Планшет на чипе Apple M2 с дисплеем Liquid Retina и поддержкой Apple Pencil. Заменит ноутбук для работы с графикой, видео и документами.',
+        specs: {
+            screenSize: 11,
+            screenType: 'Liquid Retina',
+            processor: 'Apple M2',
+            storage: 128,
+            weight: 466
+        }
+    },
+    {
+        id: 6,
+        name: 'Samsung Galaxy Tab S8',
+        description: 'Планшет с S-Pen для заметок и рисования',
+        price: 54990,
+        category: 'tablets',
+        brand: 'Samsung',
+        popularity: 55,
+        stock: 15,
+        image: 'images/samsunggalaxy.png',
+        fullDescription: 'Планшет с дисплеем 120 Гц и стилусом S-Pen в комплекте. Удобен для заметок, рисования и просмотра видео.',
+        specs: {
+            screenSize: 11,
+            screenType: 'LTPS TFT',
+            processor: 'Snapdragon 8 Gen 1',
+            storage: 128,
+            weight: 503
+        }
+    },
+    {
+        id: 7,
+        name: 'AirPods Pro',
+        description: 'Беспроводные наушники с шумоподавлением',
+        price: 24990,
+        category: 'accessories',
+        brand: 'Apple',
+        popularity: 85,
+        stock: 25,
+        maxPerOrder: 5,
+        image: 'images/airposd.png',
+        fullDescription: 'Беспроводные наушники с активным шумоподавлением, режимом прозрачности и пространственным звуком. Зарядный футляр с MagSafe.',
+        specs: {
+            headphoneType: 'Внутриканальные',
+            noiseCancelling: 'Активное',
+            batteryLife: 6,
+            weight: 5.3
+        }
+    },
+    {
+        id: 8,
+        name: 'Apple Watch Series 8',
+        description: 'Умные часы с функциями для здоровья',
+        price: 39990,
+        category: 'accessories',
+        brand: 'Apple',
+        popularity: 70,
+        stock: 9,
+        image: 'images/apllewatch.png',
+        fullDescription: 'Умные часы с датчиком температуры, ЭКГ и функцией обнаружения аварий. Защищены от пыли и воды.',
+        specs: {
+            screenSize: 1.9,
+            screenType: 'OLED',
+            caseSize: 45,
+            batteryLife: 18,
+            waterResistance: 'WR50'
+        }
+    }
+];
+
+// Демонстрационные отзывы для MockCatalogSource
+const MOCK_REVIEWS = [
+    { id: 'r1', productId: 1, rating: 5, author: 'Алексей', date: '2024-03-12T10:15:00.000Z', text: 'Камера действительно отличная, ночные снимки без шумов. Dynamic Island быстро привыкаешь.' },
+    { id: 'r2', productId: 1, rating: 4, author: 'Марина', date: '2024-02-28T18:40:00.000Z', text: 'Хороший телефон, но к вечеру заряда остаётся немного. Тяжеловат по сравнению с прошлым.' },
+    { id: 'r3', productId: 1, rating: 5, author: 'Игорь', date: '2024-01-19T08:05:00.000Z', text: 'Перешёл с Android и не жалею. Всё работает плавно, экран очень яркий на солнце.' },
+    { id: 'r4', productId: 2, rating: 4, author: 'Ольга', date: '2024-03-02T12:30:00.000Z', text: 'Компактный и быстрый, удобно пользоваться одной рукой. Зарядку пришлось докупать.' },
+    { id: 'r5', productId: 2, rating: 3, author: 'Денис', date: '2024-02-10T21:10:00.000Z', text: 'Неплохой смартфон, но в играх заметно греется. Камера днём хорошая, вечером средняя.' },
+    { id: 'r6', productId: 3, rating: 5, author: 'Екатерина', date: '2024-03-15T09:00:00.000Z', text: 'Тихий, лёгкий, батареи хватает на весь рабочий день. Для работы с документами идеален.' },
+    { id: 'r7', productId: 3, rating: 5, author: 'Сергей', date: '2024-01-25T16:20:00.000Z', text: 'Лучший ноутбук, который у меня был. Экран и клавиатура на высоте.' },
+    { id: 'r8', productId: 5, rating: 4, author: 'Анна', date: '2024-02-18T14:45:00.000Z', text: 'Рисую с Apple Pencil каждый день — задержки нет. Жаль, что клавиатура продаётся отдельно.' },
+    { id: 'r9', productId: 7, rating: 5, author: 'Павел', date: '2024-03-08T07:30:00.000Z', text: 'Шумоподавление в метро спасает. Сидят плотно и не выпадают при беге.' },
+    { id: 'r10', productId: 7, rating: 4, author: 'Наталья', date: '2024-02-01T19:55:00.000Z', text: 'Звук хороший, но футляр быстро царапается. В целом довольна покупкой.' },
+    { id: 'r11', productId: 8, rating: 4, author: 'Виктор', date: '2024-01-30T11:10:00.000Z', text: 'Удобно следить за тренировками и сном. Заряжать приходится каждый день.' }
+];
+
+/**
+ * Проверяет отзыв о товаре
+ * @param {Object} review - Отзыв
+ * @returns {boolean} - Результат проверки
+ */
+function isValidReview(review) {
+    return Boolean(review) &&
+        typeof review.productId === 'number' &&
+        Number.isInteger(review.rating) && review.rating >= 1 && review.rating <= 5 &&
+        typeof review.text === 'string' &&
+        typeof review.author === 'string' &&
+        typeof review.date === 'string';
+}
+
+/**
+ * Проверяет отзывы, сохранённые на устройстве
+ * @param {Object} data - Данные из хранилища
+ * @returns {boolean} - Результат проверки
+ */
+function validateReviewsData(data) {
+    return Boolean(data) && Array.isArray(data.reviews) && data.reviews.every(isValidReview);
+}
+
+/**
+ * Рассчитывает средний рейтинг товара
+ * @param {Array} reviews - Отзывы о товаре
+ * @returns {Object} - { rating, reviewCount }. rating — среднее с точностью до десятых или null без отзывов
+ */
+function summarizeReviews(reviews) {
+    if (reviews.length === 0) {
+        return { rating: null, reviewCount: 0 };
+    }
+
+    const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+    return { rating: Math.round(total / reviews.length * 10) / 10, reviewCount: reviews.length };
+}
+
+/**
+ * Проверяет, что ответ источника похож на список товаров
+ * @param {*} data - Данные от источника
+ * @returns {Array} - Массив товаров
+ */
+function validateCatalogData(data) {
+    const products = Array.isArray(data) ? data : data && data.products;
+
+    if (!Array.isArray(products)) {
+        throw new CatalogError('Некорректный формат каталога', { retryable: false });
+    }
+
+    return products.filter(product =>
+        product &&
+        typeof product.id === 'number' &&
+        typeof product.name === 'string' &&
+        (Array.isArray(product.variants) && product.variants.length
+            ? product.variants.every(variant => variant && typeof variant.sku === 'string' && typeof variant.price === 'number')
+            : typeof product.price === 'number')
+    );
+}
+
+/**
+ * Приводит товар к единой модели: у каждого товара есть список изображений и хотя бы
+ * один вариант со своим артикулом, ценой и остатком. Цена товара — минимальная цена
+ * вариантов, остаток — суммарный остаток вариантов
+ * @param {Object} product - Товар из источника данных
+ * @returns {Object} - Товар с полями images, image, variants, price и stock
+ */
+function normalizeProduct(product) {
+    const images = product.images && product.images.length ? product.images : [product.image].filter(Boolean);
+    const variants = (product.variants && product.variants.length
+        ? product.variants
+        // Товар без вариантов — один вариант с артикулом по ID товара
+        : [{ sku: product.sku || `TS-${product.id}`, price: product.price, stock: product.stock }]
+    ).map(variant => ({
+        ...variant,
+        options: variant.options || {},
+        maxPerOrder: variant.maxPerOrder || product.maxPerOrder,
+        images: variant.images && variant.images.length ? variant.images : images
+    }));
+    const stocks = variants.map(variant => variant.stock);
+
+    return {
+        ...product,
+        specs: product.specs || {},
+        images,
+        image: images[0],
+        variants,
+        rating: typeof product.rating === 'number' ? product.rating : null,
+        reviewCount: product.reviewCount || 0,
+        price: Math.min(...variants.map(variant => variant.price)),
+        // Без данных об остатке хотя бы одного варианта товар доступен без ограничений
+        stock: stocks.every(stock => typeof stock === 'number')
+            ? stocks.reduce((total, stock) => total + Math.max(stock, 0), 0)
+            : undefined
+    };
+}
+
+/**
+ * Находит вариант товара по артикулу. Без артикула возвращает вариант по умолчанию —
+ * первый вариант в наличии
+ * @param {Object} product - Товар (после normalizeProduct)
+ * @param {string|null} [sku] - Артикул
+ * @returns {Object|null} - Вариант или null, если артикула нет у товара
+ */
+function findVariant(product, sku = null) {
+    if (sku) {
+        return product.variants.find(variant => variant.sku === sku) || null;
+    }
+
+    return product.variants.find(variant => getProductStock(variant) > 0) || product.variants[0];
+}
+
+/**
+ * Форматирует параметры варианта для вывода
+ * @param {Object} options - Параметры варианта { color, storage, ... }
+ * @returns {string} - Например, «Тёмно-фиолетовый, 256 ГБ» (пустая строка без параметров)
+ */
+function formatVariantOptions(options) {
+    return Object.entries(VARIANT_OPTIONS)
+        .filter(([key]) => options[key] !== undefined)
+        .map(([key, option]) => option.unit ? `${options[key]} ${option.unit}` : String(options[key]))
+        .join(', ');
+}
+
+/**
+ * Проверяет, различаются ли цены вариантов товара
+ * @param {Object} product - Товар (после normalizeProduct)
+ * @returns {boolean} - Результат проверки
+ */
+function hasPriceRange(product) {
+    return product.variants.some(variant => variant.price !== product.price);
+}
+
+/**
+ * Ждёт указанное время
+ * @param {number} ms - Задержка в миллисекундах
+ * @returns {Promise} - Промис, выполняющийся после задержки
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Источник данных на основе локального массива (для разработки и демо)
+class MockCatalogSource {
+    /**
+     * @param {Array} products - Массив товаров
+     * @param {Object} options - Настройки
+     * @param {number} [options.delay] - Имитация задержки сети в мс
+     * @param {Array} [options.reviews] - Отзывы о товарах
+     */
+    constructor(products, { delay: mockDelay = 0, reviews = [] } = {}) {
+        this.products = products;
+        this.reviews = reviews;
+        this.delay = mockDelay;
+        this.reviewStore = null;
+    }
+
+    /**
+     * Получает хранилище отзывов, оставленных на этом устройстве.
+     * Создаётся при первом обращении: источник данных создаётся раньше, чем загружается storage.js
+     * @returns {VersionedStore} - Хранилище отзывов
+     */
+    getReviewStore() {
+        if (!this.reviewStore) {
+            this.reviewStore = new VersionedStore('techstore_reviews', {
+                version: 1,
+                validate: validateReviewsData,
+                defaultValue: () => ({ reviews: [] })
+            });
+        }
+
+        return this.reviewStore;
+    }
+
+    /**
+     * Получает отзывы о товаре, новые — первыми
+     * @param {number} productId - ID товара
+     * @returns {Array} - Отзывы
+     */
+    getProductReviews(productId) {
+        return [...this.reviews, ...this.getReviewStore().load().reviews]
+            .filter(review => review.productId === productId)
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * Загружает товары
+     * @returns {Promise<Array>} - Промис с массивом товаров
+     */
+    async fetchProducts() {
+        await delay(this.delay);
+        const products = this.products.map(product => ({
+            ...product,
+            ...summarizeReviews(this.getProductReviews(product.id))
+        }));
+        // Отдаём копии, чтобы изменения в приложении не портили исходные данные
+        return validateCatalogData(JSON.parse(JSON.stringify(products)));
+    }
+
+    /**
+     * Загружает отзывы о товаре
+     * @param {number} productId - ID товара
+     * @returns {Promise<Array>} - Промис с отзывами, новые — первыми
+     */
+    async fetchReviews(productId) {
+        await delay(this.delay);
+        return JSON.parse(JSON.stringify(this.getProductReviews(productId)));
+    }
+
+    /**
+     * Добавляет отзыв о товаре
+     * @param {number} productId - ID товара
+     * @param {Object} review - { rating, text, author }
+     * @returns {Promise<Object>} - { review, rating, reviewCount } — отзыв и новый рейтинг товара
+     */
+    async addReview(productId, { rating, text, author }) {
+        await delay(this.delay);
+
+        if (!this.products.some(product => product.id === productId)) {
+            throw new CatalogError('Товар не найден', { status: 404, retryable: false });
+        }
+
+        const review = {
+            id: `r${Date.now()}`,
+            productId,
+            rating,
+            text: text.trim(),
+            author: author.trim(),
+            date: new Date().toISOString()
+        };
+
+        if (!isValidReview(review)) {
+            throw new CatalogError('Некорректный отзыв', { status: 400, retryable: false });
+        }
+
+        const store = this.getReviewStore();
+        const data = store.load();
+        data.reviews.push(review);
+        store.save(data);
+
+        return { review, ...summarizeReviews(this.getProductReviews(productId)) };
+    }
+}
+
+// Источник данных на основе REST/JSON API
+class RestCatalogSource {
+    /**
+     * @param {Object} options - Настройки
+     * @param {string} options.baseUrl - Базовый адрес API
+     * @param {number} [options.timeout] - Таймаут запроса в мс
+     */
+    constructor({ baseUrl, timeout = DEFAULT_CATALOG_CONFIG.timeout }) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.timeout = timeout;
+    }
+
+    /**
+     * Выполняет запрос и разбирает JSON
+     * @param {string} path - Путь относительно baseUrl
+     * @param {Object} options - Параметры запроса
+     * @param {string} [options.method] - HTTP-метод
+     * @param {Object} [options.body] - Тело запроса
+     * @returns {Promise<*>} - Промис с данными ответа
+     */
+    async request(path, { method = 'GET', body } = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const headers = { 'Accept': 'application/json' };
+
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new CatalogError(`Сервер вернул ошибку ${response.status}`, {
+                    status: response.status,
+                    // Ошибки клиента (кроме 408 и 429) повторять бессмысленно
+                    retryable: response.status >= 500 || response.status === 408 || response.status === 429
+                });
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (error instanceof CatalogError) {
+                throw error;
+            }
+
+            if (error.name === 'AbortError') {
+                throw new CatalogError('Превышено время ожидания ответа сервера');
+            }
+
+            if (error instanceof SyntaxError) {
+                throw new CatalogError('Сервер вернул некорректные данные', { retryable: false });
+            }
+
+            throw new CatalogError('Нет соединения с сервером');
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Загружает товары
+     * @returns {Promise<Array>} - Промис с массивом товаров
+     */
+    async fetchProducts() {
+        return validateCatalogData(await this.request('/products'));
+    }
+
+    /**
+     * Загружает отзывы о товаре
+     * @param {number} productId - ID товара
+     * @returns {Promise<Array>} - Промис с отзывами, новые — первыми
+     */
+    async fetchReviews(productId) {
+        const reviews = await this.request(`/products/${productId}/reviews`);
+
+        if (!Array.isArray(reviews)) {
+            throw new CatalogError('Некорректный формат отзывов', { retryable: false });
+        }
+
+        return reviews.filter(isValidReview);
+    }
+
+    /**
+     * Добавляет отзыв о товаре
+     * @param {number} productId - ID товара
+     * @param {Object} review - { rating, text, author }
+     * @returns {Promise<Object>} - { review, rating, reviewCount } — отзыв и новый рейтинг товара
+     */
+    async addReview(productId, review) {
+        return this.request(`/products/${productId}/reviews`, { method: 'POST', body: review });
+    }
+}
+
+/**
+ * Выполняет загрузку с повторными попытками
+ * @param {Function} task - Функция, возвращающая промис
+ * @param {Object} options - Настройки
+ * @param {number} options.retries - Количество повторных попыток
+ * @param {number} options.retryDelay - Базовая задержка между попытками в мс
+ * @param {Function} [options.onRetry] - Колбэк перед повторной попыткой (номер попытки, ошибка)
+ * @returns {Promise<*>} - Результат задачи
+ */
+async function withRetry(task, { retries, retryDelay, onRetry }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            const retryable = !(error instanceof CatalogError) || error.retryable;
+
+            if (!retryable || attempt >= retries) {
+                throw error;
+            }
+
+            if (onRetry) {
+                onRetry(attempt + 1, error);
+            }
+
+            // Экспоненциальная задержка: 1x, 2x, 4x...
+            await delay(retryDelay * Math.pow(2, attempt));
+        }
+    }
+}
+
+/**
+ * Собирает настройки источника данных
+ * @returns {Object} - Итоговые настройки
+ */
+function getCatalogConfig() {
+    const config = { ...DEFAULT_CATALOG_CONFIG, ...(window.TECHSTORE_CONFIG || {}) };
+
+    if (!isDevHostname(window.location.hostname)) {
+        return config;
+    }
+
+    const params = new URLSearchParams(window.location.search);
+
+    if (params.has('source')) {
+        config.source = params.get('source');
+    }
+
+    if (params.has('api') && isDevApiUrl(params.get('api'))) {
+        config.baseUrl = params.get('api');
+    }
+
+    return config;
+}
+
+/**
+ * Проверяет, что хост — машина разработчика
+ * @param {string} hostname - Имя хоста
+ * @returns {boolean} - Результат проверки
+ */
+function isDevHostname(hostname) {
+    return DEV_HOSTNAMES.includes(hostname);
+}
+
+/**
+ * Проверяет адрес API из параметров страницы: разрешены только локальные серверы
+ * @param {string} url - Адрес API
+ * @returns {boolean} - Результат проверки
+ */
+function isDevApiUrl(url) {
+    try {
+        const parsed = new URL(url, window.location.href);
+        return /^https?:$/.test(parsed.protocol) && isDevHostname(parsed.hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Создаёт источник данных по настройкам
+ * @param {Object} config - Настройки источника
+ * @returns {MockCatalogSource|RestCatalogSource} - Источник данных
+ */
+function createCatalogSource(config) {
+    if (config.source === 'rest') {
+        return new RestCatalogSource(config);
+    }
+
+    return new MockCatalogSource(MOCK_PRODUCTS, { delay: config.mockDelay, reviews: MOCK_REVIEWS });
+}
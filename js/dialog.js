@@ -0,0 +1,167 @@
+// dialog.js
+// Модуль модальных окон: перехват фокуса, закрытие по Escape и возврат фокуса после закрытия
+
+// Элементы, которые получают фокус с клавиатуры
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Открытые окна в порядке открытия: клавиатуру обрабатывает последнее
+const openDialogs = [];
+
+/**
+ * Проверяет, может ли элемент сейчас получить фокус
+ * @param {HTMLElement} element - Элемент
+ * @returns {boolean} - Элемент видим
+ */
+function isFocusable(element) {
+    // checkVisibility учитывает display: none у родителей (неактивные шаги мастера, поля другого способа доставки)
+    return !element.closest('[hidden]') && (!element.checkVisibility || element.checkVisibility());
+}
+
+class ModalDialog {
+    /**
+     * @param {HTMLElement} element - Элемент модального окна (.modal)
+     * @param {Object} options - Настройки
+     * @param {Function} options.onClose - Запрос закрытия: Escape, крестик или клик по подложке.
+     *                                     Окно закрывает метод close — обычно при уходе с маршрута
+     * @param {string} [options.returnFocus] - Селектор элемента, получающего фокус после закрытия,
+     *                                         если окно открыто не из интерфейса (по ссылке или кнопкой «Назад»)
+     */
+    constructor(element, { onClose, returnFocus = null }) {
+        this.element = element;
+        this.content = element.querySelector('.modal__content') || element;
+        this.onClose = onClose;
+        this.returnFocus = returnFocus;
+        this.opener = null;
+
+        this.element.setAttribute('aria-modal', 'true');
+        // Фокус при открытии переводится на окно целиком: программа чтения озвучит его заголовок
+        this.content.setAttribute('tabindex', '-1');
+
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element || e.target.classList.contains('modal__overlay') || e.target.closest('.modal__close')) {
+                this.onClose();
+            }
+        });
+    }
+
+    /**
+     * Проверяет, открыто ли окно
+     * @returns {boolean} - Результат проверки
+     */
+    isOpen() {
+        return openDialogs.includes(this);
+    }
+
+    // Открывает окно и переводит в него фокус. Повторный вызов для открытого окна ничего не делает
+    open() {
+        if (this.isOpen()) return;
+
+        const activeElement = document.activeElement;
+        this.opener = activeElement && activeElement !== document.body && !this.element.contains(activeElement)
+            ? activeElement
+            : null;
+
+        openDialogs.push(this);
+        this.element.classList.add('active');
+        this.element.setAttribute('aria-hidden', 'false');
+        document.body.style.overflow = 'hidden';
+        this.content.focus();
+    }
+
+    // Закрывает окно и возвращает фокус элементу, из которого оно было открыто
+    close() {
+        const index = openDialogs.indexOf(this);
+        if (index === -1) return;
+
+        openDialogs.splice(index, 1);
+        this.element.classList.remove('active');
+        this.element.setAttribute('aria-hidden', 'true');
+
+        if (openDialogs.length === 0) {
+            document.body.style.overflow = '';
+        }
+
+        // Элемент мог исчезнуть при перерисовке или оказаться в закрытом окне
+        const opener = this.opener && this.opener.isConnected && !this.opener.closest('[aria-hidden="true"]')
+            ? this.opener
+            : null;
+        const target = opener || (this.returnFocus && document.querySelector(this.returnFocus));
+
+        if (target && openDialogs.length === 0) {
+            target.focus();
+        }
+
+        this.opener = null;
+    }
+
+    /**
+     * Получает элементы окна, доступные с клавиатуры
+     * @returns {Array<HTMLElement>} - Элементы в порядке обхода
+     */
+    getFocusableElements() {
+        return Array.from(this.content.querySelectorAll(FOCUSABLE_SELECTOR)).filter(isFocusable);
+    }
+
+    /**
+     * Обрабатывает клавиатуру верхнего окна: Escape закрывает его, Tab не выводит фокус за пределы окна
+     * @param {KeyboardEvent} e - Событие клавиатуры
+     */
+    handleKeydown(e) {
+        if (e.defaultPrevented) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.onClose();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusableElements();
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const activeElement = document.activeElement;
+
+        if (!first) {
+            e.preventDefault();
+            this.content.focus();
+        } else if (e.shiftKey && (activeElement === first || activeElement === this.content || !this.content.contains(activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (activeElement === last || !this.content.contains(activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+/**
+ * Возвращает верхнее открытое окно
+ * @returns {ModalDialog|null} - Окно
+ */
+function getTopDialog() {
+    return openDialogs[openDialogs.length - 1] || null;
+}
+
+document.addEventListener('keydown', (e) => {
+    const dialog = getTopDialog();
+    if (dialog) {
+        dialog.handleKeydown(e);
+    }
+});
+
+// Фокус, ушедший за пределы открытого окна (например, по клику мышью), возвращается в окно.
+// Кнопки всплывающих уведомлений («Отменить») остаются доступными
+document.addEventListener('focusin', (e) => {
+    const dialog = getTopDialog();
+    if (dialog && !dialog.element.contains(e.target) && !e.target.closest('.toasts')) {
+        dialog.content.focus();
+    }
+});
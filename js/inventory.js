@@ -0,0 +1,62 @@
+// inventory.js
+// Модуль складских остатков и ограничений на количество в заказе
+const LOW_STOCK_THRESHOLD = 5;
+const DEFAULT_MAX_PER_ORDER = 10;
+
+const STOCK_STATUSES = {
+    'in-stock': 'В наличии',
+    low: 'Мало',
+    'out-of-stock': 'Нет в наличии'
+};
+
+/**
+ * Получает остаток товара. Товары без данных об остатке считаются доступными без ограничений
+ * @param {Object} product - Объект товара
+ * @returns {number} - Количество на складе
+ */
+function getProductStock(product) {
+    return typeof product.stock === 'number' ? Math.max(product.stock, 0) : Infinity;
+}
+
+/**
+ * Определяет статус наличия товара
+ * @param {Object} product - Объект товара
+ * @returns {string} - Ключ STOCK_STATUSES
+ */
+function getStockStatus(product) {
+    const stock = getProductStock(product);
+
+    if (stock === 0) return 'out-of-stock';
+    if (stock <= LOW_STOCK_THRESHOLD) return 'low';
+    return 'in-stock';
+}
+
+/**
+ * Максимальное количество товара в одном заказе с учётом остатка
+ * @param {Object} product - Объект товара
+ * @returns {number} - Допустимое количество
+ */
+function getOrderLimit(product) {
+    const maxPerOrder = product.maxPerOrder || DEFAULT_MAX_PER_ORDER;
+    return Math.min(getProductStock(product), maxPerOrder);
+}
+
+/**
+ * Формирует сообщение о превышении допустимого количества
+ * @param {Object} product - Объект товара
+ * @returns {string} - Текст сообщения
+ */
+function getOrderLimitMessage(product) {
+    const stock = getProductStock(product);
+    const limit = getOrderLimit(product);
+
+    if (stock === 0) {
+        return `Товара «${product.name}» нет в наличии`;
+    }
+
+    if (limit === stock) {
+        return `В наличии только ${stock} шт. товара «${product.name}»`;
+    }
+
+    return `Можно заказать не более ${limit} шт. товара «${product.name}»`;
+}
@@ -8,6 +8,12 @@ function initApp() {
     // Загрузка товаров
     loadProducts();
     
+    // Инициализация валют
+    initCurrency();
+    
+    // Инициализация масок ввода
+    initInputMasks();
+    
     // Инициализация фильтрации
     initFilter();
     
@@ -16,129 +22,319 @@ function initApp() {
     
     // Инициализация корзины
     initCart();
+    
+    // Инициализация оформления заказа
+    initCheckout();
+    
+    // Инициализация карточки товара
+    initProductDetails();
+    
+    // Инициализация учётных записей
+    initAuth();
+    
+    // Инициализация истории заказов
+    initOrders();
+    
+    // Инициализация избранного
+    initWishlist();
+    
+    // Инициализация сравнения товаров
+    initCompare();
+    
+    // Инициализация отзывов
+    initReviews();
+    
+    // Инициализация рекомендаций
+    initRecommendations();
+    
+    // Инициализация офлайн-режима
+    initOffline();
+    
+    // Инициализация маршрутизации (после всех модулей, чьи представления она открывает)
+    initRouter();
+}
+
+// Названия категорий каталога
+const CATEGORY_NAMES = {
+    smartphones: 'Смартфоны',
+    laptops: 'Ноутбуки',
+    tablets: 'Планшеты',
+    accessories: 'Аксессуары'
+};
+
+// Атрибуты характеристик товаров в порядке вывода.
+//   unit   — единица измерения числового значения
+//   better — какое значение лучше при сравнении: 'higher' или 'lower'
+//   format — собственное форматирование значения
+const SPEC_ATTRIBUTES = {
+    screenSize: { label: 'Диагональ экрана', unit: '"', better: 'higher' },
+    screenType: { label: 'Тип экрана' },
+    processor: { label: 'Процессор' },
+    ram: { label: 'Оперативная память', unit: 'ГБ', better: 'higher' },
+    storage: { label: 'Встроенная память', unit: 'ГБ', better: 'higher' },
+    camera: { label: 'Камера', unit: 'Мп', better: 'higher' },
+    headphoneType: { label: 'Тип' },
+    noiseCancelling: { label: 'Шумоподавление' },
+    caseSize: { label: 'Корпус', unit: 'мм' },
+    batteryLife: { label: 'Время работы', unit: 'ч', better: 'higher' },
+    waterResistance: { label: 'Защита от воды' },
+    weight: {
+        label: 'Вес',
+        better: 'lower',
+        format: grams => grams >= 1000
+            ? `${(grams / 1000).toLocaleString('ru-RU')} кг`
+            : `${grams.toLocaleString('ru-RU')} г`
+    }
+};
+
+// Варианты сортировки каталога
+const SORT_OPTIONS = {
+    default: 'По умолчанию',
+    popularity: 'По популярности',
+    'price-asc': 'Сначала дешевле',
+    'price-desc': 'Сначала дороже',
+    'name-asc': 'По названию',
+    rating: 'По рейтингу'
+};
+
+// Допустимые значения фильтра по минимальному рейтингу
+const MIN_RATING_OPTIONS = [3, 4, 4.5];
+
+// Параметры запроса к каталогу по умолчанию
+const DEFAULT_CATALOG_QUERY = {
+    category: 'all',
+    search: '',
+    brand: 'all',
+    // Границы цены в рублях (базовой валюте)
+    minPrice: null,
+    maxPrice: null,
+    minRating: null,
+    sort: 'default',
+    page: 1
+};
+
+// Инициализация маршрутов приложения
+function initRouter() {
+    // Маршруты каталога принимают параметры q, brand, min, max, rating, sort и page
+    router
+        .on('/', (params, query) => showCatalogView(parseCatalogQuery(params, query)))
+        .on('/category/:category', (params, query) => showCatalogView(parseCatalogQuery(params, query)))
+        .on('/search', (params, query) => showCatalogView(parseCatalogQuery(params, query)))
+        .on('/product/:id', ({ id }) => showProductDetails(parseInt(id)))
+        .on('/cart', showCart)
+        .on('/checkout', showCheckout)
+        .on('/login', () => showAuth('login'))
+        .on('/register', () => showAuth('register'))
+        .on('/account', showAccount)
+        .on('/orders', showOrders)
+        .on('/wishlist', showWishlist)
+        .on('/compare', showCompare)
+        .otherwise('/');
+    
+    router.start();
 }
 
 // Модуль работы с товарами
 class ProductManager {
-    constructor() {
+    /**
+     * @param {MockCatalogSource|RestCatalogSource} dataSource - Источник данных каталога
+     * @param {Object} options - Настройки загрузки и постраничного вывода
+     * @param {number} [options.retries] - Количество повторных попыток
+     * @param {number} [options.retryDelay] - Базовая задержка между попытками в мс
+     * @param {number} [options.pageSize] - Количество товаров на странице
+     */
+    constructor(dataSource, { retries = 0, retryDelay = 0, pageSize = 6 } = {}) {
+        this.dataSource = dataSource;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.pageSize = pageSize;
         this.products = [];
         this.filteredProducts = [];
+        this.query = { ...DEFAULT_CATALOG_QUERY };
+        this.searchIndex = new SearchIndex();
+        this.searchResults = new Map();
+        this.status = 'idle';
+        this.error = null;
+    }
+
+    /**
+     * Загружает товары из источника данных
+     * @param {Function} [onRetry] - Колбэк перед повторной попыткой (номер попытки, ошибка)
+     * @returns {Promise<Array>} - Промис с массивом товаров
+     */
+    async loadProducts(onRetry) {
+        this.status = 'loading';
+        this.error = null;
+
+        try {
+            const products = await withRetry(() => this.dataSource.fetchProducts(), {
+                retries: this.retries,
+                retryDelay: this.retryDelay,
+                onRetry
+            });
+            this.products = products.map(normalizeProduct);
+            this.searchIndex.build(this.products, CATEGORY_NAMES);
+            this.applyQuery();
+            this.status = 'ready';
+            return this.products;
+        } catch (error) {
+            this.status = 'error';
+            this.error = error;
+            throw error;
+        }
     }
 
     /**
-     * Загружает товары из "API" (в данном случае из локального массива)
-     * @returns {Promise} - Промис с массивом товаров
+     * Обновляет параметры запроса к каталогу и применяет их
+     * @param {Object} changes - Изменяемые параметры (см. DEFAULT_CATALOG_QUERY)
+     * @returns {Array} - Отфильтрованный и отсортированный массив товаров
      */
-    async loadProducts() {
-        // В реальном приложении здесь был бы запрос к API
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                this.products = [
-                    {
-                        id: 1,
-                        name: 'iPhone 14 Pro',
-                        description: 'Новейший смартфон от Apple с улучшенной камерой',
-                        price: 99990,
-                        category: 'smartphones',
-                        image: 'images/iphnoe14.png'
-                    },
-                    {
-                        id: 2,
-                        name: 'Samsung Galaxy S23',
-                        description: 'Флагманский смартфон от Samsung с мощным процессором',
-                        price: 79990,
-                        category: 'smartphones',
-                        image: 'images/samsunhgs23.png'
-                    },
-                    {
-                        id: 3,
-                        name: 'MacBook Air M2',
-                        description: 'Легкий и мощный ноутбук от Apple',
-                        price: 129990,
-                        category: 'laptops',
-                        image: 'images/macbookarim2.png'
-                    },
-                    {
-                        id: 4,
-                        name: 'Dell XPS 13',
-                        description: 'Компактный ноутбук с безрамочным дисплеем',
-                        price: 89990,
-                        category: 'laptops',
-                        image: 'images/dellXPS13.png'
-                    },
-                    {
-                        id: 5,
-                        name: 'iPad Pro',
-                        description: 'Мощный планшет для работы и творчества',
-                        price: 74990,
-                        category: 'tablets',
-                        image: 'images/Ipadpro.png'
-                    },
-                    {
-                        id: 6,
-                        name: 'Samsung Galaxy Tab S8',
-                        description: 'Планшет с S-Pen для заметок и рисования',
-                        price: 54990,
-                        category: 'tablets',
-                        image: 'images/samsunggalaxy.png'
-                    },
-                    {
-                        id: 7,
-                        name: 'AirPods Pro',
-                        description: 'Беспроводные наушники с шумоподавлением',
-                        price: 24990,
-                        category: 'accessories',
-                        image: 'images/airposd.png'
-                    },
-                    {
-                        id: 8,
-                        name: 'Apple Watch Series 8',
-                        description: 'Умные часы с функциями для здоровья',
-                        price: 39990,
-                        category: 'accessories',
-                        image: 'images/apllewatch.png'
-                    }
-                ];
-                this.filteredProducts = [...this.products];
-                resolve(this.products);
-            }, 500); // Имитация задержки сети
+    setQuery(changes) {
+        this.query = { ...this.query, ...changes };
+        return this.applyQuery();
+    }
+
+    /**
+     * Применяет текущий запрос: фильтры, поиск и сортировку
+     * @returns {Array} - Отфильтрованный и отсортированный массив товаров
+     */
+    applyQuery() {
+        const { search } = this.query;
+        this.searchResults = search.trim() ? this.searchIndex.search(search) : new Map();
+        
+        const filtered = this.products.filter(product => this.matchesQuery(product));
+        this.filteredProducts = this.sortProducts(filtered, this.query.sort);
+        return this.filteredProducts;
+    }
+
+    /**
+     * Проверяет, подходит ли товар под текущий запрос
+     * @param {Object} product - Объект товара
+     * @param {string} [ignoredFacet] - Фильтр, который не нужно учитывать (для подсчёта фасетов)
+     * @returns {boolean} - Результат проверки
+     */
+    matchesQuery(product, ignoredFacet = null) {
+        const { category, brand, minPrice, maxPrice, minRating, search } = this.query;
+
+        if (ignoredFacet !== 'category' && category !== 'all' && product.category !== category) {
+            return false;
+        }
+
+        if (ignoredFacet !== 'brand' && brand !== 'all' && product.brand !== brand) {
+            return false;
+        }
+
+        // Границы цены хранятся в рублях: ссылка с фильтром не зависит от выбранной валюты
+        if (minPrice !== null && product.price < minPrice) {
+            return false;
+        }
+
+        if (maxPrice !== null && product.price > maxPrice) {
+            return false;
+        }
+
+        // Товары без отзывов не проходят фильтр по рейтингу
+        if (minRating !== null && (product.rating || 0) < minRating) {
+            return false;
+        }
+
+        return this.matchesSearch(product, search);
+    }
+
+    /**
+     * Проверяет, подходит ли товар под поисковый запрос
+     * @param {Object} product - Объект товара
+     * @param {string} search - Поисковый запрос
+     * @returns {boolean} - Результат проверки
+     */
+    matchesSearch(product, search) {
+        if (!search.trim()) {
+            return true;
+        }
+
+        // Результаты поиска по индексу рассчитываются в applyQuery()
+        return this.searchResults.has(product.id);
+    }
+
+    /**
+     * Сортирует товары. При поиске сортировка по умолчанию — по релевантности
+     * @param {Array} products - Массив товаров
+     * @param {string} sort - Вид сортировки (ключ SORT_OPTIONS)
+     * @returns {Array} - Новый отсортированный массив
+     */
+    sortProducts(products, sort) {
+        const comparators = {
+            default: this.searchResults.size
+                ? (a, b) => this.searchResults.get(b.id).score - this.searchResults.get(a.id).score
+                : null,
+            popularity: (a, b) => (b.popularity || 0) - (a.popularity || 0),
+            'price-asc': (a, b) => a.price - b.price,
+            'price-desc': (a, b) => b.price - a.price,
+            'name-asc': (a, b) => a.name.localeCompare(b.name, 'ru'),
+            // При равном рейтинге выше товар с большим числом отзывов
+            rating: (a, b) => (b.rating || 0) - (a.rating || 0) || b.reviewCount - a.reviewCount
+        };
+        const comparator = comparators[sort];
+
+        return comparator ? [...products].sort(comparator) : [...products];
+    }
+
+    /**
+     * Подсчитывает количество товаров для каждого значения фасета.
+     * Фильтр самого фасета не учитывается, остальные — учитываются
+     * @param {string} facet - Поле товара: 'category' или 'brand'
+     * @returns {Array} - Массив { value, count } в порядке появления в каталоге
+     */
+    getFacetCounts(facet) {
+        const counts = new Map();
+
+        this.products.forEach(product => {
+            if (!product[facet]) return;
+
+            if (!counts.has(product[facet])) {
+                counts.set(product[facet], 0);
+            }
+
+            if (this.matchesQuery(product, facet)) {
+                counts.set(product[facet], counts.get(product[facet]) + 1);
+            }
         });
+
+        return [...counts].map(([value, count]) => ({ value, count }));
+    }
+
+    /**
+     * Возвращает товары текущих загруженных страниц
+     * @returns {Array} - Массив товаров
+     */
+    getVisibleProducts() {
+        return this.filteredProducts.slice(0, this.query.page * this.pageSize);
     }
 
     /**
-     * Фильтрует товары по категории
+     * Проверяет, есть ли ещё не показанные товары
+     * @returns {boolean} - Результат проверки
+     */
+    hasMoreProducts() {
+        return this.filteredProducts.length > this.query.page * this.pageSize;
+    }
+
+    /**
+     * Фильтрует товары по категории (с учётом остальных параметров запроса)
      * @param {string} category - Категория для фильтрации
      * @returns {Array} - Отфильтрованный массив товаров
      */
     filterByCategory(category) {
-        if (category === 'all') {
-            this.filteredProducts = [...this.products];
-        } else {
-            this.filteredProducts = this.products.filter(product => 
-                product.category === category
-            );
-        }
-        return this.filteredProducts;
+        return this.setQuery({ category, page: 1 });
     }
 
     /**
-     * Ищет товары по запросу
+     * Ищет товары по запросу (с учётом остальных параметров запроса)
      * @param {string} query - Поисковый запрос
      * @returns {Array} - Массив найденных товаров
      */
     searchProducts(query) {
-        if (!query.trim()) {
-            this.filteredProducts = [...this.products];
-            return this.filteredProducts;
-        }
-        
-        const lowerCaseQuery = query.toLowerCase();
-        this.filteredProducts = this.products.filter(product => 
-            product.name.toLowerCase().includes(lowerCaseQuery) ||
-            product.description.toLowerCase().includes(lowerCaseQuery)
-        );
-        
-        return this.filteredProducts;
+        return this.setQuery({ search: query, page: 1 });
     }
 
     /**
@@ -149,42 +345,419 @@ class ProductManager {
     getProductById(id) {
         return this.products.find(product => product.id === id) || null;
     }
+
+    /**
+     * Загружает отзывы о товаре
+     * @param {number} productId - ID товара
+     * @returns {Promise<Array>} - Промис с отзывами, новые — первыми
+     */
+    async loadReviews(productId) {
+        return this.dataSource.fetchReviews(productId);
+    }
+
+    /**
+     * Добавляет отзыв и обновляет рейтинг товара в каталоге
+     * @param {number} productId - ID товара
+     * @param {Object} review - { rating, text, author }
+     * @returns {Promise<Object>} - Промис с сохранённым отзывом
+     */
+    async addReview(productId, review) {
+        const result = await this.dataSource.addReview(productId, review);
+        const product = this.getProductById(productId);
+
+        if (product) {
+            product.rating = result.rating;
+            product.reviewCount = result.reviewCount;
+            // Рейтинг влияет на фильтр и сортировку
+            this.applyQuery();
+        }
+
+        return result.review;
+    }
+
+    /**
+     * Получает характеристики товара в порядке SPEC_ATTRIBUTES
+     * @param {Object} product - Объект товара
+     * @param {Object} [variant] - Вариант товара: его параметры заменяют одноимённые характеристики
+     * @returns {Array} - Характеристики { key, label, value, text }
+     */
+    getSpecs(product, variant = null) {
+        const specs = { ...product.specs, ...(variant ? variant.options : {}) };
+
+        return Object.entries(SPEC_ATTRIBUTES)
+            .filter(([key]) => specs[key] !== undefined && specs[key] !== null)
+            .map(([key, attribute]) => ({
+                key,
+                label: attribute.label,
+                value: specs[key],
+                text: formatSpecValue(attribute, specs[key])
+            }));
+    }
+
+    /**
+     * Сопоставляет характеристики товаров для сравнения
+     * @param {Array<number>} ids - ID товаров
+     * @returns {Object} - { products, rows }. Строка: { key, label, values, isDifferent, best },
+     *                     где best — индексы товаров с лучшим значением
+     */
+    compareProducts(ids) {
+        const products = ids.map(id => this.getProductById(id)).filter(Boolean);
+        const attributes = { price: PRICE_ATTRIBUTE, ...SPEC_ATTRIBUTES };
+
+        const rows = Object.entries(attributes)
+            .map(([key, attribute]) => {
+                const values = products.map(product => key === 'price' ? product.price : (product.specs || {})[key]);
+                const texts = values.map(value => value === undefined || value === null ? '—' : formatSpecValue(attribute, value));
+
+                return {
+                    key,
+                    label: attribute.label,
+                    values: texts,
+                    isDifferent: new Set(texts).size > 1,
+                    best: findBestValues(attribute, values)
+                };
+            })
+            // Атрибуты, которых нет ни у одного товара, не показываем
+            .filter(row => row.values.some(text => text !== '—'));
+
+        return { products, rows };
+    }
+}
+
+// Цена как атрибут сравнения товаров
+const PRICE_ATTRIBUTE = { label: 'Цена', better: 'lower', format: price => formatPrice(price) };
+
+/**
+ * Форматирует значение характеристики
+ * @param {Object} attribute - Атрибут из SPEC_ATTRIBUTES
+ * @param {*} value - Значение
+ * @returns {string} - Текст для вывода
+ */
+function formatSpecValue(attribute, value) {
+    if (attribute.format) {
+        return attribute.format(value);
+    }
+
+    if (typeof value === 'number') {
+        const number = value.toLocaleString('ru-RU');
+        // Дюймы пишутся слитно, остальные единицы — через пробел
+        return attribute.unit === '"' ? `${number}"` : `${number}${attribute.unit ? ` ${attribute.unit}` : ''}`;
+    }
+
+    return String(value);
+}
+
+/**
+ * Находит товары с лучшим значением числовой характеристики
+ * @param {Object} attribute - Атрибут
+ * @param {Array} values - Значения характеристики у сравниваемых товаров
+ * @returns {Array<number>} - Индексы лучших значений (пусто, если сравнивать нечего)
+ */
+function findBestValues(attribute, values) {
+    const numbers = values.filter(value => typeof value === 'number');
+
+    if (!attribute.better || numbers.length < 2 || new Set(numbers).size < 2) {
+        return [];
+    }
+
+    const best = attribute.better === 'higher' ? Math.max(...numbers) : Math.min(...numbers);
+
+    return values.reduce((indexes, value, index) => value === best ? [...indexes, index] : indexes, []);
 }
 
 // Инициализация менеджера товаров
-const productManager = new ProductManager();
+const catalogConfig = getCatalogConfig();
+const productManager = new ProductManager(createCatalogSource(catalogConfig), catalogConfig);
 
 // Загрузка и отображение товаров
 async function loadProducts() {
+    renderCatalogStatus('loading', 'Загрузка товаров...');
+    
     try {
-        await productManager.loadProducts();
-        renderProducts(productManager.filteredProducts);
+        await productManager.loadProducts((attempt, error) => {
+            console.warn(`Повторная попытка загрузки товаров (${attempt}):`, error.message);
+            renderCatalogStatus('loading', `Не удалось загрузить товары. Повторная попытка ${attempt} из ${productManager.retries}...`);
+        });
+        renderCatalogView();
+        reconcileCart();
+        reconcileComparison();
+        renderRecentlyViewed();
+        
+        // Повторно обрабатываем адрес: карточка товара ждёт загрузки каталога
+        router.resolve({ force: true });
     } catch (error) {
         console.error('Ошибка загрузки товаров:', error);
-        showErrorMessage('Не удалось загрузить товары. Пожалуйста, попробуйте позже.');
+        renderCatalogStatus('error', 'Не удалось загрузить товары. Пожалуйста, попробуйте позже.');
+    }
+}
+
+/**
+ * Показывает состояние загрузки каталога вместо сетки товаров
+ * @param {string} state - Состояние: 'loading' или 'error'
+ * @param {string} message - Текст сообщения
+ */
+function renderCatalogStatus(state, message) {
+    const productsGrid = document.getElementById('products-grid');
+    
+    if (!productsGrid) return;
+    
+    productsGrid.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+    renderTemplate(productsGrid, html`
+        <div class="catalog-status catalog-status--${state}" role="${state === 'error' ? 'alert' : 'status'}">
+            ${state === 'loading' ? html`<span class="catalog-status__spinner" aria-hidden="true"></span>` : ''}
+            <p class="catalog-status__message">${message}</p>
+            ${state === 'error' ? html`<button class="button button--primary catalog-status__retry" id="catalog-retry">Повторить</button>` : ''}
+        </div>
+    `);
+    
+    const retryButton = document.getElementById('catalog-retry');
+    if (retryButton) {
+        retryButton.addEventListener('click', loadProducts);
+    }
+}
+
+/**
+ * Преобразует параметры адреса в запрос к каталогу
+ * @param {Object} params - Параметры маршрута
+ * @param {URLSearchParams} query - Параметры строки запроса
+ * @returns {Object} - Запрос к каталогу
+ */
+function parseCatalogQuery(params, query) {
+    const toPrice = (value) => {
+        const number = parseInt(value);
+        return Number.isFinite(number) && number >= 0 ? number : null;
+    };
+    const sort = query.get('sort');
+    const minRating = parseFloat(query.get('rating'));
+    
+    return {
+        category: params.category || 'all',
+        search: query.get('q') || '',
+        brand: query.get('brand') || 'all',
+        minPrice: toPrice(query.get('min')),
+        maxPrice: toPrice(query.get('max')),
+        minRating: MIN_RATING_OPTIONS.includes(minRating) ? minRating : null,
+        sort: SORT_OPTIONS[sort] ? sort : 'default',
+        page: Math.max(parseInt(query.get('page')) || 1, 1)
+    };
+}
+
+/**
+ * Строит адрес каталога по запросу
+ * @param {Object} catalogQuery - Запрос к каталогу
+ * @returns {string} - Путь для роутера
+ */
+function buildCatalogPath(catalogQuery) {
+    const { category, search, brand, minPrice, maxPrice, minRating, sort, page } = catalogQuery;
+    const params = new URLSearchParams();
+    
+    if (search) params.set('q', search);
+    if (brand !== 'all') params.set('brand', brand);
+    if (minPrice !== null) params.set('min', minPrice);
+    if (maxPrice !== null) params.set('max', maxPrice);
+    if (minRating !== null) params.set('rating', minRating);
+    if (sort !== 'default') params.set('sort', sort);
+    if (page > 1) params.set('page', page);
+    
+    let path = '/';
+    if (category !== 'all') {
+        path = `/category/${encodeURIComponent(category)}`;
+    } else if (search) {
+        path = '/search';
+    }
+    
+    const queryString = params.toString();
+    return queryString ? `${path}?${queryString}` : path;
+}
+
+/**
+ * Переходит к каталогу с изменёнными параметрами запроса
+ * @param {Object} changes - Изменяемые параметры запроса
+ * @param {Object} [options] - Настройки перехода роутера
+ */
+function navigateToCatalog(changes, options) {
+    // Любое изменение фильтров возвращает к первой странице
+    const page = changes.page || 1;
+    router.navigate(buildCatalogPath({ ...productManager.query, ...changes, page }), options);
+}
+
+/**
+ * Показывает каталог по запросу из адреса
+ * @param {Object} catalogQuery - Запрос к каталогу
+ */
+function showCatalogView(catalogQuery) {
+    productManager.setQuery(catalogQuery);
+    renderCatalogView();
+}
+
+// Рендеринг каталога по текущему запросу
+function renderCatalogView() {
+    updateCatalogControls();
+    
+    // Пока товары загружаются, в сетке отображается состояние загрузки
+    if (productManager.status !== 'ready') return;
+    
+    renderFilterButtons();
+    renderBrandOptions();
+    renderProducts(productManager.getVisibleProducts());
+    renderPagination();
+}
+
+// Синхронизация заголовка, фильтров, навигации и поля поиска с запросом каталога
+function updateCatalogControls() {
+    const { category, search, brand, minPrice, maxPrice, minRating, sort } = productManager.query;
+    const categoryName = CATEGORY_NAMES[category] || category;
+    let title = 'Каталог товаров';
+    
+    if (search) {
+        title = `Результаты поиска: «${search}»`;
+    } else if (category !== 'all') {
+        title = categoryName;
+    }
+    
+    const sectionTitle = document.querySelector('.products .section-title');
+    if (sectionTitle) {
+        sectionTitle.textContent = title;
     }
+    document.title = `TechStore - ${search || category !== 'all' ? title : 'Интернет-магазин техники'}`;
+    
+    document.querySelectorAll('.filter-button').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-category') === category);
+    });
+    
+    document.querySelectorAll('.navigation__link').forEach(link => {
+        const isActive = link.getAttribute('href') === `#/category/${category}`;
+        link.classList.toggle('navigation__link--active', isActive);
+        if (isActive) {
+            link.setAttribute('aria-current', 'page');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+    
+    // Не трогаем поле, пока пользователь печатает тот же запрос
+    const searchInput = document.getElementById('search-input');
+    if (searchInput && searchInput.value.trim() !== search) {
+        searchInput.value = search;
+    }
+    
+    const controls = {
+        'filter-brand': brand,
+        'filter-price-min': minPrice === null ? '' : currencyManager.convert(minPrice),
+        'filter-price-max': maxPrice === null ? '' : currencyManager.convert(maxPrice),
+        'filter-rating': minRating === null ? '' : minRating,
+        'sort-select': sort
+    };
+    
+    Object.entries(controls).forEach(([id, value]) => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.value = value;
+        }
+    });
+    
+    // Границы цены вводятся и показываются в выбранной валюте
+    const { symbol, priceStep } = CURRENCIES[currencyManager.code];
+    const priceCurrency = document.getElementById('filter-price-currency');
+    if (priceCurrency) {
+        priceCurrency.textContent = symbol;
+    }
+    ['filter-price-min', 'filter-price-max'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.step = priceStep;
+        }
+    });
 }
 
-// Рендеринг товаров
+// Рендеринг кнопок категорий по данным каталога со счётчиками товаров
+function renderFilterButtons() {
+    const filter = document.getElementById('products-filter');
+    
+    if (!filter) return;
+    
+    const facets = productManager.getFacetCounts('category');
+    const total = facets.reduce((sum, facet) => sum + facet.count, 0);
+    const buttons = [{ value: 'all', count: total }, ...facets];
+    
+    renderTemplate(filter, html`${buttons.map(({ value, count }) => html`
+        <button class="filter-button${value === productManager.query.category ? ' active' : ''}" data-category="${value}"${count === 0 ? ' disabled' : ''}>
+            ${value === 'all' ? 'Все товары' : CATEGORY_NAMES[value] || value}
+            <span class="filter-button__count">${count}</span>
+        </button>
+    `)}`);
+}
+
+// Рендеринг списка брендов со счётчиками товаров
+function renderBrandOptions() {
+    const brandSelect = document.getElementById('filter-brand');
+    
+    if (!brandSelect) return;
+    
+    const facets = productManager.getFacetCounts('brand');
+    
+    renderTemplate(brandSelect, html`
+        <option value="all">Все бренды</option>
+        ${facets.map(({ value, count }) => html`
+            <option value="${value}"${count === 0 ? ' disabled' : ''}>${value} (${count})</option>
+        `)}
+    `);
+    brandSelect.value = productManager.query.brand;
+}
+
+// Рендеринг счётчика результатов и кнопки «Показать ещё»
+function renderPagination() {
+    const summary = document.getElementById('products-summary');
+    const loadMoreButton = document.getElementById('load-more');
+    const total = productManager.filteredProducts.length;
+    const shown = productManager.getVisibleProducts().length;
+    
+    if (summary) {
+        summary.textContent = total ? `Показано ${shown} из ${total}` : '';
+    }
+    
+    if (loadMoreButton) {
+        loadMoreButton.hidden = !productManager.hasMoreProducts();
+    }
+}
+
+// Рендеринг товаров. Карточки обновляются по ID товара, обработчики кнопок назначаются делегированием в initFilter
 function renderProducts(products) {
     const productsGrid = document.getElementById('products-grid');
     
     if (!productsGrid) return;
     
+    productsGrid.setAttribute('aria-busy', 'false');
+    
     if (products.length === 0) {
-        productsGrid.innerHTML = '<p class="no-products">Товары не найдены</p>';
+        renderTemplate(productsGrid, html`<p class="no-products">Товары не найдены</p>`);
         return;
     }
     
-    productsGrid.innerHTML = products.map(product => `
+    renderKeyedList(productsGrid, products, { key: product => product.id, render: renderProductCard });
+}
+
+/**
+ * Формирует карточку товара для каталога
+ * @param {Object} product - Объект товара
+ * @returns {SafeHtml} - Разметка карточки
+ */
+function renderProductCard(product) {
+    const stockStatus = getStockStatus(product);
+    
+    return html`
         <div class="product-card" data-category="${product.category}">
+            ${renderWishlistButton(product.id)}
             <img src="${product.image}" alt="${product.name}" class="product-card__image">
             <div class="product-card__content">
                 <h3 class="product-card__title">${product.name}</h3>
+                ${renderRating(product)}
                 <p class="product-card__description">${product.description}</p>
-                <div class="product-card__price">${formatPrice(product.price)} руб.</div>
+                <div class="product-card__price">${formatProductPrice(product)}</div>
+                <div class="stock-status stock-status--${stockStatus}">${STOCK_STATUSES[stockStatus]}</div>
+                ${renderCompareButton(product.id)}
                 <div class="product-card__actions">
-                    <button class="button button--primary add-to-cart" data-product-id="${product.id}">
+                    <button class="button button--primary add-to-cart" data-product-id="${product.id}"${stockStatus === 'out-of-stock' ? ' disabled' : ''}>
                         В корзину
                     </button>
                     <button class="button button--secondary view-details" data-product-id="${product.id}">
@@ -193,38 +766,129 @@ function renderProducts(products) {
                 </div>
             </div>
         </div>
-    `).join('');
-    
-    // Добавляем обработчики событий для кнопок
-    document.querySelectorAll('.add-to-cart').forEach(button => {
-        button.addEventListener('click', function() {
-            const productId = parseInt(this.getAttribute('data-product-id'));
-            addToCart(productId);
-        });
-    });
+    `;
 }
 
-// Форматирование цены
-function formatPrice(price) {
-    return new Intl.NumberFormat('ru-RU').format(price);
+/**
+ * Форматирует сумму в валюте
+ * @param {number} price - Сумма в рублях
+ * @param {Object} [currency] - { code, rate } — валюта и курс, например зафиксированные в заказе.
+ *                              По умолчанию — валюта, выбранная покупателем
+ * @returns {string} - Например, «99 990 ₽»
+ */
+function formatPrice(price, currency) {
+    return currencyManager.format(price, currency);
+}
+
+/**
+ * Форматирует сумму, уже пересчитанную в валюту: строки и итог расчёта заказа
+ * (см. CurrencyManager.convertBreakdown)
+ * @param {number} amount - Сумма в валюте
+ * @param {Object} [currency] - { code, rate }, по умолчанию — валюта, выбранная покупателем
+ * @returns {string} - Например, «$1,081.56»
+ */
+function formatAmount(amount, currency) {
+    return currencyManager.formatAmount(amount, currency);
+}
+
+/**
+ * Форматирует цену товара. Для вариантов с разной ценой — минимальная цена с «от»
+ * @param {Object} product - Объект товара
+ * @returns {string} - Например, «от 99 990 ₽»
+ */
+function formatProductPrice(product) {
+    return `${hasPriceRange(product) ? 'от ' : ''}${formatPrice(product.price)}`;
 }
 
 // Инициализация фильтрации
 function initFilter() {
-    const filterButtons = document.querySelectorAll('.filter-button');
+    // Кнопки категорий создаются по данным каталога — используем делегирование событий
+    const filter = document.getElementById('products-filter');
+    if (filter) {
+        filter.addEventListener('click', (e) => {
+            const button = e.target.closest('.filter-button');
+            if (button) {
+                // Фильтрация выполняется обработчиком маршрута
+                navigateToCatalog({ category: button.getAttribute('data-category') });
+            }
+        });
+    }
     
-    filterButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            // Убираем активный класс у всех кнопок
-            filterButtons.forEach(btn => btn.classList.remove('active'));
-            
-            // Добавляем активный класс текущей кнопке
-            this.classList.add('active');
+    const brandSelect = document.getElementById('filter-brand');
+    if (brandSelect) {
+        brandSelect.addEventListener('change', function() {
+            navigateToCatalog({ brand: this.value });
+        });
+    }
+    
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', function() {
+            navigateToCatalog({ sort: this.value });
+        });
+    }
+    
+    const ratingSelect = document.getElementById('filter-rating');
+    if (ratingSelect) {
+        ratingSelect.addEventListener('change', function() {
+            navigateToCatalog({ minRating: this.value ? parseFloat(this.value) : null });
+        });
+    }
+    
+    // Пересчитывается только изменённая граница: вторая уже хранится в рублях
+    [['filter-price-min', 'minPrice'], ['filter-price-max', 'maxPrice']].forEach(([id, key]) => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('change', () => {
+                const price = parseFloat(input.value);
+                navigateToCatalog({
+                    [key]: Number.isFinite(price) && price >= 0 ? currencyManager.toBase(price) : null
+                });
+            });
+        }
+    });
+    
+    const resetButton = document.getElementById('filter-reset');
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            navigateToCatalog({ brand: 'all', minPrice: null, maxPrice: null, minRating: null, sort: 'default' });
+        });
+    }
+    
+    // Догрузка следующей страницы заменяет запись истории
+    const loadMoreButton = document.getElementById('load-more');
+    if (loadMoreButton) {
+        loadMoreButton.addEventListener('click', () => {
+            navigateToCatalog({ page: productManager.query.page + 1 }, { replace: true });
+        });
+    }
+    
+    // Карточки товаров обновляются по ключу — используем делегирование событий
+    const productsGrid = document.getElementById('products-grid');
+    if (productsGrid) {
+        productsGrid.addEventListener('click', (e) => {
+            const button = e.target.closest('.add-to-cart, .view-details');
+            if (!button) return;
             
-            // Фильтруем товары
-            const category = this.getAttribute('data-category');
-            const filteredProducts = productManager.filterByCategory(category);
-            renderProducts(filteredProducts);
+            const productId = parseInt(button.getAttribute('data-product-id'));
+            if (button.classList.contains('add-to-cart')) {
+                addToCart(productId);
+            } else {
+                openProductDetails(productId);
+            }
+        });
+    }
+    
+    // Цены в карточках и фильтр по цене зависят от выбранной валюты
+    currencyManager.subscribe(renderCatalogView);
+    
+    // Ссылки навигации ведут на маршруты категорий — прокручиваем к каталогу
+    document.querySelectorAll('.navigation__link').forEach(link => {
+        link.addEventListener('click', () => {
+            const productsSection = document.getElementById('products');
+            if (productsSection) {
+                productsSection.scrollIntoView({ behavior: 'smooth' });
+            }
         });
     });
 }
@@ -233,23 +897,35 @@ function initFilter() {
 function initSearch() {
     const searchForm = document.querySelector('.search-form');
     const searchInput = document.getElementById('search-input');
+    const suggestionsList = document.getElementById('search-suggestions');
     
     if (searchForm && searchInput) {
+        const suggestions = suggestionsList
+            ? new SearchSuggestions(searchInput, suggestionsList, product => openProductDetails(product.id))
+            : null;
+        
         searchForm.addEventListener('submit', function(e) {
             e.preventDefault();
-            const query = searchInput.value.trim();
-            const foundProducts = productManager.searchProducts(query);
-            renderProducts(foundProducts);
+            if (suggestions) {
+                suggestions.close();
+            }
+            navigateToCatalog({ search: searchInput.value.trim() });
         });
         
-        // Поиск при вводе (с задержкой)
+        // Поиск и подсказки при вводе (с задержкой)
         let searchTimeout;
         searchInput.addEventListener('input', function() {
             clearTimeout(searchTimeout);
             searchTimeout = setTimeout(() => {
                 const query = this.value.trim();
-                const foundProducts = productManager.searchProducts(query);
-                renderProducts(foundProducts);
+                
+                // Уточнение запроса заменяет запись истории, а не добавляет новую
+                const isSearching = productManager.query.search !== '';
+                navigateToCatalog({ search: query }, { replace: isSearching });
+                
+                if (suggestions) {
+                    suggestions.update(query, productManager.searchIndex.suggest(query));
+                }
             }, 300);
         });
     }
@@ -257,6 +933,15 @@ function initSearch() {
 
 // Показ сообщений об ошибках
 function showErrorMessage(message) {
-    // В реальном приложении здесь можно использовать toast-уведомления
-    alert(message);
+    notifications.show({ type: 'error', message });
+}
+
+// Функция для показа информационных сообщений
+function showInfoMessage(message) {
+    notifications.show({ type: 'info', message });
+}
+
+// Функция для показа сообщений об успешном действии
+function showSuccessMessage(message) {
+    notifications.show({ type: 'success', message });
 }
\ No newline at end of file
@@ -0,0 +1,234 @@
+// masks.js
+// Модуль масок ввода: форматирование при вводе и приведение значений к каноническому виду
+
+/**
+ * Проверяет номер по алгоритму Луна (контрольная цифра банковских карт)
+ * @param {string} digits - Цифры номера
+ * @returns {boolean} - Контрольная сумма верна
+ */
+function isValidLuhn(digits) {
+    let sum = 0;
+
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+
+        // Каждая вторая цифра справа удваивается
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+
+        sum += digit;
+    }
+
+    return sum % 10 === 0;
+}
+
+/**
+ * Вычисляет контрольную цифру ИНН
+ * @param {string} digits - Цифры ИНН
+ * @param {Array<number>} weights - Весовые коэффициенты для первых цифр
+ * @returns {number} - Контрольная цифра
+ */
+function getInnCheckDigit(digits, weights) {
+    const sum = weights.reduce((total, weight, i) => total + weight * Number(digits[i]), 0);
+    return sum % 11 % 10;
+}
+
+/**
+ * Проверяет ИНН: 10 цифр — организация, 12 цифр — физическое лицо или ИП
+ * @param {string} digits - Цифры ИНН
+ * @returns {boolean} - Контрольные цифры верны
+ */
+function isValidInn(digits) {
+    if (digits.length === 10) {
+        return getInnCheckDigit(digits, [2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[9]);
+    }
+
+    if (digits.length === 12) {
+        return getInnCheckDigit(digits, [7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[10]) &&
+            getInnCheckDigit(digits, [3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[11]);
+    }
+
+    return false;
+}
+
+/**
+ * Оставляет в строке только цифры
+ * @param {string} value - Строка
+ * @param {number} maxLength - Максимальное количество цифр
+ * @returns {string} - Цифры
+ */
+function extractDigits(value, maxLength) {
+    return value.replace(/\D/g, '').slice(0, maxLength);
+}
+
+// Маски ввода. Подключаются к полю атрибутом data-mask:
+//   normalize(value) — каноническое значение из введённого текста (в том числе частичного)
+//   format(value)    — отображаемое значение по каноническому
+//   validate(value)  — проверка полного канонического значения; сообщение об ошибке —
+//                      ключ с именем маски в сообщениях FormValidator
+const INPUT_MASKS = {
+    // Российский телефон: +7XXXXXXXXXX. Принимает 8XXXXXXXXXX, 7XXXXXXXXXX и 10 цифр без кода страны
+    phone: {
+        normalize(value) {
+            let digits = value.replace(/\D/g, '');
+
+            if (!digits) {
+                return '';
+            }
+
+            // Код страны, указанный явно, в том числе в уже отформатированном поле
+            if (/^\s*\+7/.test(value)) {
+                digits = digits.slice(1);
+            }
+
+            // Первая 7 или 8 — код страны, только если цифр 11: с 8 начинаются и коды городов
+            // (812 — Санкт-Петербург). Так же исправляется 8, набранная первой в пустом поле
+            if (digits.length === 11 && (digits[0] === '7' || digits[0] === '8')) {
+                digits = digits.slice(1);
+            }
+
+            return `+7${digits.slice(0, 10)}`;
+        },
+        format(value) {
+            const digits = value.slice(2);
+            let formatted = '+7';
+
+            if (digits.length > 0) formatted += ` (${digits.slice(0, 3)}`;
+            if (digits.length > 3) formatted += `) ${digits.slice(3, 6)}`;
+            if (digits.length > 6) formatted += `-${digits.slice(6, 8)}`;
+            if (digits.length > 8) formatted += `-${digits.slice(8, 10)}`;
+
+            return formatted;
+        },
+        validate: value => /^\+7\d{10}$/.test(value)
+    },
+    // Номер банковской карты: 13–19 цифр с контрольной цифрой по алгоритму Луна
+    card: {
+        normalize: value => extractDigits(value, 19),
+        format: value => value.replace(/(\d{4})(?=\d)/g, '$1 '),
+        validate: value => value.length >= 13 && isValidLuhn(value)
+    },
+    // Почтовый индекс: 6 цифр
+    'postal-code': {
+        normalize: value => extractDigits(value, 6),
+        format: value => value,
+        validate: value => /^\d{6}$/.test(value)
+    },
+    // ИНН: 10 или 12 цифр с контрольными цифрами
+    inn: {
+        normalize: value => extractDigits(value, 12),
+        format: value => value,
+        validate: isValidInn
+    }
+};
+
+// Последнее отформатированное значение полей: по нему распознаётся удаление разделителя
+const maskedValues = new WeakMap();
+
+/**
+ * Получает маску поля
+ * @param {HTMLElement} field - Поле формы
+ * @returns {Object|null} - Маска из INPUT_MASKS
+ */
+function getInputMask(field) {
+    return (field.dataset && INPUT_MASKS[field.dataset.mask]) || null;
+}
+
+/**
+ * Получает значение поля. Для полей с маской — каноническое значение.
+ * Пароль возвращается как введён: пробелы по краям — часть пароля
+ * @param {HTMLElement} field - Поле формы
+ * @returns {string} - Значение
+ */
+function getFieldValue(field) {
+    const mask = getInputMask(field);
+
+    if (mask) {
+        return mask.normalize(field.value);
+    }
+
+    return field.type === 'password' ? field.value : field.value.trim();
+}
+
+/**
+ * Форматирует сохранённое значение для отображения
+ * @param {string} maskName - Имя маски
+ * @param {string} value - Значение (каноническое или в произвольном формате)
+ * @returns {string} - Отформатированное значение; значение, не подходящее маске, — без изменений
+ */
+function formatMaskedValue(maskName, value) {
+    const mask = INPUT_MASKS[maskName];
+    const normalized = mask.normalize(value || '');
+    return mask.validate(normalized) ? mask.format(normalized) : value;
+}
+
+/**
+ * Находит позицию в отформатированной строке после заданного числа значимых символов
+ * @param {Object} mask - Маска
+ * @param {string} formatted - Отформатированное значение
+ * @param {number} count - Длина канонического значения до каретки
+ * @returns {number} - Позиция каретки
+ */
+function findCaretPosition(mask, formatted, count) {
+    for (let position = 0; position <= formatted.length; position++) {
+        if (mask.normalize(formatted.slice(0, position)).length >= count) {
+            return position;
+        }
+    }
+
+    return formatted.length;
+}
+
+/**
+ * Форматирует поле по маске, сохраняя положение каретки относительно введённых символов
+ * @param {HTMLInputElement} field - Поле с маской
+ * @param {InputEvent} [event] - Событие ввода
+ */
+function applyInputMask(field, event) {
+    const mask = getInputMask(field);
+    if (!mask) return;
+
+    let value = field.value;
+    let caret = field.selectionStart !== null ? field.selectionStart : value.length;
+
+    // Backspace после разделителя удаляет предыдущий значимый символ, иначе маска вернёт разделитель
+    if (event && event.inputType === 'deleteContentBackward' && maskedValues.has(field) &&
+        mask.normalize(value) === mask.normalize(maskedValues.get(field))) {
+        const before = value.slice(0, caret);
+        const significant = before.search(/\d(?=\D*$)/);
+
+        if (significant !== -1) {
+            value = value.slice(0, significant) + value.slice(caret);
+            caret = significant;
+        }
+    }
+
+    const normalized = mask.normalize(value);
+    const formatted = normalized ? mask.format(normalized) : '';
+    const caretCount = mask.normalize(value.slice(0, caret)).length;
+
+    field.value = formatted;
+    maskedValues.set(field, formatted);
+
+    // Каретку переставляем только в поле с фокусом: иначе браузер переведёт фокус на него
+    if (document.activeElement === field) {
+        const position = findCaretPosition(mask, formatted, caretCount);
+        field.setSelectionRange(position, position);
+    }
+}
+
+// Инициализация масок ввода: поля с data-mask форматируются при вводе и вставке
+function initInputMasks() {
+    document.addEventListener('input', (e) => {
+        if (getInputMask(e.target)) {
+            applyInputMask(e.target, e);
+        }
+    });
+
+    // Значения, подставленные автозаполнением или сохранённые заранее
+    document.querySelectorAll('[data-mask]').forEach(field => applyInputMask(field));
+}
@@ -0,0 +1,179 @@
+// notifications.js
+// Модуль всплывающих уведомлений (toast)
+const TOAST_DURATION = 4000;
+const TOAST_ACTION_DURATION = 8000;
+const TOAST_TYPES = ['success', 'info', 'error', 'action'];
+const PRIORITY_TOAST_TYPES = ['error', 'action'];
+// Задержка перед записью в live region: без неё одинаковые сообщения подряд не озвучиваются
+const ANNOUNCE_DELAY = 100;
+
+class ToastManager {
+    /**
+     * @param {HTMLElement} container - Контейнер уведомлений (ARIA live region)
+     * @param {Object} options - Настройки
+     * @param {number} [options.maxVisible] - Сколько уведомлений показывать одновременно
+     */
+    constructor(container, { maxVisible = 3 } = {}) {
+        this.container = container;
+        this.maxVisible = maxVisible;
+        this.visible = new Map();
+        this.queue = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Показывает уведомление или ставит его в очередь
+     * @param {Object} options - Параметры уведомления
+     * @param {string} options.message - Текст
+     * @param {string} [options.type] - Тип: success, info, error, action
+     * @param {Object} [options.action] - Кнопка действия { label, onClick }
+     * @param {number} [options.duration] - Время показа в мс (0 — до закрытия пользователем)
+     * @returns {number} - ID уведомления
+     */
+    show({ message, type = 'info', action = null, duration }) {
+        const toast = {
+            id: this.nextId++,
+            message,
+            type: TOAST_TYPES.includes(type) ? type : 'info',
+            action,
+            duration: duration !== undefined ? duration : (action ? TOAST_ACTION_DURATION : TOAST_DURATION)
+        };
+
+        if (this.visible.size < this.maxVisible) {
+            this.render(toast);
+            return toast.id;
+        }
+
+        // Ошибки и уведомления с действием («Отменить») не должны ждать в очереди:
+        // они вытесняют самое старое обычное уведомление
+        const replaceable = [...this.visible.values()].find(visible => visible.type === 'success' || visible.type === 'info');
+
+        if (PRIORITY_TOAST_TYPES.includes(toast.type) && replaceable) {
+            this.queue.unshift(toast);
+            this.dismiss(replaceable.id);
+        } else {
+            this.queue.push(toast);
+        }
+
+        return toast.id;
+    }
+
+    /**
+     * Закрывает уведомление
+     * @param {number} id - ID уведомления
+     */
+    dismiss(id) {
+        const queuedIndex = this.queue.findIndex(toast => toast.id === id);
+        if (queuedIndex !== -1) {
+            this.queue.splice(queuedIndex, 1);
+            return;
+        }
+
+        const toast = this.visible.get(id);
+        if (!toast) return;
+
+        clearTimeout(toast.timer);
+        toast.element.remove();
+        this.visible.delete(id);
+
+        // Освободилось место — показываем следующее из очереди
+        if (this.queue.length) {
+            this.render(this.queue.shift());
+        }
+    }
+
+    /**
+     * Запускает таймер автоматического закрытия
+     * @param {Object} toast - Уведомление
+     */
+    startTimer(toast) {
+        if (!toast.duration) return;
+
+        clearTimeout(toast.timer);
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => this.dismiss(toast.id), toast.remaining);
+    }
+
+    /**
+     * Останавливает таймер, пока пользователь читает уведомление
+     * @param {Object} toast - Уведомление
+     */
+    pauseTimer(toast) {
+        if (!toast.duration || !toast.timer) return;
+
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = Math.max(toast.remaining - (Date.now() - toast.startedAt), 0);
+    }
+
+    /**
+     * Создаёт элемент уведомления
+     * @param {Object} toast - Уведомление
+     */
+    render(toast) {
+        const element = document.createElement('div');
+        element.className = `toast toast--${toast.type}`;
+        // Ошибки озвучиваются сразу, остальные — через вежливую live region контейнера
+        if (toast.type === 'error') {
+            element.setAttribute('role', 'alert');
+        }
+
+        const message = document.createElement('p');
+        message.className = 'toast__message';
+        message.textContent = toast.message;
+        element.appendChild(message);
+
+        if (toast.action) {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.className = 'toast__action';
+            actionButton.textContent = toast.action.label;
+            actionButton.addEventListener('click', () => {
+                toast.action.onClick();
+                this.dismiss(toast.id);
+            });
+            element.appendChild(actionButton);
+        }
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'toast__close';
+        closeButton.setAttribute('aria-label', 'Закрыть уведомление');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.dismiss(toast.id));
+        element.appendChild(closeButton);
+
+        element.addEventListener('mouseenter', () => this.pauseTimer(toast));
+        element.addEventListener('mouseleave', () => this.startTimer(toast));
+        element.addEventListener('focusin', () => this.pauseTimer(toast));
+        element.addEventListener('focusout', () => this.startTimer(toast));
+
+        toast.element = element;
+        toast.remaining = toast.duration;
+        this.visible.set(toast.id, toast);
+        this.container.appendChild(element);
+        this.startTimer(toast);
+    }
+}
+
+// Инициализация уведомлений
+const notifications = new ToastManager(document.getElementById('toasts'));
+
+// Отложенные сообщения live regions: при быстрых изменениях озвучивается последнее
+const announceTimers = new Map();
+
+/**
+ * Озвучивает сообщение программами чтения с экрана без показа уведомления
+ * @param {string} regionId - ID элемента live region (role="status")
+ * @param {string} message - Текст
+ */
+function announce(regionId, message) {
+    const region = document.getElementById(regionId);
+    if (!region) return;
+
+    clearTimeout(announceTimers.get(regionId));
+    region.textContent = '';
+    announceTimers.set(regionId, setTimeout(() => {
+        region.textContent = message;
+    }, ANNOUNCE_DELAY));
+}
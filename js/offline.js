@@ -0,0 +1,398 @@
+// offline.js
+// Модуль офлайн-режима: service worker, индикатор подключения и очередь заказов, оформленных без сети
+
+// Показ индикатора «Снова онлайн» после восстановления подключения, мс
+const ONLINE_STATUS_DURATION = 3000;
+// Повторная отправка очереди, если сервер недоступен при подключённой сети, мс.
+// Задержка удваивается после каждой неудачной попытки
+const OUTBOX_RETRY_DELAY = 30000;
+const OUTBOX_MAX_RETRY_DELAY = 10 * 60 * 1000;
+
+/**
+ * Проверяет сохранённую очередь заказов
+ * @param {Object} data - Данные из хранилища
+ * @returns {boolean} - Результат проверки
+ */
+function validateOutboxData(data) {
+    return Boolean(data) &&
+        Array.isArray(data.entries) &&
+        data.entries.every(entry => entry && entry.order && typeof entry.order.number === 'string');
+}
+
+/**
+ * Проверяет, отклонил ли сервер заказ окончательно. Нет сети, ошибки сервера (5xx),
+ * таймаут (408) и превышение частоты запросов (429) — временные сбои: заказ остаётся в очереди
+ * @param {Error} error - Ошибка отправки заказа
+ * @returns {boolean} - Заказ не будет принят и при повторной отправке
+ */
+function isRejectedOrderError(error) {
+    return !error.isNetworkError &&
+        error.status >= 400 && error.status < 500 &&
+        error.status !== 408 && error.status !== 429;
+}
+
+// Состояние подключения к сети
+class ConnectionMonitor {
+    constructor() {
+        this.online = navigator.onLine !== false;
+        this.listeners = new Set();
+
+        window.addEventListener('online', () => this.update(true));
+        window.addEventListener('offline', () => this.update(false));
+    }
+
+    /**
+     * Подписывается на изменения подключения
+     * @param {Function} listener - Обработчик, получает true при подключении
+     * @returns {Function} - Функция отписки
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Проверяет, есть ли подключение
+     * @returns {boolean} - Результат проверки
+     */
+    isOnline() {
+        return this.online;
+    }
+
+    /**
+     * Обновляет состояние и оповещает подписчиков
+     * @param {boolean} online - Есть ли подключение
+     */
+    update(online) {
+        if (this.online === online) return;
+
+        this.online = online;
+        this.listeners.forEach(listener => listener(online));
+    }
+}
+
+// Заказы, оформленные без сети. Отправляются по порядку, когда подключение восстанавливается
+class OrderOutbox {
+    /**
+     * @param {VersionedStore} store - Хранилище очереди
+     */
+    constructor(store) {
+        this.store = store;
+        this.isFlushing = false;
+        this.listeners = new Set();
+
+        // Заказ оформлен или отправлен в другой вкладке
+        this.store.subscribe(() => this.emit());
+    }
+
+    /**
+     * Подписывается на изменения очереди
+     * @param {Function} listener - Обработчик, получает OrderOutbox
+     * @returns {Function} - Функция отписки
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Оповещает подписчиков об изменении очереди
+    emit() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Получает количество заказов в очереди
+     * @returns {number} - Количество
+     */
+    getCount() {
+        return this.store.load().entries.length;
+    }
+
+    /**
+     * Ставит заказ в очередь
+     * @param {Object} order - Заказ (см. CheckoutWizard.buildOrder)
+     * @param {string|null} token - Токен сессии или null для гостя
+     * @returns {Object} - Заказ с отметкой queued
+     */
+    add(order, token) {
+        const data = this.store.load();
+        data.entries.push({ order, token });
+        this.store.save(data);
+        this.emit();
+
+        return { ...order, queued: true };
+    }
+
+    /**
+     * Удаляет заказ из очереди
+     * @param {string} number - Номер заказа
+     */
+    remove(number) {
+        const data = this.store.load();
+        data.entries = data.entries.filter(entry => entry.order.number !== number);
+        this.store.save(data);
+    }
+
+    /**
+     * Отправляет заказы из очереди. При временном сбое отправка прерывается, оставшиеся заказы ждут
+     * следующей попытки. Из очереди удаляются только отправленные и окончательно отклонённые сервером заказы.
+     * Вкладки отправляют очередь по одной (Web Locks API), чтобы заказ не был отправлен дважды
+     * @param {LocalOrderBackend|RestOrderBackend} backend - Хранилище заказов
+     * @returns {Promise<Object>} - { sent, rejected, retryError } — отправленные заказы, отклонённые сервером
+     *                              { order, error } и ошибка, прервавшая отправку (null, если очередь отправлена)
+     */
+    async flush(backend) {
+        const result = { sent: [], rejected: [], retryError: null };
+        if (this.isFlushing || this.getCount() === 0) return result;
+
+        this.isFlushing = true;
+        this.emit();
+
+        const task = async () => {
+            // Очередь перечитывается перед каждым заказом: другая вкладка могла его уже отправить
+            for (let entry = this.store.load().entries[0]; entry; entry = this.store.load().entries[0]) {
+                try {
+                    result.sent.push(await this.submit(backend, entry));
+                } catch (error) {
+                    if (!isRejectedOrderError(error)) {
+                        result.retryError = error;
+                        break;
+                    }
+
+                    result.rejected.push({ order: entry.order, error });
+                }
+
+                this.remove(entry.order.number);
+            }
+        };
+
+        try {
+            if (navigator.locks) {
+                await navigator.locks.request('techstore-order-outbox', task);
+            } else {
+                await task();
+            }
+        } finally {
+            this.isFlushing = false;
+            this.emit();
+        }
+
+        return result;
+    }
+
+    /**
+     * Отправляет заказ из очереди. Если сессия истекла, пока заказ ждал отправки,
+     * он отправляется как гостевой: найти его можно по номеру и email
+     * @param {LocalOrderBackend|RestOrderBackend} backend - Хранилище заказов
+     * @param {Object} entry - { order, token }
+     * @returns {Promise<Object>} - Сохранённый заказ
+     */
+    async submit(backend, { order, token }) {
+        try {
+            return await backend.createOrder(order, token);
+        } catch (error) {
+            if (token && error.status === 401) {
+                return backend.createOrder(order, null);
+            }
+
+            throw error;
+        }
+    }
+}
+
+// Инициализация офлайн-режима
+const connection = new ConnectionMonitor();
+
+const orderOutbox = new OrderOutbox(new VersionedStore('techstore_order_outbox', {
+    version: 1,
+    validate: validateOutboxData,
+    defaultValue: () => ({ entries: [] })
+}));
+
+/**
+ * Оформляет заказ. Без сети заказ ставится в очередь и будет отправлен после восстановления подключения
+ * @param {Object} order - Заказ (см. CheckoutWizard.buildOrder)
+ * @returns {Promise<Object>} - Сохранённый заказ или заказ из очереди с отметкой queued
+ */
+async function submitOrder(order) {
+    if (!connection.isOnline()) {
+        return orderOutbox.add(order, session.token);
+    }
+
+    try {
+        return await orderBackend.createOrder(order, session.token);
+    } catch (error) {
+        // Номер заказа формируется в браузере, поэтому сервер может отклонить повторную отправку
+        // заказа, дошедшего до него перед таймаутом
+        if (error.isNetworkError) {
+            const queuedOrder = orderOutbox.add(order, session.token);
+            scheduleOutboxRetry();
+            return queuedOrder;
+        }
+
+        throw error;
+    }
+}
+
+// Таймер повторной отправки очереди и число неудачных попыток подряд
+let outboxRetryTimer = null;
+let outboxRetryAttempt = 0;
+
+// Планирует повторную отправку: событие online не наступит, если браузер считает, что сеть есть
+function scheduleOutboxRetry() {
+    if (outboxRetryTimer) return;
+
+    const retryDelay = Math.min(OUTBOX_RETRY_DELAY * Math.pow(2, outboxRetryAttempt), OUTBOX_MAX_RETRY_DELAY);
+    outboxRetryAttempt++;
+
+    outboxRetryTimer = setTimeout(() => {
+        outboxRetryTimer = null;
+        flushOrderOutbox();
+    }, retryDelay);
+}
+
+// Отправляет очередь заказов и сообщает о результате
+async function flushOrderOutbox() {
+    if (!connection.isOnline()) return;
+
+    const { sent, rejected, retryError } = await orderOutbox.flush(orderBackend);
+
+    if (retryError) {
+        console.error('Не удалось отправить заказы из очереди:', retryError);
+
+        if (connection.isOnline()) {
+            scheduleOutboxRetry();
+        }
+    } else if (orderOutbox.getCount() === 0) {
+        outboxRetryAttempt = 0;
+    }
+
+    if (sent.length) {
+        // Промокод заказа из очереди считается использованным только после того, как магазин принял заказ
+        sent.forEach(order => {
+            if (order.promoCode) {
+                promotionEngine.registerUsage(order.promoCode);
+            }
+        });
+
+        showSuccessMessage(`Отправлены заказы, оформленные без сети: ${sent.map(order => order.number).join(', ')}`);
+        refreshRecommendations();
+    }
+
+    rejected.forEach(({ order, error }) => {
+        console.error(`Заказ ${order.number} не принят:`, error);
+
+        // Корзина очищена при оформлении заказа: возвращаем в неё товары отклонённого заказа
+        const changes = cart.merge({ items: getOrderCartItems(order), promoCode: order.promoCode });
+
+        showErrorMessage(`Магазин не принял заказ ${order.number}: ${error.message}. Товары заказа возвращены в корзину, оформите его заново`);
+
+        if (changes.length) {
+            showInfoMessage(`Не все товары заказа удалось вернуть в корзину:\n${changes.join('\n')}`);
+        }
+    });
+}
+
+// Рендерит индикатор подключения в шапке
+function renderNetworkStatus() {
+    const networkStatus = document.getElementById('network-status');
+    if (!networkStatus) return;
+
+    const count = orderOutbox.getCount();
+    const queueText = count ? ` · заказов в очереди: ${count}` : '';
+
+    if (!connection.isOnline()) {
+        networkStatus.hidden = false;
+        networkStatus.className = 'network-status network-status--offline';
+        networkStatus.textContent = `Нет сети${queueText}`;
+    } else if (count) {
+        networkStatus.hidden = false;
+        networkStatus.className = 'network-status network-status--syncing';
+        networkStatus.textContent = `${orderOutbox.isFlushing ? 'Отправляем заказы' : 'Заказы ждут отправки'}${queueText}`;
+    } else if (!networkStatus.classList.contains('network-status--online')) {
+        networkStatus.hidden = true;
+    }
+}
+
+// Кратко показывает, что подключение восстановлено
+function renderOnlineStatus() {
+    const networkStatus = document.getElementById('network-status');
+    if (!networkStatus || orderOutbox.getCount()) return;
+
+    networkStatus.hidden = false;
+    networkStatus.className = 'network-status network-status--online';
+    networkStatus.textContent = 'Снова в сети';
+
+    setTimeout(() => {
+        if (connection.isOnline() && networkStatus.classList.contains('network-status--online')) {
+            networkStatus.className = 'network-status';
+            networkStatus.hidden = true;
+        }
+    }, ONLINE_STATUS_DURATION);
+}
+
+/**
+ * Предлагает перейти на новую версию сайта. Она ждёт, пока закроются вкладки со старой (см. sw.js),
+ * или активируется по кнопке — страница перезагружается целиком с файлами новой сборки
+ * @param {ServiceWorker} worker - Установленный service worker новой версии
+ */
+function offerUpdate(worker) {
+    notifications.show({
+        type: 'action',
+        message: 'Доступна новая версия магазина',
+        duration: 0,
+        action: {
+            label: 'Обновить',
+            onClick: () => {
+                navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload());
+                worker.postMessage('skip-waiting');
+            }
+        }
+    });
+}
+
+// Регистрирует service worker (только для страницы, открытой по http или https)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // При первой установке controller ещё нет — обновлять нечего
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            offerUpdate(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    offerUpdate(worker);
+                }
+            });
+        });
+    }).catch(error => {
+        console.error('Не удалось зарегистрировать service worker:', error);
+    });
+}
+
+// Инициализация офлайн-режима
+function initOffline() {
+    registerServiceWorker();
+
+    connection.subscribe(online => {
+        renderNetworkStatus();
+
+        if (online) {
+            renderOnlineStatus();
+            flushOrderOutbox();
+        } else {
+            showInfoMessage('Нет подключения к интернету. Каталог доступен из сохранённой копии, заказы будут отправлены позже.');
+        }
+    });
+
+    orderOutbox.subscribe(renderNetworkStatus);
+    renderNetworkStatus();
+
+    // Заказы, оставшиеся в очереди с прошлого посещения
+    flushOrderOutbox();
+}
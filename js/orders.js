@@ -0,0 +1,493 @@
+// orders.js
+// Модуль истории заказов и отслеживания статуса
+
+// Статусы заказа в порядке выполнения
+const ORDER_STATUSES = {
+    created: 'Создан',
+    paid: 'Оплачен',
+    shipped: 'Отправлен',
+    delivered: 'Доставлен'
+};
+
+// Интервал смены статусов в LocalOrderBackend (имитация работы магазина)
+const MOCK_ORDER_STATUS_INTERVAL = 5 * 60 * 1000;
+
+// Ошибка работы с заказами
+class OrderError extends Error {
+    /**
+     * @param {string} message - Сообщение об ошибке
+     * @param {Object} options - Дополнительные сведения
+     * @param {number} [options.status] - HTTP-статус ответа
+     */
+    constructor(message, { status = null } = {}) {
+        super(message);
+        this.name = 'OrderError';
+        this.status = status;
+    }
+}
+
+/**
+ * Проверяет данные локального хранилища заказов
+ * @param {Object} data - Данные из хранилища
+ * @returns {boolean} - Результат проверки
+ */
+function validateOrdersData(data) {
+    return Boolean(data) && Array.isArray(data.orders);
+}
+
+/**
+ * Подсчитывает, сколько раз товары покупались вместе
+ * @param {Array} orders - Оформленные заказы
+ * @returns {Object} - { [ID товара]: { [ID другого товара]: количество заказов } }
+ */
+function countCoPurchases(orders) {
+    const coPurchases = {};
+
+    orders.forEach(order => {
+        // Разные варианты одного товара в заказе считаются одним товаром
+        const ids = [...new Set(order.items.map(item => item.id))];
+
+        ids.forEach(id => ids.forEach(otherId => {
+            if (id === otherId) return;
+
+            coPurchases[id] = coPurchases[id] || {};
+            coPurchases[id][otherId] = (coPurchases[id][otherId] || 0) + 1;
+        }));
+    });
+
+    return coPurchases;
+}
+
+// Заказы в localStorage. Только для разработки: статусы меняются по таймеру
+class LocalOrderBackend {
+    /**
+     * @param {Object} options - Настройки
+     * @param {LocalAuthBackend} options.authBackend - Учётные записи (для привязки заказов к пользователю)
+     * @param {VersionedStore} [options.store] - Хранилище заказов
+     * @param {number} [options.delay] - Имитация задержки сети в мс
+     */
+    constructor({ authBackend, store, delay = 300 }) {
+        this.authBackend = authBackend;
+        this.store = store || new VersionedStore('techstore_orders', {
+            version: 2,
+            migrations: {
+                // Версия 1: заказы без валюты оформлялись в рублях
+                1: data => ({
+                    orders: data.orders.map(order => ({ currency: { code: BASE_CURRENCY, rate: 1 }, ...order }))
+                })
+            },
+            validate: validateOrdersData,
+            defaultValue: () => ({ orders: [] })
+        });
+        this.delay = delay;
+    }
+
+    /**
+     * Вычисляет текущий статус заказа и историю его смены
+     * @param {Object} order - Сохранённый заказ
+     * @param {Date} now - Текущая дата
+     * @returns {Object} - Заказ со статусом и историей, без служебных полей
+     */
+    toPublicOrder({ userId, ...order }, now = new Date()) {
+        const statuses = Object.keys(ORDER_STATUSES);
+        const createdAt = new Date(order.createdAt).getTime();
+        const passed = Math.floor((now.getTime() - createdAt) / MOCK_ORDER_STATUS_INTERVAL);
+        const statusIndex = Math.min(Math.max(passed, 0), statuses.length - 1);
+
+        return {
+            ...order,
+            status: statuses[statusIndex],
+            statusHistory: statuses.slice(0, statusIndex + 1).map((status, index) => ({
+                status,
+                date: new Date(createdAt + index * MOCK_ORDER_STATUS_INTERVAL).toISOString()
+            }))
+        };
+    }
+
+    /**
+     * Сохраняет оформленный заказ
+     * @param {Object} order - Заказ (см. CheckoutWizard.buildOrder)
+     * @param {string|null} token - Токен сессии или null для гостя
+     * @returns {Promise<Object>} - Сохранённый заказ
+     */
+    async createOrder(order, token) {
+        await delay(this.delay);
+
+        const user = token ? await this.authBackend.getCurrentUser(token) : null;
+        const data = this.store.load();
+
+        this.checkPromoCode(order, user, data.orders);
+
+        const stored = { ...order, userId: user ? user.id : null };
+
+        data.orders.push(stored);
+        this.store.save(data);
+
+        return this.toPublicOrder(stored);
+    }
+
+    /**
+     * Проверяет лимиты промокода по всем сохранённым заказам. Так же поступает настоящий сервер:
+     * счётчик в браузере покупателя (PromotionEngine.getUsage) сбрасывается вместе с данными сайта
+     * @param {Object} order - Заказ
+     * @param {Object|null} user - Пользователь или null для гостя
+     * @param {Array} orders - Сохранённые заказы
+     */
+    checkPromoCode(order, user, orders) {
+        const promotion = order.promoCode ? promotionEngine.findByCode(order.promoCode) : null;
+        if (!promotion) return;
+
+        const usages = orders.filter(stored => stored.promoCode === promotion.code);
+
+        if (promotion.usageLimit && usages.length >= promotion.usageLimit) {
+            throw new OrderError('Промокод больше недействителен: исчерпан лимит использований', { status: 422 });
+        }
+
+        // Покупатель узнаётся по учётной записи или email, указанному при оформлении
+        const email = order.customer.email.toLowerCase();
+        const customerUsages = usages.filter(stored =>
+            (user && stored.userId === user.id) || stored.customer.email.toLowerCase() === email
+        );
+
+        if (promotion.perCustomerLimit && customerUsages.length >= promotion.perCustomerLimit) {
+            throw new OrderError(`Промокод ${promotion.code} уже использован в заказе на этот email`, { status: 422 });
+        }
+    }
+
+    /**
+     * Получает заказы пользователя, новые первыми
+     * @param {string} token - Токен сессии
+     * @returns {Promise<Array>} - Заказы
+     */
+    async getOrders(token) {
+        await delay(this.delay);
+
+        const user = await this.authBackend.getCurrentUser(token);
+
+        return this.store.load().orders
+            .filter(order => order.userId === user.id)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(order => this.toPublicOrder(order));
+    }
+
+    /**
+     * Находит заказ по номеру и email покупателя
+     * @param {string} number - Номер заказа
+     * @param {string} email - Email, указанный при оформлении
+     * @returns {Promise<Object>} - Заказ
+     */
+    async findOrder(number, email) {
+        await delay(this.delay);
+
+        const normalizedNumber = number.trim().toUpperCase();
+        const normalizedEmail = email.trim().toLowerCase();
+        const order = this.store.load().orders.find(order =>
+            order.number === normalizedNumber && order.customer.email.toLowerCase() === normalizedEmail
+        );
+
+        if (!order) {
+            throw new OrderError('Заказ не найден. Проверьте номер заказа и email', { status: 404 });
+        }
+
+        return this.toPublicOrder(order);
+    }
+
+    /**
+     * Получает статистику совместных покупок по всем заказам
+     * @returns {Promise<Object>} - См. countCoPurchases
+     */
+    async getCoPurchases() {
+        await delay(this.delay);
+        return countCoPurchases(this.store.load().orders);
+    }
+}
+
+class RestOrderBackend {
+    /**
+     * @param {RestAuthBackend} api - Клиент REST API с авторизацией по токену
+     */
+    constructor(api) {
+        this.api = api;
+    }
+
+    /**
+     * Сохраняет оформленный заказ. Сервер проверяет лимиты промокода и отклоняет заказ с ошибкой 4xx
+     * @param {Object} order - Заказ
+     * @param {string|null} token - Токен сессии или null для гостя
+     * @returns {Promise<Object>} - Сохранённый заказ со статусом
+     */
+    async createOrder(order, token) {
+        return this.api.request('/orders', { method: 'POST', body: order, token });
+    }
+
+    /**
+     * Получает заказы пользователя
+     * @param {string} token - Токен сессии
+     * @returns {Promise<Array>} - Заказы
+     */
+    async getOrders(token) {
+        return this.api.request('/orders', { token });
+    }
+
+    /**
+     * Находит заказ по номеру и email покупателя
+     * @param {string} number - Номер заказа
+     * @param {string} email - Email, указанный при оформлении
+     * @returns {Promise<Object>} - Заказ
+     */
+    async findOrder(number, email) {
+        const params = new URLSearchParams({ number: number.trim(), email: email.trim() });
+        return this.api.request(`/orders/lookup?${params}`);
+    }
+
+    /**
+     * Получает статистику совместных покупок по всем заказам
+     * @returns {Promise<Object>} - См. countCoPurchases
+     */
+    async getCoPurchases() {
+        return this.api.request('/orders/co-purchases');
+    }
+}
+
+/**
+ * Создаёт хранилище заказов по настройкам
+ * @param {Object} config - Настройки (см. getAccountApiConfig)
+ * @param {LocalAuthBackend|RestAuthBackend} authBackend - Серверная часть учётных записей
+ * @returns {LocalOrderBackend|RestOrderBackend} - Хранилище заказов
+ */
+function createOrderBackend(config, authBackend) {
+    if (config.source === 'rest') {
+        return new RestOrderBackend(authBackend);
+    }
+
+    return new LocalOrderBackend({ authBackend, delay: config.mockDelay });
+}
+
+// Инициализация хранилища заказов
+const orderBackend = createOrderBackend(accountApiConfig, session.backend);
+
+// Заказы, показанные в окне «Мои заказы» (для повтора заказа по номеру)
+const displayedOrders = new Map();
+
+// Модальное окно заказов (создаётся в initOrders)
+let ordersDialog = null;
+
+/**
+ * Показывает заказы пользователя или форму поиска заказа для гостя (обработчик маршрута #/orders)
+ * @returns {Function|undefined} - Функция закрытия окна при уходе с маршрута
+ */
+function showOrders() {
+    if (!ordersDialog) return;
+
+    // Сессия ещё проверяется — маршрут будет обработан повторно после проверки
+    if (session.status !== 'ready') return;
+
+    const isAuthenticated = session.isAuthenticated();
+    document.getElementById('orders-title').textContent = isAuthenticated ? 'Мои заказы' : 'Поиск заказа';
+    document.getElementById('orders-lookup').hidden = isAuthenticated;
+    renderOrders([]);
+
+    if (isAuthenticated) {
+        loadUserOrders();
+    }
+
+    ordersDialog.open();
+
+    return hideOrders;
+}
+
+function hideOrders() {
+    if (ordersDialog) {
+        ordersDialog.close();
+    }
+}
+
+// Загрузка заказов вошедшего пользователя
+async function loadUserOrders() {
+    const ordersList = document.getElementById('orders-list');
+    ordersList.innerHTML = '<p class="orders__message">Загружаем заказы...</p>';
+
+    try {
+        const orders = await orderBackend.getOrders(session.token);
+        renderOrders(orders, 'У вас пока нет заказов');
+    } catch (error) {
+        console.error('Ошибка загрузки заказов:', error);
+        ordersList.innerHTML = '<p class="orders__message">Не удалось загрузить заказы. Попробуйте позже.</p>';
+    }
+}
+
+/**
+ * Рендерит список заказов
+ * @param {Array} orders - Заказы
+ * @param {string} [emptyMessage] - Текст для пустого списка
+ */
+function renderOrders(orders, emptyMessage = '') {
+    const ordersList = document.getElementById('orders-list');
+    if (!ordersList) return;
+
+    displayedOrders.clear();
+    orders.forEach(order => displayedOrders.set(order.number, order));
+
+    if (orders.length === 0) {
+        renderTemplate(ordersList, emptyMessage ? html`<p class="orders__message">${emptyMessage}</p>` : html``);
+        return;
+    }
+
+    renderTemplate(ordersList, html`${orders.map(renderOrder)}`);
+}
+
+/**
+ * Формирует разметку заказа
+ * @param {Object} order - Заказ
+ * @returns {SafeHtml} - Разметка заказа
+ */
+function renderOrder(order) {
+    const historyByStatus = new Map(order.statusHistory.map(entry => [entry.status, entry.date]));
+    const deliveryText = formatDeliveryAddress(order.delivery);
+    // Суммы показываются в валюте и по курсу на момент оформления
+    const currency = order.currency || { code: BASE_CURRENCY, rate: 1 };
+    const amounts = currencyManager.convertBreakdown(order, currency);
+
+    return html`
+        <article class="order">
+            <header class="order__header">
+                <h3 class="order__number">Заказ ${order.number}</h3>
+                <span class="order__status order__status--${order.status}">${ORDER_STATUSES[order.status]}</span>
+                <span class="order__date">${formatOrderDate(order.createdAt)}</span>
+                <span class="order__total">${formatAmount(amounts.total, currency)}</span>
+            </header>
+            <details class="order__details">
+                <summary>Подробнее</summary>
+                <ol class="order__timeline">
+                    ${Object.entries(ORDER_STATUSES).map(([status, title]) => html`
+                        <li class="order__timeline-item${historyByStatus.has(status) ? ' order__timeline-item--done' : ''}">
+                            <span>${title}</span>
+                            <span>${historyByStatus.has(status) ? formatOrderDate(historyByStatus.get(status)) : ''}</span>
+                        </li>
+                    `)}
+                </ol>
+                <ul class="checkout__review-items">
+                    ${amounts.items.map(item => html`
+                        <li class="checkout__review-item">
+                            <span>${getItemTitle(item)} × ${item.quantity}</span>
+                            <span>${formatAmount(item.total, currency)}</span>
+                        </li>
+                    `)}
+                </ul>
+                <dl class="checkout__summary">
+                    <dt>Получатель</dt>
+                    <dd>${order.customer.name}, ${formatMaskedValue('phone', order.customer.phone)}</dd>
+                    <dt>${DELIVERY_METHODS[order.delivery.method]}</dt>
+                    <dd>${deliveryText}</dd>
+                    <dt>Оплата</dt>
+                    <dd>${PAYMENT_METHODS[order.payment.method]}</dd>
+                    <dt>Товары</dt>
+                    <dd>${formatAmount(amounts.subtotal, currency)}</dd>
+                    ${amounts.discounts.map(discount => html`
+                        <dt>${discount.title}</dt>
+                        <dd class="cart__discount">−${formatAmount(discount.amount, currency)}</dd>
+                    `)}
+                    <dt>Доставка</dt>
+                    <dd>${amounts.deliveryCost ? formatAmount(amounts.deliveryCost, currency) : 'Бесплатно'}</dd>
+                    <dt>Итого</dt>
+                    <dd class="checkout__summary-total">${formatAmount(amounts.total, currency)}</dd>
+                </dl>
+                <button type="button" class="button button--secondary order__repeat" data-order-number="${order.number}">
+                    Повторить заказ
+                </button>
+            </details>
+        </article>
+    `;
+}
+
+/**
+ * Форматирует дату заказа
+ * @param {string} isoDate - Дата в формате ISO
+ * @returns {string} - Дата и время
+ */
+function formatOrderDate(isoDate) {
+    return new Date(isoDate).toLocaleString('ru-RU', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Получает позиции заказа в формате корзины (см. ProductCart.merge)
+ * @param {Object} order - Заказ
+ * @returns {Array} - Позиции { id, sku, quantity, name }
+ */
+function getOrderCartItems(order) {
+    return order.items.map(({ id, sku, quantity, name }) => ({ id, sku, quantity, name }));
+}
+
+/**
+ * Добавляет товары заказа в корзину
+ * @param {Object} order - Заказ
+ */
+function repeatOrder(order) {
+    const changes = cart.merge({ items: getOrderCartItems(order), promoCode: null });
+
+    router.navigate('/cart');
+
+    if (changes.length) {
+        showInfoMessage(`Не все товары заказа удалось добавить:\n${changes.join('\n')}`);
+    } else {
+        showSuccessMessage(`Товары заказа ${order.number} добавлены в корзину`);
+    }
+}
+
+// Инициализация истории заказов
+function initOrders() {
+    const ordersModal = document.getElementById('orders-modal');
+    const lookupForm = document.getElementById('orders-lookup');
+    const ordersList = document.getElementById('orders-list');
+
+    if (!ordersModal || !lookupForm || !ordersList) return;
+
+    ordersDialog = new ModalDialog(ordersModal, {
+        onClose: () => router.back('/'),
+        returnFocus: '#account-toggle'
+    });
+
+    ordersList.addEventListener('click', (e) => {
+        const repeatButton = e.target.closest('.order__repeat');
+        if (!repeatButton) return;
+
+        const order = displayedOrders.get(repeatButton.getAttribute('data-order-number'));
+        if (order) {
+            repeatOrder(order);
+        }
+    });
+
+    const lookupValidator = new FormValidator();
+    lookupValidator.initFormValidation('#orders-lookup', {
+        number: {
+            required: true
+        },
+        email: {
+            required: true,
+            pattern: 'email'
+        }
+    }, async form => {
+        const submitButton = form.querySelector('[type="submit"]');
+        submitButton.disabled = true;
+
+        try {
+            const order = await orderBackend.findOrder(form.elements.number.value, form.elements.email.value);
+            renderOrders([order]);
+        } catch (error) {
+            if (error instanceof OrderError || error instanceof AuthError) {
+                renderOrders([], error.message);
+            } else {
+                console.error('Ошибка поиска заказа:', error);
+                showErrorMessage('Не удалось найти заказ. Попробуйте позже.');
+            }
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+}
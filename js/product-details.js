@@ -0,0 +1,243 @@
+// product-details.js
+// Модуль карточки товара
+const MAX_PRODUCT_QUANTITY = 99;
+
+// Переход к карточке товара (добавляет запись в историю браузера)
+function openProductDetails(productId) {
+    router.navigate(`/product/${productId}`);
+}
+
+// Закрытие карточки товара с возвратом к предыдущему адресу
+function closeProductDetails() {
+    router.back('/');
+}
+
+/**
+ * Показывает карточку товара (обработчик маршрута #/product/:id)
+ * @param {number} productId - ID товара
+ * @returns {Function|undefined} - Функция закрытия карточки при уходе с маршрута
+ */
+function showProductDetails(productId) {
+    // Товары ещё не загружены — маршрут будет обработан повторно после загрузки
+    if (productManager.status !== 'ready') return;
+
+    const product = productManager.getProductById(productId);
+
+    if (!product) {
+        showErrorMessage('Товар не найден');
+        router.navigate('/', { replace: true });
+        return;
+    }
+
+    renderProductDetails(product);
+    showProductReviews(product);
+    renderProductRecommendations(product);
+    recentlyViewed.record(product.id);
+    showProductModal();
+    return hideProductModal;
+}
+
+// Модальное окно карточки товара (создаётся в initProductDetails)
+let productDialog = null;
+
+function showProductModal() {
+    if (productDialog) {
+        productDialog.open();
+    }
+}
+
+function hideProductModal() {
+    if (productDialog) {
+        productDialog.close();
+    }
+}
+
+/**
+ * Рендеринг карточки товара
+ * @param {Object} product - Объект товара
+ * @param {Object} [variant] - Выбранный вариант (по умолчанию — первый вариант в наличии)
+ */
+function renderProductDetails(product, variant = findVariant(product)) {
+    const title = document.getElementById('product-title');
+    const details = document.getElementById('product-details');
+
+    if (!title || !details) return;
+
+    const images = variant.images;
+    const specs = productManager.getSpecs(product, variant);
+    const stockStatus = getStockStatus(variant);
+    const maxQuantity = Math.min(getOrderLimit(variant), MAX_PRODUCT_QUANTITY);
+
+    title.textContent = product.name;
+
+    renderTemplate(details, html`
+        <div class="product-details">
+            <div class="product-details__gallery">
+                <img src="${images[0]}" alt="${product.name}" class="product-details__image" id="product-main-image">
+                ${images.length > 1 ? html`
+                    <div class="product-details__thumbs">
+                        ${images.map((image, index) => html`
+                            <button type="button" class="product-details__thumb${index === 0 ? ' active' : ''}" data-image="${sanitizeUrl(image)}" aria-label="Фото ${index + 1}">
+                                <img src="${image}" alt="">
+                            </button>
+                        `)}
+                    </div>
+                ` : ''}
+            </div>
+            <div class="product-details__info">
+                <div class="product-details__price">${formatPrice(variant.price)}</div>
+                <div class="stock-status stock-status--${stockStatus}">
+                    ${STOCK_STATUSES[stockStatus]}${stockStatus === 'low' ? html`: осталось ${getProductStock(variant)} шт.` : ''}
+                </div>
+                <div class="product-details__sku">Артикул: ${variant.sku}</div>
+                ${renderVariantOptions(product, variant)}
+                <p class="product-details__description">${product.fullDescription || product.description}</p>
+                <form class="product-details__buy" id="product-buy-form" data-product-id="${product.id}" data-sku="${variant.sku}">
+                    <div class="cart-item__quantity">
+                        <button type="button" class="quantity-button" data-step="-1" aria-label="Уменьшить количество">-</button>
+                        <input type="number" class="quantity-value product-details__quantity" name="quantity" value="1" min="1" max="${maxQuantity}" aria-label="Количество"${maxQuantity === 0 ? ' disabled' : ''}>
+                        <button type="button" class="quantity-button" data-step="1" aria-label="Увеличить количество">+</button>
+                    </div>
+                    <button type="submit" class="button button--primary"${maxQuantity === 0 ? ' disabled' : ''}>В корзину</button>
+                    ${renderWishlistButton(product.id)}
+                    ${renderCompareButton(product.id)}
+                </form>
+            </div>
+        </div>
+        ${specs.length ? html`
+            <h3 class="product-details__subtitle">Характеристики</h3>
+            <dl class="product-details__specs">
+                ${specs.map(spec => html`
+                    <dt>${spec.label}</dt>
+                    <dd>${spec.text}</dd>
+                `)}
+            </dl>
+        ` : ''}
+    `);
+}
+
+/**
+ * Формирует переключатели параметров варианта (цвет, память).
+ * Каждое значение ведёт к варианту с этим значением и, по возможности, прежними остальными параметрами
+ * @param {Object} product - Объект товара
+ * @param {Object} variant - Выбранный вариант
+ * @returns {Array<SafeHtml>} - Разметка переключателей (пустой список для товара без вариантов)
+ */
+function renderVariantOptions(product, variant) {
+    return Object.entries(VARIANT_OPTIONS)
+        .map(([key, option]) => {
+            const values = [...new Set(product.variants
+                .map(item => item.options[key])
+                .filter(value => value !== undefined))];
+
+            if (values.length < 2) return '';
+
+            return html`
+                <fieldset class="product-details__option">
+                    <legend class="product-details__option-title">${option.label}</legend>
+                    ${values.map(value => {
+                        const target = findVariantByOptions(product, { ...variant.options, [key]: value }) ||
+                            product.variants.find(item => item.options[key] === value);
+                        const isAvailable = getProductStock(target) > 0;
+
+                        return html`
+                            <label class="variant-option${isAvailable ? '' : ' variant-option--out-of-stock'}">
+                                <input type="radio" class="variant-option__input" name="variant-${key}" data-sku="${target.sku}"${value === variant.options[key] ? ' checked' : ''}>
+                                <span class="variant-option__label">${option.unit ? `${value} ${option.unit}` : value}${isAvailable ? '' : html`<span class="sr-only"> (нет в наличии)</span>`}</span>
+                            </label>
+                        `;
+                    })}
+                </fieldset>
+            `;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Находит вариант с указанными параметрами
+ * @param {Object} product - Объект товара
+ * @param {Object} options - Параметры варианта
+ * @returns {Object|undefined} - Вариант
+ */
+function findVariantByOptions(product, options) {
+    return product.variants.find(variant =>
+        Object.keys(VARIANT_OPTIONS).every(key => variant.options[key] === options[key])
+    );
+}
+
+/**
+ * Нормализует количество товара в допустимый диапазон
+ * @param {number} quantity - Введённое количество
+ * @param {number} max - Максимально допустимое количество
+ * @returns {number} - Количество от 1 до max
+ */
+function normalizeQuantity(quantity, max = MAX_PRODUCT_QUANTITY) {
+    if (!Number.isFinite(quantity) || quantity < 1) {
+        return 1;
+    }
+
+    return Math.max(Math.min(Math.floor(quantity), max), 1);
+}
+
+// Инициализация карточки товара
+function initProductDetails() {
+    const productModal = document.getElementById('product-modal');
+    const details = document.getElementById('product-details');
+
+    if (!productModal || !details) return;
+
+    productDialog = new ModalDialog(productModal, { onClose: closeProductDetails });
+
+    // Обработчики внутри карточки (содержимое перерисовывается для каждого товара)
+    details.addEventListener('click', (e) => {
+        const thumb = e.target.closest('.product-details__thumb');
+        if (thumb) {
+            const mainImage = document.getElementById('product-main-image');
+            mainImage.src = thumb.getAttribute('data-image');
+            details.querySelectorAll('.product-details__thumb').forEach(button => {
+                button.classList.toggle('active', button === thumb);
+            });
+            return;
+        }
+
+        const stepButton = e.target.closest('[data-step]');
+        if (stepButton) {
+            const input = details.querySelector('.product-details__quantity');
+            const step = parseInt(stepButton.getAttribute('data-step'));
+            input.value = normalizeQuantity(parseInt(input.value) + step, parseInt(input.max));
+        }
+    });
+
+    details.addEventListener('change', (e) => {
+        // Выбор варианта перерисовывает карточку: цена, остаток и фото зависят от варианта
+        if (e.target.classList.contains('variant-option__input')) {
+            const product = productManager.getProductById(parseInt(details.querySelector('#product-buy-form').getAttribute('data-product-id')));
+            const name = e.target.name;
+
+            renderProductDetails(product, findVariant(product, e.target.getAttribute('data-sku')));
+            details.querySelector(`[name="${escapeSelectorValue(name)}"]:checked`).focus();
+            return;
+        }
+
+        if (e.target.classList.contains('product-details__quantity')) {
+            e.target.value = normalizeQuantity(parseInt(e.target.value), parseInt(e.target.max));
+        }
+    });
+
+    details.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const productId = parseInt(form.getAttribute('data-product-id'));
+        const quantity = normalizeQuantity(parseInt(form.elements.quantity.value), parseInt(form.elements.quantity.max));
+        addToCart(productId, quantity, form.getAttribute('data-sku'));
+    });
+
+    // Цена в открытой карточке зависит от выбранной валюты
+    currencyManager.subscribe(() => {
+        const form = details.querySelector('#product-buy-form');
+        if (!form || !productModal.classList.contains('active')) return;
+
+        const product = productManager.getProductById(parseInt(form.getAttribute('data-product-id')));
+        renderProductDetails(product, findVariant(product, form.getAttribute('data-sku')));
+    });
+}
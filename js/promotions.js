@@ -0,0 +1,303 @@
+// promotions.js
+// Модуль скидок и промокодов
+
+// Действующие акции. Акции без code применяются автоматически.
+// Типы правил:
+//   percent     — процент от суммы подходящих товаров (value, необязательный maxDiscount)
+//   fixed       — фиксированная сумма (value), не больше суммы подходящих товаров
+//   buy-n-get-m — из каждых buy + get единиц самые дешёвые get — бесплатно
+// Общие условия: category — ограничение по категории, minSubtotal — минимальная
+// сумма заказа, expiresAt — срок действия, usageLimit — лимит использований промокода,
+// perCustomerLimit — лимит использований одним покупателем.
+// Лимиты проверяет сервер при сохранении заказа (см. LocalOrderBackend.checkPromoCode):
+// счётчик в браузере сбрасывается вместе с данными сайта и лишь заранее предупреждает покупателя
+// о личном лимите.
+// Суммы в заголовке задаются подстановками {value} и {minSubtotal} и выводятся в выбранной валюте
+const PROMOTIONS = [
+    {
+        id: 'accessories-3-for-2',
+        title: 'Аксессуары: третий в подарок',
+        type: 'buy-n-get-m',
+        buy: 2,
+        get: 1,
+        category: 'accessories'
+    },
+    {
+        id: 'big-order',
+        title: 'Скидка 3% на заказ от {minSubtotal}',
+        type: 'percent',
+        value: 3,
+        minSubtotal: 150000
+    },
+    {
+        id: 'welcome',
+        code: 'WELCOME10',
+        title: 'Промокод WELCOME10: −10%',
+        type: 'percent',
+        value: 10,
+        maxDiscount: 10000,
+        expiresAt: '2027-12-31T23:59:59+03:00',
+        usageLimit: 1000,
+        perCustomerLimit: 1
+    },
+    {
+        id: 'laptops-5000',
+        code: 'LAPTOP5000',
+        title: 'Промокод LAPTOP5000: −{value} на ноутбуки',
+        type: 'fixed',
+        value: 5000,
+        category: 'laptops',
+        minSubtotal: 50000,
+        expiresAt: '2027-06-30T23:59:59+03:00',
+        usageLimit: 100
+    },
+    {
+        id: 'summer-2023',
+        code: 'SUMMER23',
+        title: 'Промокод SUMMER23: −15%',
+        type: 'percent',
+        value: 15,
+        expiresAt: '2023-08-31T23:59:59+03:00'
+    }
+];
+
+/**
+ * Проверяет сохранённые счётчики использования промокодов
+ * @param {Object} data - Данные из хранилища
+ * @returns {boolean} - Результат проверки
+ */
+function validatePromoUsageData(data) {
+    return Boolean(data) &&
+        typeof data.usage === 'object' && data.usage !== null &&
+        Object.values(data.usage).every(count => Number.isInteger(count) && count >= 0);
+}
+
+/**
+ * Формирует заголовок акции с суммами в выбранной валюте
+ * @param {Object} promotion - Акция
+ * @returns {string} - Заголовок
+ */
+function formatPromotionTitle(promotion) {
+    return promotion.title.replace(/\{(value|minSubtotal)\}/g, (match, key) => formatPrice(promotion[key]));
+}
+
+class PromotionEngine {
+    /**
+     * @param {Array} promotions - Список акций
+     * @param {VersionedStore} [usageStore] - Счётчики использования промокодов в этом браузере
+     */
+    constructor(promotions, usageStore) {
+        this.promotions = promotions;
+        this.usageStore = usageStore || new VersionedStore('techstore_promo_usage', {
+            version: 1,
+            migrations: {
+                // Версия 0: счётчики { [промокод]: количество } без конверта
+                0: usage => ({ usage })
+            },
+            validate: validatePromoUsageData,
+            defaultValue: () => ({ usage: {} })
+        });
+    }
+
+    /**
+     * Нормализует промокод
+     * @param {string} code - Введённый промокод
+     * @returns {string} - Промокод в верхнем регистре без пробелов
+     */
+    normalizeCode(code) {
+        return String(code || '').replace(/\s+/g, '').toUpperCase();
+    }
+
+    /**
+     * Находит акцию по промокоду
+     * @param {string} code - Промокод
+     * @returns {Object|null} - Акция или null
+     */
+    findByCode(code) {
+        const normalized = this.normalizeCode(code);
+        return this.promotions.find(promotion => promotion.code === normalized) || null;
+    }
+
+    /**
+     * Возвращает товары, на которые распространяется акция
+     * @param {Object} promotion - Акция
+     * @param {Array} items - Товары корзины
+     * @returns {Array} - Подходящие товары
+     */
+    getEligibleItems(promotion, items) {
+        if (!promotion.category) {
+            return items;
+        }
+
+        return items.filter(item => item.category === promotion.category);
+    }
+
+    /**
+     * Рассчитывает сумму товаров
+     * @param {Array} items - Товары корзины
+     * @returns {number} - Сумма
+     */
+    getSubtotal(items) {
+        return items.reduce((total, item) => total + item.price * item.quantity, 0);
+    }
+
+    /**
+     * Проверяет условия акции
+     * @param {Object} promotion - Акция
+     * @param {Array} items - Товары корзины
+     * @param {Date} now - Текущая дата
+     * @returns {string|null} - Причина, по которой акция не применяется, или null
+     */
+    checkConditions(promotion, items, now) {
+        if (promotion.expiresAt && new Date(promotion.expiresAt) < now) {
+            return 'Срок действия промокода истёк';
+        }
+
+        // Подсказка о личном лимите: счётчик в браузере не знает о заказах других покупателей,
+        // поэтому общий лимит проверяет только сервер
+        if (promotion.perCustomerLimit && this.getUsage(promotion.code) >= promotion.perCustomerLimit) {
+            return 'Вы уже использовали этот промокод';
+        }
+
+        const subtotal = this.getSubtotal(items);
+        if (promotion.minSubtotal && subtotal < promotion.minSubtotal) {
+            return `Минимальная сумма заказа — ${formatPrice(promotion.minSubtotal)}`;
+        }
+
+        if (this.getEligibleItems(promotion, items).length === 0) {
+            return 'В корзине нет товаров, на которые действует промокод';
+        }
+
+        return null;
+    }
+
+    /**
+     * Рассчитывает скидку по акции без учёта условий
+     * @param {Object} promotion - Акция
+     * @param {Array} items - Товары корзины
+     * @returns {number} - Размер скидки
+     */
+    calculateDiscount(promotion, items) {
+        const eligibleItems = this.getEligibleItems(promotion, items);
+        const eligibleSubtotal = this.getSubtotal(eligibleItems);
+
+        switch (promotion.type) {
+            case 'percent': {
+                const discount = Math.round(eligibleSubtotal * promotion.value / 100);
+                return promotion.maxDiscount ? Math.min(discount, promotion.maxDiscount) : discount;
+            }
+
+            case 'fixed':
+                return Math.min(promotion.value, eligibleSubtotal);
+
+            case 'buy-n-get-m': {
+                // Раскладываем товары на единицы от дорогих к дешёвым: в каждой группе
+                // из buy + get единиц бесплатны последние get
+                const prices = eligibleItems
+                    .flatMap(item => new Array(item.quantity).fill(item.price))
+                    .sort((a, b) => b - a);
+                const groupSize = promotion.buy + promotion.get;
+
+                return prices.reduce((discount, price, index) => {
+                    return index % groupSize >= promotion.buy ? discount + price : discount;
+                }, 0);
+            }
+
+            default:
+                console.error('Неизвестный тип акции:', promotion.type);
+                return 0;
+        }
+    }
+
+    /**
+     * Проверяет промокод для текущей корзины
+     * @param {string} code - Промокод
+     * @param {Array} items - Товары корзины
+     * @param {Date} now - Текущая дата
+     * @returns {Object} - { valid, promotion, error }
+     */
+    validateCode(code, items, now = new Date()) {
+        const promotion = this.findByCode(code);
+
+        if (!promotion) {
+            return { valid: false, promotion: null, error: 'Промокод не найден' };
+        }
+
+        const error = this.checkConditions(promotion, items, now);
+        return { valid: !error, promotion, error };
+    }
+
+    /**
+     * Рассчитывает итоговую сумму со скидками
+     * @param {Array} items - Товары корзины
+     * @param {Object} options - Настройки
+     * @param {string} [options.promoCode] - Применённый промокод
+     * @param {Date} [options.now] - Текущая дата
+     * @returns {Object} - { subtotal, discounts, discountTotal, total, promoError }
+     */
+    calculate(items, { promoCode = null, now = new Date() } = {}) {
+        const subtotal = this.getSubtotal(items);
+        const discounts = [];
+        let promoError = null;
+
+        const applicable = this.promotions.filter(promotion => !promotion.code);
+
+        if (promoCode) {
+            const { valid, promotion, error } = this.validateCode(promoCode, items, now);
+            if (valid) {
+                applicable.push(promotion);
+            } else {
+                promoError = error;
+            }
+        }
+
+        let remaining = subtotal;
+
+        applicable.forEach(promotion => {
+            if (!promotion.code && this.checkConditions(promotion, items, now)) {
+                return;
+            }
+
+            // Сумма скидок не может превышать стоимость товаров
+            const amount = Math.min(this.calculateDiscount(promotion, items), remaining);
+            if (amount > 0) {
+                discounts.push({ id: promotion.id, title: formatPromotionTitle(promotion), code: promotion.code || null, amount });
+                remaining -= amount;
+            }
+        });
+
+        return {
+            subtotal,
+            discounts,
+            discountTotal: subtotal - remaining,
+            total: remaining,
+            promoError
+        };
+    }
+
+    /**
+     * Получает количество использований промокода в этом браузере
+     * @param {string} code - Промокод
+     * @returns {number} - Количество использований
+     */
+    getUsage(code) {
+        return this.usageStore.load().usage[code] || 0;
+    }
+
+    /**
+     * Учитывает использование промокода после оформления заказа. Счётчик только для подсказок
+     * в интерфейсе: его можно сбросить, очистив данные сайта
+     * @param {string} code - Промокод
+     */
+    registerUsage(code) {
+        const promotion = this.findByCode(code);
+        if (!promotion) return;
+
+        const data = this.usageStore.load();
+        data.usage[promotion.code] = (data.usage[promotion.code] || 0) + 1;
+        this.usageStore.save(data);
+    }
+}
+
+// Инициализация движка скидок
+const promotionEngine = new PromotionEngine(PROMOTIONS);
@@ -0,0 +1,242 @@
+// recommendations.js
+// Модуль рекомендаций: недавно просмотренные товары и «С этим товаром покупают»
+const RECENTLY_VIEWED_STORAGE_VERSION = 1;
+const MAX_RECENTLY_VIEWED = 12;
+const MAX_RECOMMENDATIONS = 4;
+
+// Категории, которые дополняют товар категории-ключа, от наиболее подходящей
+const CATEGORY_AFFINITY = {
+    smartphones: ['accessories', 'tablets'],
+    tablets: ['accessories', 'laptops'],
+    laptops: ['accessories', 'tablets'],
+    accessories: ['smartphones', 'tablets']
+};
+
+// Веса признаков рекомендации
+const RECOMMENDATION_WEIGHTS = {
+    // За каждый заказ, в котором товары купили вместе
+    coPurchase: 5,
+    // За подходящую категорию по порядку в CATEGORY_AFFINITY
+    affinity: [3, 2],
+    // Товары одного бренда лучше работают вместе
+    sameBrand: 1
+};
+
+class RecentlyViewed extends IdListStore {
+    /**
+     * @param {VersionedStore} store - Хранилище истории просмотров
+     * @param {number} [limit] - Максимальная длина истории
+     */
+    constructor(store, limit = MAX_RECENTLY_VIEWED) {
+        super(store);
+        this.limit = limit;
+    }
+
+    /**
+     * Добавляет товар в начало истории
+     * @param {number} productId - ID товара
+     */
+    record(productId) {
+        if (this.ids[0] === productId) return;
+
+        this.ids = [productId, ...this.ids.filter(id => id !== productId)].slice(0, this.limit);
+        this.save();
+    }
+}
+
+class RecommendationEngine {
+    /**
+     * @param {Object} affinity - Дополняющие категории (см. CATEGORY_AFFINITY)
+     * @param {Object} weights - Веса признаков (см. RECOMMENDATION_WEIGHTS)
+     */
+    constructor(affinity = CATEGORY_AFFINITY, weights = RECOMMENDATION_WEIGHTS) {
+        this.affinity = affinity;
+        this.weights = weights;
+        this.coPurchases = {};
+    }
+
+    /**
+     * Загружает статистику совместных покупок
+     * @param {LocalOrderBackend|RestOrderBackend} backend - Хранилище заказов
+     * @returns {Promise<void>}
+     */
+    async loadCoPurchases(backend) {
+        this.coPurchases = await backend.getCoPurchases() || {};
+    }
+
+    /**
+     * Оценивает, насколько товар дополняет выбранный
+     * @param {Object} base - Выбранный товар
+     * @param {Object} candidate - Товар-кандидат
+     * @returns {number} - Оценка (0 — не подходит)
+     */
+    score(base, candidate) {
+        const coPurchaseCount = (this.coPurchases[base.id] || {})[candidate.id] || 0;
+        const affinityIndex = (this.affinity[base.category] || []).indexOf(candidate.category);
+        let score = coPurchaseCount * this.weights.coPurchase;
+
+        if (affinityIndex !== -1) {
+            score += this.weights.affinity[affinityIndex] || 0;
+        }
+
+        // Бренд учитывается только для товаров, которые уже подходят по другим признакам
+        if (score > 0 && base.brand && base.brand === candidate.brand) {
+            score += this.weights.sameBrand;
+        }
+
+        return score;
+    }
+
+    /**
+     * Подбирает товары, которые дополняют выбранные
+     * @param {Array} baseProducts - Выбранные товары (просматриваемый товар или товары корзины)
+     * @param {Array} products - Товары каталога
+     * @param {number} [limit] - Количество рекомендаций
+     * @returns {Array} - Товары в порядке убывания оценки
+     */
+    recommend(baseProducts, products, limit = MAX_RECOMMENDATIONS) {
+        const baseIds = new Set(baseProducts.map(product => product.id));
+
+        return products
+            .filter(product => !baseIds.has(product.id) && getStockStatus(product) !== 'out-of-stock')
+            .map(product => ({
+                product,
+                score: baseProducts.reduce((total, base) => total + this.score(base, product), 0)
+            }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score || (b.product.popularity || 0) - (a.product.popularity || 0))
+            .slice(0, limit)
+            .map(({ product }) => product);
+    }
+}
+
+// Инициализация истории просмотров и рекомендаций
+const recentlyViewed = new RecentlyViewed(new VersionedStore('techstore_recently_viewed', {
+    version: RECENTLY_VIEWED_STORAGE_VERSION,
+    validate: validateIdListData,
+    defaultValue: () => ({ ids: [] })
+}));
+const recommendationEngine = new RecommendationEngine();
+
+// Товар, для которого показаны рекомендации в карточке товара
+let recommendationsProduct = null;
+
+/**
+ * Формирует компактную карточку товара для подборок
+ * @param {Object} product - Объект товара
+ * @returns {SafeHtml} - Разметка элемента списка
+ */
+function renderProductTile(product) {
+    const isAvailable = getStockStatus(product) !== 'out-of-stock';
+
+    return html`
+        <li class="product-tile">
+            <a href="#/product/${product.id}" class="product-tile__link">
+                <img src="${product.image}" alt="" class="product-tile__image">
+                <span class="product-tile__name">${product.name}</span>
+            </a>
+            <span class="product-tile__price">${formatProductPrice(product)}</span>
+            <button type="button" class="button button--secondary product-tile__add" data-product-id="${product.id}"${isAvailable ? '' : ' disabled'}>
+                В корзину
+            </button>
+        </li>
+    `;
+}
+
+/**
+ * Рендерит подборку товаров. Пустая подборка скрывается
+ * @param {string} sectionId - ID секции подборки
+ * @param {Array} products - Товары
+ */
+function renderProductStrip(sectionId, products) {
+    const section = document.getElementById(sectionId);
+    if (!section) return;
+
+    section.hidden = products.length === 0;
+    renderTemplate(section.querySelector('.product-strip'), html`${products.map(renderProductTile)}`);
+}
+
+// Рендерит карусель недавно просмотренных товаров
+function renderRecentlyViewed() {
+    if (productManager.status !== 'ready') return;
+
+    renderProductStrip('recently-viewed', recentlyViewed.getProducts(productManager.products));
+}
+
+/**
+ * Рендерит рекомендации в карточке товара
+ * @param {Object} product - Просматриваемый товар
+ */
+function renderProductRecommendations(product) {
+    recommendationsProduct = product;
+    renderProductStrip('product-recommendations', recommendationEngine.recommend([product], productManager.products));
+}
+
+// Перерисовывает рекомендации в открытой карточке товара
+function renderOpenProductRecommendations() {
+    const productModal = document.getElementById('product-modal');
+    if (recommendationsProduct && productModal && productModal.classList.contains('active')) {
+        renderProductRecommendations(recommendationsProduct);
+    }
+}
+
+// Рендерит рекомендации к товарам корзины
+function renderCartRecommendations() {
+    // До сверки с каталогом товары корзины неизвестны
+    if (!cart.isSynced) {
+        renderProductStrip('cart-recommendations', []);
+        return;
+    }
+
+    const baseProducts = cart.items
+        .map(item => productManager.getProductById(item.id))
+        .filter(Boolean);
+
+    renderProductStrip('cart-recommendations', recommendationEngine.recommend(baseProducts, productManager.products));
+}
+
+/**
+ * Обновляет статистику совместных покупок и перерисовывает рекомендации
+ * @returns {Promise<void>}
+ */
+async function refreshRecommendations() {
+    try {
+        await recommendationEngine.loadCoPurchases(orderBackend);
+    } catch (error) {
+        // Без статистики рекомендации строятся только по категориям
+        console.error('Не удалось загрузить статистику покупок:', error);
+        return;
+    }
+
+    renderCartRecommendations();
+    renderOpenProductRecommendations();
+}
+
+// Инициализация рекомендаций
+function initRecommendations() {
+    // Кнопки «В корзину» во всех подборках
+    document.querySelectorAll('.product-strip').forEach(strip => {
+        strip.addEventListener('click', (e) => {
+            const button = e.target.closest('.product-tile__add');
+            if (button) {
+                addToCart(parseInt(button.getAttribute('data-product-id')));
+            }
+        });
+    });
+
+    // Прокрутка карусели на ширину видимой области
+    document.querySelectorAll('[data-carousel-step]').forEach(button => {
+        button.addEventListener('click', () => {
+            const carousel = document.getElementById(button.getAttribute('aria-controls'));
+            const step = parseInt(button.getAttribute('data-carousel-step'));
+            carousel.scrollBy({ left: step * carousel.clientWidth, behavior: 'smooth' });
+        });
+    });
+
+    recentlyViewed.subscribe(renderRecentlyViewed);
+    cart.subscribe(renderCartRecommendations);
+    currencyManager.subscribe(renderRecentlyViewed);
+    currencyManager.subscribe(renderCartRecommendations);
+    currencyManager.subscribe(renderOpenProductRecommendations);
+    refreshRecommendations();
+}
@@ -0,0 +1,204 @@
+// reviews.js
+// Модуль отзывов: рейтинг товара в каталоге, список отзывов и форма отзыва в карточке товара
+
+/**
+ * Подбирает форму слова «отзыв» для числа
+ * @param {number} count - Количество отзывов
+ * @returns {string} - Например, «3 отзыва»
+ */
+function formatReviewCount(count) {
+    const lastDigit = count % 10;
+    const lastTwoDigits = count % 100;
+    let word = 'отзывов';
+
+    if (lastDigit === 1 && lastTwoDigits !== 11) {
+        word = 'отзыв';
+    } else if (lastDigit >= 2 && lastDigit <= 4 && (lastTwoDigits < 12 || lastTwoDigits > 14)) {
+        word = 'отзыва';
+    }
+
+    return `${count} ${word}`;
+}
+
+/**
+ * Формирует звёздный рейтинг товара
+ * @param {Object} product - Объект товара ({ rating, reviewCount })
+ * @returns {SafeHtml} - Разметка рейтинга
+ */
+function renderRating(product) {
+    if (!product.reviewCount) {
+        return html`<div class="rating rating--empty">Нет отзывов</div>`;
+    }
+
+    const rating = product.rating.toLocaleString('ru-RU');
+
+    return html`
+        <div class="rating" aria-label="Рейтинг ${rating} из 5, ${formatReviewCount(product.reviewCount)}">
+            <span class="rating__stars" style="--rating: ${product.rating}" aria-hidden="true">★★★★★</span>
+            <span class="rating__value" aria-hidden="true">${rating}</span>
+            <span class="rating__count" aria-hidden="true">(${product.reviewCount})</span>
+        </div>
+    `;
+}
+
+const reviewValidator = new FormValidator();
+
+// Правила для формы отзыва
+const reviewRules = {
+    rating: {
+        required: true
+    },
+    author: {
+        required: true,
+        minLength: 2,
+        maxLength: 50,
+        pattern: 'name'
+    },
+    text: {
+        required: true,
+        minLength: 10,
+        maxLength: 1000
+    }
+};
+
+/**
+ * Создаёт элемент отзыва. Текст отзыва задаётся через textContent: его пишут пользователи
+ * @param {Object} review - Отзыв
+ * @returns {HTMLLIElement} - Элемент списка
+ */
+function createReviewElement(review) {
+    const item = document.createElement('li');
+    item.className = 'review';
+
+    const header = document.createElement('div');
+    header.className = 'review__header';
+
+    const stars = document.createElement('span');
+    stars.className = 'rating__stars';
+    stars.style.setProperty('--rating', review.rating);
+    stars.textContent = '★★★★★';
+    stars.setAttribute('aria-label', `Оценка ${review.rating} из 5`);
+    stars.setAttribute('role', 'img');
+
+    const author = document.createElement('span');
+    author.className = 'review__author';
+    author.textContent = review.author;
+
+    const date = document.createElement('time');
+    date.className = 'review__date';
+    date.dateTime = review.date;
+    date.textContent = new Date(review.date).toLocaleDateString('ru-RU', { day: 'numeric', month: 'long', year: 'numeric' });
+
+    const text = document.createElement('p');
+    text.className = 'review__text';
+    text.textContent = review.text;
+
+    header.append(stars, author, date);
+    item.append(header, text);
+    return item;
+}
+
+/**
+ * Рендерит список отзывов
+ * @param {Array} reviews - Отзывы, новые — первыми
+ */
+function renderReviewList(reviews) {
+    const reviewsList = document.getElementById('reviews-list');
+    if (!reviewsList) return;
+
+    reviewsList.innerHTML = '';
+
+    if (reviews.length === 0) {
+        reviewsList.innerHTML = '<li class="reviews__status">Отзывов пока нет. Будьте первым!</li>';
+        return;
+    }
+
+    reviews.forEach(review => reviewsList.appendChild(createReviewElement(review)));
+}
+
+/**
+ * Рендерит средний рейтинг товара над списком отзывов
+ * @param {Object} product - Объект товара
+ */
+function renderReviewSummary(product) {
+    const reviewsSummary = document.getElementById('reviews-summary');
+    if (reviewsSummary) {
+        renderTemplate(reviewsSummary, product.reviewCount
+            ? html`${renderRating(product)}<span class="reviews__count">${formatReviewCount(product.reviewCount)}</span>`
+            : html``);
+    }
+}
+
+/**
+ * Показывает отзывы о товаре в карточке товара
+ * @param {Object} product - Объект товара
+ * @returns {Promise<void>}
+ */
+async function showProductReviews(product) {
+    const reviewsList = document.getElementById('reviews-list');
+    const reviewForm = document.getElementById('review-form');
+    if (!reviewsList || !reviewForm) return;
+
+    reviewForm.setAttribute('data-product-id', product.id);
+    reviewForm.reset();
+    Object.keys(reviewRules).forEach(name => reviewValidator.clearFieldError(reviewForm.elements[name]));
+
+    if (session.isAuthenticated()) {
+        reviewForm.elements.author.value = session.user.name;
+    }
+
+    renderReviewSummary(product);
+    reviewsList.innerHTML = '<li class="reviews__status">Загружаем отзывы...</li>';
+
+    try {
+        const reviews = await productManager.loadReviews(product.id);
+
+        // Пока отзывы загружались, пользователь мог открыть другой товар
+        if (reviewForm.getAttribute('data-product-id') === String(product.id)) {
+            renderReviewList(reviews);
+        }
+    } catch (error) {
+        console.error('Ошибка загрузки отзывов:', error);
+        reviewsList.innerHTML = '<li class="reviews__status">Не удалось загрузить отзывы. Попробуйте позже.</li>';
+    }
+}
+
+/**
+ * Отправляет отзыв о товаре
+ * @param {HTMLFormElement} form - Форма отзыва
+ * @returns {Promise<void>}
+ */
+async function submitReview(form) {
+    const productId = parseInt(form.getAttribute('data-product-id'));
+    const submitButton = form.querySelector('[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        await productManager.addReview(productId, {
+            rating: parseInt(form.elements.rating.value),
+            author: form.elements.author.value,
+            text: form.elements.text.value
+        });
+
+        const product = productManager.getProductById(productId);
+        showSuccessMessage('Спасибо! Ваш отзыв опубликован');
+
+        // Новый рейтинг отображается в карточке товара и в каталоге
+        renderCatalogView();
+        if (product) {
+            await showProductReviews(product);
+        }
+    } catch (error) {
+        console.error('Ошибка отправки отзыва:', error);
+        showErrorMessage(error instanceof CatalogError && error.status === 400
+            ? 'Проверьте текст отзыва и оценку'
+            : 'Не удалось отправить отзыв. Попробуйте позже.');
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+// Инициализация отзывов
+function initReviews() {
+    reviewValidator.initFormValidation('#review-form', reviewRules, submitReview);
+}
@@ -0,0 +1,182 @@
+// router.js
+// Модуль клиентской маршрутизации на основе hash-адресов
+class Router {
+    constructor() {
+        this.routes = [];
+        this.fallbackPath = '/';
+        this.current = null;
+        this.cleanup = null;
+    }
+
+    /**
+     * Регистрирует маршрут
+     * @param {string} pattern - Шаблон пути, например '/category/:category'
+     * @param {Function} handler - Обработчик (params, query). Может вернуть функцию,
+     *                             которая будет вызвана при уходе с маршрута
+     * @returns {Router} - Роутер (для цепочки вызовов)
+     */
+    on(pattern, handler) {
+        const keys = [];
+        const source = pattern.replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+
+        this.routes.push({
+            pattern,
+            regex: new RegExp(`^${source}$`),
+            keys,
+            handler
+        });
+
+        return this;
+    }
+
+    /**
+     * Задаёт путь, на который перенаправляются неизвестные адреса
+     * @param {string} path - Путь по умолчанию
+     * @returns {Router} - Роутер (для цепочки вызовов)
+     */
+    otherwise(path) {
+        this.fallbackPath = path;
+        return this;
+    }
+
+    /**
+     * Разбирает hash-адрес на путь и параметры запроса
+     * @param {string} hash - Значение location.hash
+     * @returns {Object|null} - { path, query } или null для обычных якорей
+     */
+    parse(hash) {
+        if (!hash || hash === '#') {
+            return { path: '/', query: new URLSearchParams() };
+        }
+
+        // Обычные якоря вроде #products не являются маршрутами
+        if (!hash.startsWith('#/')) {
+            return null;
+        }
+
+        const [path, queryString = ''] = hash.slice(1).split('?');
+        return {
+            path: path.replace(/\/+$/, '') || '/',
+            query: new URLSearchParams(queryString)
+        };
+    }
+
+    /**
+     * Находит маршрут, соответствующий пути
+     * @param {string} path - Путь
+     * @returns {Object|null} - { route, params } или null, если маршрут не найден или путь некорректен
+     */
+    match(path) {
+        for (const route of this.routes) {
+            const match = path.match(route.regex);
+            if (match) {
+                const params = {};
+
+                try {
+                    route.keys.forEach((key, index) => {
+                        params[key] = decodeURIComponent(match[index + 1]);
+                    });
+                } catch (error) {
+                    // Некорректная escape-последовательность (#/category/%E0): адрес не соответствует ни одному маршруту
+                    if (error instanceof URIError) return null;
+                    throw error;
+                }
+
+                return { route, params };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Переходит по пути
+     * @param {string} path - Путь с необязательной строкой запроса, например '/search?q=ipad'
+     * @param {Object} options - Настройки перехода
+     * @param {boolean} [options.replace] - Заменить текущую запись истории вместо добавления
+     */
+    navigate(path, { replace = false } = {}) {
+        const hash = `#${path}`;
+
+        if (hash === window.location.hash) {
+            return;
+        }
+
+        // Глубина помогает понять, можно ли вернуться назад внутри приложения
+        const depth = (history.state && history.state.depth) || 0;
+        const url = window.location.pathname + window.location.search + hash;
+
+        if (replace) {
+            history.replaceState({ depth }, '', url);
+        } else {
+            history.pushState({ depth: depth + 1 }, '', url);
+        }
+
+        this.resolve();
+    }
+
+    /**
+     * Возвращается на предыдущий адрес приложения или на запасной путь
+     * @param {string} fallbackPath - Путь, если вернуться некуда (страница открыта по прямой ссылке)
+     */
+    back(fallbackPath = this.fallbackPath) {
+        if (history.state && history.state.depth > 0) {
+            history.back();
+        } else {
+            this.navigate(fallbackPath, { replace: true });
+        }
+    }
+
+    /**
+     * Обрабатывает текущий адрес
+     * @param {Object} options - Настройки
+     * @param {boolean} [options.force] - Повторно вызвать обработчик, даже если адрес не изменился
+     */
+    resolve({ force = false } = {}) {
+        const hash = window.location.hash;
+        const parsed = this.parse(hash);
+
+        if (!parsed) return;
+
+        if (this.current && this.current.hash === hash && !force) return;
+
+        const matched = this.match(parsed.path);
+
+        if (!matched) {
+            this.navigate(this.fallbackPath, { replace: true });
+            return;
+        }
+
+        // Функция ухода вызывается и при повторной обработке того же адреса:
+        // каждый вызов обработчика завершается вызовом функции, которую он вернул
+        if (this.cleanup) {
+            this.cleanup();
+            this.cleanup = null;
+        }
+
+        this.current = {
+            hash,
+            path: parsed.path,
+            pattern: matched.route.pattern,
+            params: matched.params,
+            query: parsed.query
+        };
+
+        const cleanup = matched.route.handler(matched.params, parsed.query);
+        this.cleanup = typeof cleanup === 'function' ? cleanup : null;
+    }
+
+    /**
+     * Запускает роутер
+     */
+    start() {
+        window.addEventListener('hashchange', () => this.resolve());
+        this.resolve();
+    }
+}
+
+// Инициализация роутера
+const router = new Router();
@@ -0,0 +1,412 @@
+// search.js
+// Модуль нечёткого поиска по каталогу с транслитерацией и подсказками
+
+// Транслитерация кириллицы в латиницу (упрощённая, под фонетическое сравнение)
+const SEARCH_TRANSLIT = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e',
+    'ж': 'zh', 'з': 'z', 'и': 'i', 'й': 'i', 'к': 'k', 'л': 'l', 'м': 'm',
+    'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u',
+    'ф': 'f', 'х': 'h', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'sch', 'ъ': '',
+    'ы': 'i', 'ь': '', 'э': 'e', 'ю': 'iu', 'я': 'ia'
+};
+
+// Написания, которые не сводятся к общему виду фонетическими правилами
+const SEARCH_SYNONYMS = {
+    'эпл': 'apple',
+    'эппл': 'apple',
+    'эплвоч': 'apple watch',
+    'вотч': 'watch'
+};
+
+// Веса полей товара при ранжировании
+const SEARCH_FIELD_WEIGHTS = {
+    name: 3,
+    brand: 2,
+    category: 2,
+    description: 1
+};
+
+/**
+ * Разбивает текст на слова в нижнем регистре
+ * @param {string} text - Исходный текст
+ * @returns {Array<string>} - Массив слов
+ */
+function tokenizeSearchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/ё/g, 'е')
+        .split(/[^a-zа-я0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Приводит слово к фонетическому ключу: кириллица транслитерируется,
+ * латинские сочетания с одинаковым звучанием сводятся к одному написанию
+ * (iphone и «айфон» → ifon/aifon, macbook и «макбук» → makbuk)
+ * @param {string} word - Слово в нижнем регистре
+ * @returns {string} - Фонетический ключ
+ */
+function toSearchKey(word) {
+    const latin = word.split('').map(char => SEARCH_TRANSLIT[char] ?? char).join('');
+
+    return latin
+        .replace(/ph/g, 'f')
+        .replace(/ck/g, 'k')
+        .replace(/c(?!h)/g, 'k')
+        .replace(/qu/g, 'kv')
+        .replace(/q/g, 'k')
+        .replace(/w/g, 'v')
+        .replace(/x/g, 'ks')
+        .replace(/[yj]/g, 'i')
+        .replace(/oo/g, 'u')
+        .replace(/ee/g, 'i')
+        .replace(/([a-z])\1+/g, '$1')
+        // Немая «e» на конце английских слов: phone → fon
+        .replace(/([^aeiou])e$/, '$1');
+}
+
+/**
+ * Расстояние Дамерау-Левенштейна (вставка, удаление, замена, перестановка соседних символов)
+ * @param {string} a - Первая строка
+ * @param {string} b - Вторая строка
+ * @returns {number} - Количество правок
+ */
+function getEditDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const matrix = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+
+    for (let j = 0; j < cols; j++) {
+        matrix[0][j] = j;
+    }
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            matrix[i][j] = Math.min(
+                matrix[i - 1][j] + 1,
+                matrix[i][j - 1] + 1,
+                matrix[i - 1][j - 1] + cost
+            );
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                matrix[i][j] = Math.min(matrix[i][j], matrix[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return matrix[a.length][b.length];
+}
+
+/**
+ * Допустимое количество опечаток для слова запроса
+ * @param {string} key - Фонетический ключ слова
+ * @returns {number} - Количество допустимых правок
+ */
+function getAllowedTypos(key) {
+    if (key.length <= 3) return 0;
+    if (key.length <= 6) return 1;
+    return 2;
+}
+
+class SearchIndex {
+    constructor() {
+        this.documents = [];
+    }
+
+    /**
+     * Строит индекс по товарам
+     * @param {Array} products - Массив товаров
+     * @param {Object} [categoryNames] - Названия категорий для поиска по ним
+     */
+    build(products, categoryNames = {}) {
+        this.documents = products.map(product => {
+            const fields = {
+                name: product.name,
+                brand: product.brand,
+                category: categoryNames[product.category] || product.category,
+                description: product.description
+            };
+            const terms = [];
+
+            Object.entries(fields).forEach(([field, text]) => {
+                tokenizeSearchText(text).forEach(word => {
+                    terms.push({ word, key: toSearchKey(word), weight: SEARCH_FIELD_WEIGHTS[field] });
+                });
+            });
+
+            return { product, terms };
+        });
+    }
+
+    /**
+     * Разбирает запрос на слова с учётом синонимов
+     * @param {string} query - Поисковый запрос
+     * @returns {Array<Object>} - Массив { word, key }
+     */
+    parseQuery(query) {
+        const words = tokenizeSearchText(query)
+            .flatMap(word => SEARCH_SYNONYMS[word] ? tokenizeSearchText(SEARCH_SYNONYMS[word]) : [word]);
+
+        return words.map(word => ({ word, key: toSearchKey(word) }));
+    }
+
+    /**
+     * Оценивает совпадение слова запроса со словом документа
+     * @param {Object} queryTerm - Слово запроса { word, key }
+     * @param {Object} term - Слово документа { word, key }
+     * @param {boolean} isLastTerm - Последнее слово запроса (может быть недопечатано)
+     * @returns {number} - Оценка от 0 до 1
+     */
+    scoreTerm(queryTerm, term, isLastTerm) {
+        if (term.word === queryTerm.word || term.key === queryTerm.key) {
+            return 1;
+        }
+
+        // Недопечатанное слово ищем как префикс
+        if (isLastTerm && queryTerm.key.length >= 2 && (term.key.startsWith(queryTerm.key) || term.word.startsWith(queryTerm.word))) {
+            return 0.8;
+        }
+
+        const allowed = getAllowedTypos(queryTerm.key);
+        if (allowed === 0) {
+            return 0;
+        }
+
+        if (Math.abs(term.key.length - queryTerm.key.length) <= allowed) {
+            const distance = getEditDistance(queryTerm.key, term.key);
+            if (distance <= allowed) {
+                return 0.6 - distance * 0.1;
+            }
+        }
+
+        // Опечатка в недопечатанном слове: сравниваем с началом слова той же длины
+        if (isLastTerm && term.key.length > queryTerm.key.length) {
+            const prefixDistance = getEditDistance(queryTerm.key, term.key.slice(0, queryTerm.key.length));
+            if (prefixDistance <= allowed) {
+                return 0.5 - prefixDistance * 0.1;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Ищет товары по запросу. Товар найден, если совпали все слова запроса
+     * @param {string} query - Поисковый запрос
+     * @returns {Map<number, Object>} - ID товара → { score, matchedWords }
+     */
+    search(query) {
+        const queryTerms = this.parseQuery(query);
+        const results = new Map();
+
+        if (queryTerms.length === 0) {
+            return results;
+        }
+
+        this.documents.forEach(({ product, terms }) => {
+            let total = 0;
+            const matchedWords = new Set();
+
+            const allMatched = queryTerms.every((queryTerm, index) => {
+                const isLastTerm = index === queryTerms.length - 1;
+                let best = 0;
+
+                terms.forEach(term => {
+                    const score = this.scoreTerm(queryTerm, term, isLastTerm);
+                    if (score > 0) {
+                        matchedWords.add(term.word);
+                        best = Math.max(best, score * term.weight);
+                    }
+                });
+
+                total += best;
+                return best > 0;
+            });
+
+            if (allMatched) {
+                results.set(product.id, { score: total, matchedWords });
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Возвращает подсказки для автодополнения
+     * @param {string} query - Поисковый запрос
+     * @param {number} limit - Максимальное количество подсказок
+     * @returns {Array<Object>} - Массив { product, matchedWords }, отсортированный по релевантности
+     */
+    suggest(query, limit = 5) {
+        const results = this.search(query);
+
+        return this.documents
+            .filter(({ product }) => results.has(product.id))
+            .map(({ product }) => ({ product, ...results.get(product.id) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+/**
+ * Создаёт фрагмент текста с выделенными совпавшими словами
+ * @param {string} text - Исходный текст
+ * @param {Set<string>} matchedWords - Совпавшие слова (в нижнем регистре)
+ * @param {string} query - Поисковый запрос (для выделения префикса)
+ * @returns {DocumentFragment} - Фрагмент с элементами <mark>
+ */
+function highlightMatches(text, matchedWords, query) {
+    const fragment = document.createDocumentFragment();
+    const queryWords = tokenizeSearchText(query);
+
+    text.split(/([^a-zA-Zа-яА-ЯёЁ0-9]+)/).forEach(part => {
+        const word = part.toLowerCase().replace(/ё/g, 'е');
+
+        if (!matchedWords.has(word)) {
+            fragment.appendChild(document.createTextNode(part));
+            return;
+        }
+
+        // Если слово начинается с введённого текста, выделяем только совпавшую часть
+        const prefix = queryWords.find(queryWord => word.startsWith(queryWord));
+        const highlightLength = prefix ? prefix.length : part.length;
+        const mark = document.createElement('mark');
+        mark.className = 'search-suggestions__match';
+        mark.textContent = part.slice(0, highlightLength);
+
+        fragment.appendChild(mark);
+        fragment.appendChild(document.createTextNode(part.slice(highlightLength)));
+    });
+
+    return fragment;
+}
+
+// Выпадающий список подсказок под полем поиска
+class SearchSuggestions {
+    /**
+     * @param {HTMLInputElement} input - Поле поиска
+     * @param {HTMLElement} list - Контейнер списка подсказок
+     * @param {Function} onSelect - Колбэк выбора подсказки (товар)
+     */
+    constructor(input, list, onSelect) {
+        this.input = input;
+        this.list = list;
+        this.onSelect = onSelect;
+        this.items = [];
+        this.activeIndex = -1;
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.list.id);
+        this.input.setAttribute('aria-expanded', 'false');
+
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('blur', () => {
+            // Задержка, чтобы успел сработать клик по подсказке
+            setTimeout(() => this.close(), 150);
+        });
+
+        // mousedown вместо click: срабатывает до потери фокуса полем
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('.search-suggestions__item');
+            if (option) {
+                e.preventDefault();
+                this.select(parseInt(option.getAttribute('data-index')));
+            }
+        });
+    }
+
+    /**
+     * Обновляет подсказки для запроса
+     * @param {string} query - Поисковый запрос
+     * @param {Array<Object>} items - Подсказки { product, matchedWords }
+     */
+    update(query, items) {
+        this.items = items;
+        this.activeIndex = -1;
+        this.list.innerHTML = '';
+
+        if (!query || items.length === 0 || document.activeElement !== this.input) {
+            this.close();
+            return;
+        }
+
+        items.forEach((item, index) => {
+            const option = document.createElement('li');
+            option.className = 'search-suggestions__item';
+            option.id = `search-suggestion-${index}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            option.setAttribute('data-index', index);
+
+            const name = document.createElement('span');
+            name.className = 'search-suggestions__name';
+            name.appendChild(highlightMatches(item.product.name, item.matchedWords, query));
+
+            const price = document.createElement('span');
+            price.className = 'search-suggestions__price';
+            price.textContent = formatProductPrice(item.product);
+
+            option.append(name, price);
+            this.list.appendChild(option);
+        });
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Обработка клавиатурной навигации
+     * @param {KeyboardEvent} e - Событие клавиатуры
+     */
+    handleKeydown(e) {
+        if (this.list.hidden) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.items.length) % this.items.length);
+        } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+            e.preventDefault();
+            this.select(this.activeIndex);
+        } else if (e.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    /**
+     * Выделяет подсказку
+     * @param {number} index - Индекс подсказки
+     */
+    setActive(index) {
+        this.activeIndex = index;
+
+        this.list.querySelectorAll('.search-suggestions__item').forEach((option, i) => {
+            option.classList.toggle('active', i === index);
+            option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+        });
+
+        this.input.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+    }
+
+    /**
+     * Выбирает подсказку
+     * @param {number} index - Индекс подсказки
+     */
+    select(index) {
+        const item = this.items[index];
+        this.close();
+
+        if (item) {
+            this.onSelect(item.product);
+        }
+    }
+
+    close() {
+        this.list.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+}
@@ -0,0 +1,252 @@
+// storage.js
+// Модуль версионированного хранения данных в localStorage и списков ID товаров на его основе
+
+// Хранилище в памяти на случай, если localStorage недоступен
+// (приватный режим, запрет cookies, переполнение квоты)
+class MemoryStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+}
+
+/**
+ * Возвращает localStorage, если он доступен для записи, иначе хранилище в памяти
+ * @returns {Storage|MemoryStorage} - Хранилище
+ */
+function getAvailableStorage() {
+    const testKey = '__techstore_storage_test__';
+
+    try {
+        localStorage.setItem(testKey, testKey);
+        localStorage.removeItem(testKey);
+        return localStorage;
+    } catch (error) {
+        console.warn('localStorage недоступен, данные будут храниться до закрытия вкладки:', error);
+        return new MemoryStorage();
+    }
+}
+
+class VersionedStore {
+    /**
+     * @param {string} key - Ключ хранилища
+     * @param {Object} options - Настройки
+     * @param {number} options.version - Текущая версия формата данных
+     * @param {Object} [options.migrations] - Миграции: { [версия]: (data, storage) => данные следующей версии }.
+     *                                        Данные без конверта считаются версией 0
+     * @param {Function} options.validate - Проверка данных текущей версии, возвращает boolean
+     * @param {Function} options.defaultValue - Фабрика значения по умолчанию
+     * @param {Storage|MemoryStorage} [options.storage] - Хранилище
+     */
+    constructor(key, { version, migrations = {}, validate, defaultValue, storage = getAvailableStorage() }) {
+        this.key = key;
+        this.version = version;
+        this.migrations = migrations;
+        this.validate = validate;
+        this.defaultValue = defaultValue;
+        this.storage = storage;
+    }
+
+    /**
+     * Загружает данные, при необходимости выполняя миграции
+     * @returns {*} - Данные текущей версии или значение по умолчанию
+     */
+    load() {
+        let raw;
+
+        try {
+            raw = this.storage.getItem(this.key);
+        } catch (error) {
+            console.error(`Ошибка чтения "${this.key}":`, error);
+            return this.defaultValue();
+        }
+
+        if (raw === null) {
+            return this.defaultValue();
+        }
+
+        try {
+            const data = this.migrate(JSON.parse(raw));
+
+            if (!this.validate(data)) {
+                throw new Error('данные не соответствуют схеме');
+            }
+
+            return data;
+        } catch (error) {
+            console.error(`Повреждённые данные "${this.key}" сброшены:`, error);
+            this.clear();
+            return this.defaultValue();
+        }
+    }
+
+    /**
+     * Приводит сохранённые данные к текущей версии
+     * @param {*} stored - Разобранное значение из хранилища
+     * @returns {*} - Данные текущей версии
+     */
+    migrate(stored) {
+        const isEnvelope = stored !== null && typeof stored === 'object' &&
+            !Array.isArray(stored) && Number.isInteger(stored.version);
+        let version = isEnvelope ? stored.version : 0;
+        let data = isEnvelope ? stored.data : stored;
+
+        if (version > this.version) {
+            throw new Error(`версия ${version} новее поддерживаемой (${this.version})`);
+        }
+
+        while (version < this.version) {
+            const migration = this.migrations[version];
+            if (!migration) {
+                throw new Error(`нет миграции с версии ${version}`);
+            }
+
+            data = migration(data, this.storage);
+            version++;
+        }
+
+        // Сохраняем результат миграции, чтобы не выполнять её повторно
+        if (!isEnvelope || stored.version !== this.version) {
+            this.save(data);
+        }
+
+        return data;
+    }
+
+    /**
+     * Сохраняет данные в конверте с номером версии
+     * @param {*} data - Данные текущей версии
+     * @returns {boolean} - Результат операции
+     */
+    save(data) {
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ version: this.version, data }));
+            return true;
+        } catch (error) {
+            console.error(`Ошибка сохранения "${this.key}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Удаляет данные из хранилища
+     */
+    clear() {
+        try {
+            this.storage.removeItem(this.key);
+        } catch (error) {
+            console.error(`Ошибка удаления "${this.key}":`, error);
+        }
+    }
+
+    /**
+     * Подписывается на изменения данных в других вкладках
+     * @param {Function} listener - Обработчик, получает актуальные данные
+     * @returns {Function} - Функция отписки
+     */
+    subscribe(listener) {
+        // Вне браузера (например, в тестах) других вкладок нет
+        if (typeof window === 'undefined') {
+            return () => {};
+        }
+
+        const handleStorage = (e) => {
+            // key === null означает очистку всего хранилища
+            if (e.storageArea !== this.storage || (e.key !== null && e.key !== this.key)) return;
+            listener(this.load());
+        };
+
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }
+}
+
+/**
+ * Проверяет данные списка ID товаров
+ * @param {Object} data - Данные из хранилища
+ * @returns {boolean} - Результат проверки
+ */
+function validateIdListData(data) {
+    return Boolean(data) &&
+        Array.isArray(data.ids) &&
+        data.ids.every(id => Number.isInteger(id) && id > 0);
+}
+
+// Список ID товаров в хранилище ({ ids }), синхронизируемый между вкладками.
+// Основа для избранного, списка сравнения и истории просмотров
+class IdListStore {
+    /**
+     * @param {VersionedStore} store - Хранилище списка
+     */
+    constructor(store) {
+        this.store = store;
+        this.ids = this.store.load().ids;
+        this.listeners = new Set();
+
+        // Синхронизация со списком, изменённым в другой вкладке
+        this.store.subscribe(data => {
+            this.ids = data.ids;
+            this.emit();
+        });
+    }
+
+    /**
+     * Подписывается на изменения списка
+     * @param {Function} listener - Обработчик, получает список
+     * @returns {Function} - Функция отписки
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Оповещает подписчиков об изменении списка
+    emit() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Сохраняет список и оповещает подписчиков
+    save() {
+        this.store.save({ ids: this.ids });
+        this.emit();
+    }
+
+    /**
+     * Проверяет, есть ли товар в списке
+     * @param {number} productId - ID товара
+     * @returns {boolean} - Результат проверки
+     */
+    has(productId) {
+        return this.ids.includes(productId);
+    }
+
+    /**
+     * Получает количество товаров в списке
+     * @returns {number} - Количество товаров
+     */
+    getCount() {
+        return this.ids.length;
+    }
+
+    /**
+     * Получает товары списка из каталога в порядке списка. Снятые с продажи товары пропускаются
+     * @param {Array} products - Товары каталога
+     * @returns {Array} - Товары
+     */
+    getProducts(products) {
+        return this.ids
+            .map(id => products.find(product => product.id === id))
+            .filter(Boolean);
+    }
+}
@@ -0,0 +1,193 @@
+// template.js
+// Модуль безопасного рендеринга: шаблоны с автоматическим экранированием и обновление списков по ключу
+
+// Разметка, собранная шаблоном html. Вставляется в другие шаблоны без повторного экранирования
+class SafeHtml {
+    /**
+     * @param {string} markup - Разметка
+     */
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+// Схемы, разрешённые в адресах ссылок и изображений. Адреса без схемы считаются относительными
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Замена небезопасного адреса: не загружается и не выполняется
+const BLOCKED_URL = 'about:invalid';
+
+// Атрибут, значение которого начинается с подстановки, — адрес
+const URL_ATTRIBUTE_PATTERN = /\s(?:src|href|action|formaction|poster)\s*=\s*["']$/i;
+
+/**
+ * Экранирует текст для вставки в HTML: в содержимое элемента или значение атрибута в кавычках
+ * @param {*} value - Значение
+ * @returns {string} - Экранированная строка
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Проверяет адрес ссылки или изображения. Разрешены относительные адреса,
+ * схемы из SAFE_URL_SCHEMES и растровые изображения в data:
+ * @param {*} url - Адрес
+ * @returns {string} - Адрес или BLOCKED_URL для javascript:, data:text/html и т. п.
+ */
+function sanitizeUrl(url) {
+    const value = String(url).trim();
+    // Браузер игнорирует управляющие символы и пробелы внутри схемы: «java\tscript:»
+    const scheme = value.replace(/[\u0000-\u0020]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+
+    if (!scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+        return value;
+    }
+
+    if (/^data:image\/(?:png|jpe?g|gif|webp|avif)[;,]/i.test(value)) {
+        return value;
+    }
+
+    return BLOCKED_URL;
+}
+
+/**
+ * Экранирует значение для атрибутного селектора: [name="..."]
+ * @param {*} value - Значение атрибута
+ * @returns {string} - Экранированная строка
+ */
+function escapeSelectorValue(value) {
+    if (window.CSS && CSS.escape) {
+        return CSS.escape(String(value));
+    }
+
+    return String(value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ');
+}
+
+/**
+ * Преобразует подставляемое значение в разметку
+ * @param {*} value - Значение: строка, число, SafeHtml или массив из них
+ * @param {boolean} isUrl - Значение — адрес в атрибуте src/href
+ * @returns {string} - Разметка
+ */
+function interpolateHtml(value, isUrl) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => interpolateHtml(item, isUrl)).join('');
+    }
+
+    if (isUrl) {
+        return escapeHtml(sanitizeUrl(value));
+    }
+
+    return value instanceof SafeHtml ? value.markup : escapeHtml(value);
+}
+
+/**
+ * Шаблонная строка с автоматическим экранированием: html`<p>${text}</p>`.
+ * Строки и числа экранируются, адрес в начале значения src/href проверяется sanitizeUrl,
+ * вложенные шаблоны и массивы шаблонов вставляются как есть.
+ * Значения атрибутов должны быть в кавычках
+ * @param {Array<string>} strings - Части шаблона
+ * @param {...*} values - Подставляемые значения
+ * @returns {SafeHtml} - Разметка
+ */
+function html(strings, ...values) {
+    const markup = strings.reduce((result, string, i) => {
+        if (i === 0) return string;
+
+        return result + interpolateHtml(values[i - 1], URL_ATTRIBUTE_PATTERN.test(strings[i - 1])) + string;
+    }, '');
+
+    return new SafeHtml(markup);
+}
+
+/**
+ * Заменяет содержимое элемента разметкой шаблона
+ * @param {HTMLElement} container - Элемент
+ * @param {SafeHtml} template - Разметка, собранная шаблоном html
+ */
+function renderTemplate(container, template) {
+    if (!(template instanceof SafeHtml)) {
+        throw new TypeError('renderTemplate принимает только разметку, собранную шаблоном html');
+    }
+
+    container.innerHTML = template.markup;
+}
+
+/**
+ * Создаёт элемент по шаблону с одним корневым элементом
+ * @param {SafeHtml} template - Разметка, собранная шаблоном html
+ * @returns {HTMLElement} - Элемент
+ */
+function createElementFromTemplate(template) {
+    const wrapper = document.createElement('template');
+    renderTemplate(wrapper, template);
+    return wrapper.content.firstElementChild;
+}
+
+// Разметка, по которой построен элемент списка: неизменившиеся элементы не пересоздаются
+const renderedMarkup = new WeakMap();
+
+/**
+ * Обновляет список элементов по ключам: неизменившиеся элементы сохраняются (вместе с фокусом
+ * и загруженными изображениями), изменившиеся пересоздаются, остальные переставляются или удаляются.
+ * Содержимое контейнера без ключа (сообщения о загрузке, пустом списке) удаляется
+ * @param {HTMLElement} container - Контейнер списка
+ * @param {Array} items - Данные элементов
+ * @param {Object} options - Параметры
+ * @param {Function} options.key - Ключ элемента по данным
+ * @param {Function} options.render - Шаблон элемента по данным, возвращает SafeHtml с одним корневым элементом
+ */
+function renderKeyedList(container, items, { key, render }) {
+    const existing = new Map();
+
+    Array.from(container.childNodes).forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-key')) {
+            existing.set(node.getAttribute('data-key'), node);
+        } else {
+            node.remove();
+        }
+    });
+
+    items.forEach((item, index) => {
+        const itemKey = String(key(item));
+        const template = render(item);
+        let element = existing.get(itemKey);
+
+        if (!element || renderedMarkup.get(element) !== template.markup) {
+            if (element) {
+                element.remove();
+            }
+
+            element = createElementFromTemplate(template);
+            element.setAttribute('data-key', itemKey);
+            renderedMarkup.set(element, template.markup);
+        }
+
+        existing.delete(itemKey);
+
+        const current = container.children[index];
+        if (current !== element) {
+            container.insertBefore(element, current || null);
+        }
+    });
+
+    existing.forEach(element => element.remove());
+}
@@ -1,37 +1,139 @@
 // validation.js
 // Модуль валидации форм
+
+// Сообщения об ошибках по языкам. Функции получают параметр правила
+const VALIDATION_MESSAGES = {
+    ru: {
+        required: 'Это поле обязательно для заполнения',
+        email: 'Введите корректный email адрес',
+        phone: 'Введите российский номер телефона: +7 и 10 цифр',
+        card: 'Проверьте номер карты',
+        'postal-code': 'Индекс должен состоять из 6 цифр',
+        inn: 'Проверьте ИНН: 10 цифр для организации или 12 — для физического лица',
+        name: 'Имя может содержать только буквы и дефисы',
+        password: 'Пароль должен содержать минимум 8 символов, включая заглавные и строчные буквы и цифры',
+        minLength: (min) => `Минимальная длина: ${min} символов`,
+        maxLength: (max) => `Максимальная длина: ${max} символов`,
+        match: 'Значения не совпадают',
+        passwordMismatch: 'Пароли не совпадают',
+        emailTaken: 'Пользователь с таким email уже зарегистрирован',
+        invalid: 'Неверное значение'
+    },
+    en: {
+        required: 'This field is required',
+        email: 'Enter a valid email address',
+        phone: 'Enter a Russian phone number: +7 and 10 digits',
+        card: 'Check the card number',
+        'postal-code': 'Postal code must contain 6 digits',
+        inn: 'Check the INN: 10 digits for a company or 12 for an individual',
+        name: 'Name may contain only letters and hyphens',
+        password: 'Password must be at least 8 characters long and include upper and lower case letters and digits',
+        minLength: (min) => `Minimum length: ${min} characters`,
+        maxLength: (max) => `Maximum length: ${max} characters`,
+        match: 'Values do not match',
+        passwordMismatch: 'Passwords do not match',
+        emailTaken: 'This email is already registered',
+        invalid: 'Invalid value'
+    }
+};
+
+// Задержка асинхронной проверки при вводе, мс
+const ASYNC_VALIDATION_DELAY = 400;
+
+/**
+ * Валидатор форм по декларативным правилам. Правила поля:
+ *   required, minLength, maxLength — обязательность и длина
+ *   pattern    — имя шаблона из patterns (email, name, password)
+ *   mask       — имя маски из INPUT_MASKS: проверка формата и контрольных сумм. Для полей
+ *                с атрибутом data-mask задаётся автоматически, значение приводится к каноническому виду
+ *   match      — имя поля, с которым значение должно совпадать (подтверждение пароля)
+ *   when       — (values) => boolean: поле проверяется, только если условие выполнено
+ *   validators — [{ name, validate(value, values), message }] — дополнительные синхронные проверки
+ *   async      — { validate(value, { signal, values }), message, delay } — проверка на сервере.
+ *                При вводе выполняется с задержкой, устаревшие проверки отменяются через signal
+ *   messages   — { [правило]: сообщение } — сообщения, заменяющие стандартные для этого поля
+ * Сообщение — ключ из messages валидатора или готовый текст.
+ * values — значения всех полей формы по именам
+ */
 class FormValidator {
-    constructor() {
+    /**
+     * @param {Object} [options] - Настройки
+     * @param {string} [options.locale] - Язык сообщений (ключ VALIDATION_MESSAGES)
+     * @param {Object} [options.messages] - Сообщения, заменяющие стандартные
+     */
+    constructor({ locale = document.documentElement.lang || 'ru', messages = {} } = {}) {
         this.patterns = {
             email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-            phone: /^\+7\s?\(?\d{3}\)?\s?\d{3}-?\d{2}-?\d{2}$/,
             name: /^[a-zA-Zа-яА-ЯёЁ\s\-']+$/,
             password: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[a-zA-Z\d]{8,}$/
         };
         
-        this.messages = {
-            required: 'Это поле обязательно для заполнения',
-            email: 'Введите корректный email адрес',
-            phone: 'Введите телефон в формате +7 (XXX) XXX-XX-XX',
-            name: 'Имя может содержать только буквы и дефисы',
-            password: 'Пароль должен содержать минимум 8 символов, включая заглавные и строчные буквы и цифры',
-            minLength: (min) => `Минимальная длина: ${min} символов`,
-            maxLength: (max) => `Максимальная длина: ${max} символов`
-        };
+        this.setMessages(locale, messages);
+        
+        // Отложенные и выполняющиеся асинхронные проверки полей: { timeoutId, controller }
+        this.pending = new WeakMap();
+        // Последняя запущенная проверка поля: результаты предыдущих не показываются
+        this.latest = new WeakMap();
     }
     
     /**
-     * Валидирует поле формы
-     * @param {HTMLInputElement} field - Поле для валидации
-     * @param {Object} rules - Правила валидации
-     * @returns {string|null} - Сообщение об ошибке или null
+     * Задаёт язык сообщений. Недостающие сообщения берутся из русской локали
+     * @param {string} locale - Язык (ключ VALIDATION_MESSAGES)
+     * @param {Object} [messages] - Сообщения, заменяющие стандартные
+     */
+    setMessages(locale, messages = {}) {
+        this.messages = { ...VALIDATION_MESSAGES.ru, ...VALIDATION_MESSAGES[locale], ...messages };
+    }
+    
+    /**
+     * Формирует результат проверки с ошибкой
+     * @param {Object} rules - Правила поля
+     * @param {string} rule - Название нарушенного правила
+     * @param {string} message - Ключ сообщения или текст
+     * @param {*} [param] - Параметр правила для сообщения
+     * @returns {Object} - { rule, message }
      */
-    validateField(field, rules) {
-        const value = field.value.trim();
+    createError(rules, rule, message, param) {
+        const key = (rules.messages && rules.messages[rule]) || message;
+        const template = this.messages[key] !== undefined ? this.messages[key] : key;
         
+        return { rule, message: typeof template === 'function' ? template(param) : template };
+    }
+    
+    /**
+     * Получает значения полей формы по именам (для группы радиокнопок — выбранное)
+     * @param {HTMLElement} container - Форма или элемент внутри неё
+     * @returns {Object} - Значения полей
+     */
+    getValues(container) {
+        const form = container.closest('form') || container;
+        const values = {};
+        
+        form.querySelectorAll('[name]').forEach(field => {
+            if ((field.type === 'radio' || field.type === 'checkbox') && !field.checked) {
+                if (!(field.name in values)) {
+                    values[field.name] = '';
+                }
+                return;
+            }
+            
+            values[field.name] = getFieldValue(field);
+        });
+        
+        return values;
+    }
+    
+    /**
+     * Проверяет значение по синхронным правилам
+     * @param {string} value - Значение поля
+     * @param {Object} rules - Правила поля
+     * @param {Object} values - Значения всех полей формы
+     * @returns {Object|null} - { rule, message } или null
+     */
+    checkRules(value, rules, values) {
         // Проверка на обязательность заполнения
         if (rules.required && !value) {
-            return this.messages.required;
+            return this.createError(rules, 'required', 'required');
         }
         
         // Если поле не обязательно и пустое, пропускаем дальнейшую валидацию
@@ -39,54 +141,180 @@ class FormValidator {
             return null;
         }
         
-        // Проверка минимальной длины
         if (rules.minLength && value.length < rules.minLength) {
-            return this.messages.minLength(rules.minLength);
+            return this.createError(rules, 'minLength', 'minLength', rules.minLength);
         }
         
-        // Проверка максимальной длины
         if (rules.maxLength && value.length > rules.maxLength) {
-            return this.messages.maxLength(rules.maxLength);
+            return this.createError(rules, 'maxLength', 'maxLength', rules.maxLength);
         }
         
-        // Проверка по паттерну
         if (rules.pattern && !this.patterns[rules.pattern].test(value)) {
-            return this.messages[rules.pattern];
+            return this.createError(rules, 'pattern', rules.pattern);
+        }
+        
+        // Формат и контрольные суммы значения с маской ввода (телефон, карта, индекс, ИНН)
+        if (rules.mask && !INPUT_MASKS[rules.mask].validate(value)) {
+            return this.createError(rules, 'mask', rules.mask);
         }
         
-        // Кастомная валидация
-        if (rules.custom && !rules.custom(value)) {
-            return rules.customMessage || 'Неверное значение';
+        // Сравнение с другим полем формы
+        if (rules.match && value !== values[rules.match]) {
+            return this.createError(rules, 'match', 'match');
+        }
+        
+        for (const validator of rules.validators || []) {
+            if (!validator.validate(value, values)) {
+                return this.createError(rules, validator.name || 'custom', validator.message || 'invalid');
+            }
         }
         
         return null;
     }
     
     /**
-     * Валидирует всю форму
-     * @param {HTMLFormElement} form - Форма для валидации
+     * Отменяет отложенную и выполняющуюся асинхронную проверку поля
+     * @param {HTMLElement} field - Поле
+     */
+    cancelPending(field) {
+        const pending = this.pending.get(field);
+        if (!pending) return;
+        
+        clearTimeout(pending.timeoutId);
+        if (pending.controller) {
+            pending.controller.abort();
+        }
+        this.pending.delete(field);
+        field.removeAttribute('aria-busy');
+    }
+    
+    /**
+     * Выполняет асинхронную проверку поля. Ошибка сервера не блокирует форму:
+     * значение будет повторно проверено сервером при отправке
+     * @param {HTMLElement} field - Поле
+     * @param {string} value - Значение поля
+     * @param {Object} rules - Правила поля
+     * @param {Object} values - Значения всех полей формы
+     * @returns {Promise<Object|null>} - { rule, message } или null (также при отмене проверки)
+     */
+    async runAsyncRule(field, value, rules, values) {
+        const controller = new AbortController();
+        this.pending.set(field, { controller });
+        field.setAttribute('aria-busy', 'true');
+        
+        try {
+            const isValid = await rules.async.validate(value, { signal: controller.signal, values });
+            return isValid ? null : this.createError(rules, 'async', rules.async.message || 'invalid');
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                console.warn('Не удалось выполнить проверку поля:', error);
+            }
+            return null;
+        } finally {
+            if (this.pending.get(field) && this.pending.get(field).controller === controller) {
+                this.pending.delete(field);
+                field.removeAttribute('aria-busy');
+            }
+        }
+    }
+    
+    /**
+     * Валидирует поле формы: синхронные правила, затем асинхронная проверка
+     * @param {HTMLElement} field - Поле для валидации
+     * @param {Object} rules - Правила валидации
+     * @param {Object} [values] - Значения всех полей формы
+     * @returns {Promise<Object|null>} - { rule, message } или null
+     */
+    async validateField(field, rules, values = this.getValues(field)) {
+        this.cancelPending(field);
+        
+        if (rules.when && !rules.when(values)) {
+            return null;
+        }
+        
+        const value = values[field.name] !== undefined ? values[field.name] : getFieldValue(field);
+        const fieldRules = field.dataset.mask ? { mask: field.dataset.mask, ...rules } : rules;
+        const error = this.checkRules(value, fieldRules, values);
+        
+        if (error || !value || !rules.async) {
+            return error;
+        }
+        
+        return this.runAsyncRule(field, value, rules, values);
+    }
+    
+    /**
+     * Валидирует поле и показывает результат, если за время проверки не была запущена новая
+     * @param {HTMLElement} field - Поле для валидации
+     * @param {Object} rules - Правила валидации
+     * @returns {Promise<Object|null>} - { rule, message } или null
+     */
+    async validateAndShow(field, rules) {
+        const check = {};
+        this.latest.set(field, check);
+        
+        const error = await this.validateField(field, rules);
+        
+        if (this.latest.get(field) === check) {
+            if (error) {
+                this.showFieldError(field, error.message);
+            } else {
+                this.clearFieldError(field);
+            }
+        }
+        
+        return error;
+    }
+    
+    /**
+     * Откладывает асинхронную проверку поля до паузы во вводе
+     * @param {HTMLElement} field - Поле для валидации
+     * @param {Object} rules - Правила валидации
+     */
+    scheduleValidation(field, rules) {
+        this.cancelPending(field);
+        
+        const delay = rules.async.delay !== undefined ? rules.async.delay : ASYNC_VALIDATION_DELAY;
+        const timeoutId = setTimeout(() => this.validateAndShow(field, rules), delay);
+        this.pending.set(field, { timeoutId });
+    }
+    
+    /**
+     * Валидирует поля формы или её части (например, шага мастера)
+     * @param {HTMLElement} container - Форма или элемент с полями
      * @param {Object} fieldsRules - Правила для полей формы
-     * @returns {boolean} - Результат валидации
+     * @returns {Promise<Object>} - { isValid, errors }, где errors — { [имя поля]: { rule, message } }
      */
-    validateForm(form, fieldsRules) {
-        let isValid = true;
+    async validateForm(container, fieldsRules) {
+        const values = this.getValues(container);
+        const fields = Object.entries(fieldsRules)
+            .map(([name, rules]) => ({ name, rules, field: container.querySelector(`[name="${escapeSelectorValue(name)}"]`) }))
+            .filter(({ field }) => field);
+        const checks = fields.map(({ field }) => {
+            const check = {};
+            this.latest.set(field, check);
+            return check;
+        });
+        
+        const results = await Promise.all(fields.map(({ field, rules }) => this.validateField(field, rules, values)));
         const errors = {};
         
-        for (const [fieldName, rules] of Object.entries(fieldsRules)) {
-            const field = form.querySelector(`[name="${fieldName}"]`);
-            if (field) {
-                const error = this.validateField(field, rules);
-                if (error) {
-                    isValid = false;
-                    errors[fieldName] = error;
-                    this.showFieldError(field, error);
-                } else {
-                    this.clearFieldError(field);
-                }
+        fields.forEach(({ name, field }, i) => {
+            if (results[i]) {
+                errors[name] = results[i];
             }
-        }
+            
+            // Поле могли проверить заново, пока выполнялись асинхронные проверки
+            if (this.latest.get(field) !== checks[i]) return;
+            
+            if (results[i]) {
+                this.showFieldError(field, results[i].message);
+            } else {
+                this.clearFieldError(field);
+            }
+        });
         
-        return isValid;
+        return { isValid: Object.keys(errors).length === 0, errors };
     }
     
     /**
@@ -131,31 +359,56 @@ class FormValidator {
         if (!form) return;
         
         const validator = this;
+        let isValidating = false;
         
         // Валидация при изменении полей
-        Object.keys(fieldsRules).forEach(fieldName => {
-            const field = form.querySelector(`[name="${fieldName}"]`);
-            if (field) {
-                field.addEventListener('blur', function() {
-                    const error = validator.validateField(this, fieldsRules[fieldName]);
-                    if (error) {
-                        validator.showFieldError(this, error);
-                    } else {
-                        validator.clearFieldError(this);
-                    }
-                });
+        Object.entries(fieldsRules).forEach(([fieldName, rules]) => {
+            const field = form.querySelector(`[name="${escapeSelectorValue(fieldName)}"]`);
+            if (!field) return;
+            
+            // Поля, которые сравниваются с этим (подтверждение пароля), проверяются повторно
+            const dependentFields = Object.keys(fieldsRules)
+                .filter(name => fieldsRules[name].match === fieldName)
+                .map(name => form.querySelector(`[name="${escapeSelectorValue(name)}"]`))
+                .filter(Boolean);
+            
+            field.addEventListener('blur', function() {
+                validator.validateAndShow(this, rules);
                 
-                field.addEventListener('input', function() {
-                    validator.clearFieldError(this);
-                });
-            }
+                dependentFields
+                    .filter(dependent => getFieldValue(dependent))
+                    .forEach(dependent => validator.validateAndShow(dependent, fieldsRules[dependent.name]));
+            });
+            
+            field.addEventListener('input', function() {
+                validator.clearFieldError(this);
+                
+                if (rules.async) {
+                    validator.scheduleValidation(this, rules);
+                }
+            });
         });
         
         // Валидация при отправке формы
-        form.addEventListener('submit', function(e) {
+        form.addEventListener('submit', async function(e) {
             e.preventDefault();
             
-            const isValid = validator.validateForm(this, fieldsRules);
+            // Повторная отправка во время асинхронной проверки игнорируется
+            if (isValidating) return;
+            
+            isValidating = true;
+            let isValid;
+            
+            // Ошибка проверки (например, недоступен сервер) не должна блокировать следующие отправки
+            try {
+                ({ isValid } = await validator.validateForm(this, fieldsRules));
+            } catch (error) {
+                console.error('Ошибка проверки формы:', error);
+                showErrorMessage('Не удалось проверить данные. Попробуйте ещё раз.');
+                return;
+            } finally {
+                isValidating = false;
+            }
             
             if (isValid) {
                 if (onSubmit) {
@@ -174,44 +427,6 @@ class FormValidator {
     }
 }
 
-// Пример использования валидации для формы регистрации
-document.addEventListener('DOMContentLoaded', function() {
-    const validator = new FormValidator();
-    
-    // Правила для формы регистрации
-    const registrationRules = {
-        name: {
-            required: true,
-            minLength: 2,
-            maxLength: 50,
-            pattern: 'name'
-        },
-        email: {
-            required: true,
-            pattern: 'email'
-        },
-        phone: {
-            required: true,
-            pattern: 'phone'
-        },
-        password: {
-            required: true,
-            pattern: 'password'
-        }
-    };
-    
-    // Инициализация валидации формы (если форма существует на странице)
-    validator.initFormValidation('#registration-form', registrationRules, function(form) {
-        // Обработка успешной отправки формы
-        const formData = new FormData(form);
-        console.log('Форма отправлена:', Object.fromEntries(formData));
-        
-        // В реальном приложении здесь был бы AJAX-запрос
-        alert('Регистрация успешно завершена!');
-        form.reset();
-    });
-});
-
 // Добавляем стили для ошибок валидации
 const style = document.createElement('style');
 style.textContent = `
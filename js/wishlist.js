@@ -0,0 +1,224 @@
+// wishlist.js
+// Модуль избранного: отложенные товары и перенос между избранным и корзиной
+const WISHLIST_STORAGE_VERSION = 1;
+
+class Wishlist extends IdListStore {
+    /**
+     * Добавляет товар в избранное (новые товары — в начало списка)
+     * @param {number} productId - ID товара
+     * @returns {boolean} - true, если товар добавлен
+     */
+    add(productId) {
+        if (this.has(productId)) {
+            return false;
+        }
+
+        this.ids = [productId, ...this.ids];
+        this.save();
+        return true;
+    }
+
+    /**
+     * Удаляет товар из избранного
+     * @param {number} productId - ID товара
+     * @returns {boolean} - true, если товар удалён
+     */
+    remove(productId) {
+        if (!this.has(productId)) {
+            return false;
+        }
+
+        this.ids = this.ids.filter(id => id !== productId);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Добавляет или удаляет товар
+     * @param {number} productId - ID товара
+     * @returns {boolean} - true, если товар теперь в избранном
+     */
+    toggle(productId) {
+        if (this.remove(productId)) {
+            return false;
+        }
+
+        return this.add(productId);
+    }
+}
+
+// Инициализация избранного
+const wishlist = new Wishlist(new VersionedStore('techstore_wishlist', {
+    version: WISHLIST_STORAGE_VERSION,
+    validate: validateIdListData,
+    defaultValue: () => ({ ids: [] })
+}));
+
+/**
+ * Формирует кнопку избранного для карточки товара
+ * @param {number} productId - ID товара
+ * @returns {SafeHtml} - Разметка кнопки
+ */
+function renderWishlistButton(productId) {
+    const isActive = wishlist.has(productId);
+
+    return html`
+        <button type="button" class="wishlist-toggle${isActive ? ' active' : ''}" data-product-id="${productId}"
+                aria-pressed="${isActive}" aria-label="${isActive ? 'Удалить из избранного' : 'Добавить в избранное'}">
+            ${isActive ? '♥' : '♡'}
+        </button>
+    `;
+}
+
+// Обновляет состояние кнопок избранного на странице
+function updateWishlistButtons() {
+    document.querySelectorAll('.wishlist-toggle').forEach(button => {
+        const isActive = wishlist.has(parseInt(button.getAttribute('data-product-id')));
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+        button.setAttribute('aria-label', isActive ? 'Удалить из избранного' : 'Добавить в избранное');
+        button.textContent = isActive ? '♥' : '♡';
+    });
+}
+
+// Обновляет счётчик избранного в шапке
+function renderWishlistBadge() {
+    const wishlistCount = document.getElementById('wishlist-count');
+    if (wishlistCount) {
+        wishlistCount.textContent = wishlist.getCount();
+        wishlistCount.hidden = wishlist.getCount() === 0;
+    }
+}
+
+// Рендерит содержимое окна избранного
+function renderWishlistItems() {
+    const wishlistItems = document.getElementById('wishlist-items');
+    if (!wishlistItems) return;
+
+    if (productManager.status !== 'ready') {
+        wishlistItems.innerHTML = '<p class="cart__loading">Загружаем товары...</p>';
+        return;
+    }
+
+    const products = wishlist.getProducts(productManager.products);
+
+    if (products.length === 0) {
+        wishlistItems.innerHTML = '<p class="cart__empty">В избранном пока ничего нет</p>';
+        return;
+    }
+
+    renderTemplate(wishlistItems, html`${products.map(product => {
+        const stockStatus = getStockStatus(product);
+
+        return html`
+            <div class="cart-item">
+                <img src="${product.image}" alt="${product.name}" class="cart-item__image">
+                <div class="cart-item__details">
+                    <h4 class="cart-item__title">${product.name}</h4>
+                    <div class="cart-item__price">${formatProductPrice(product)}</div>
+                    <div class="stock-status stock-status--${stockStatus}">${STOCK_STATUSES[stockStatus]}</div>
+                </div>
+                <div class="cart-item__actions">
+                    <button type="button" class="button button--primary" data-action="move-to-cart" data-product-id="${product.id}"${stockStatus === 'out-of-stock' ? ' disabled' : ''}>
+                        Переместить в корзину
+                    </button>
+                    <button type="button" class="cart-item__remove" data-action="remove" data-product-id="${product.id}" aria-label="Удалить из избранного">🗑️</button>
+                </div>
+            </div>
+        `;
+    })}`);
+}
+
+/**
+ * Переносит товар из избранного в корзину
+ * @param {number} productId - ID товара
+ */
+function moveWishlistItemToCart(productId) {
+    const product = productManager.getProductById(productId);
+    if (!product) return;
+
+    const result = cart.addProduct(product);
+
+    if (result.success) {
+        wishlist.remove(productId);
+        showSuccessMessage(`Товар «${product.name}» перемещён в корзину`);
+    } else {
+        showErrorMessage(result.error);
+    }
+}
+
+/**
+ * Откладывает товар из корзины в избранное
+ * @param {Object} item - Товар в корзине
+ */
+function saveCartItemForLater(item) {
+    wishlist.add(item.id);
+    cart.removeProduct(item.sku);
+    showSuccessMessage(`Товар «${item.name}» сохранён в избранном`);
+}
+
+// Модальное окно избранного (создаётся в initWishlist)
+let wishlistDialog = null;
+
+// Открытие окна избранного (обработчик маршрута #/wishlist)
+function showWishlist() {
+    if (!wishlistDialog) return;
+
+    renderWishlistItems();
+    wishlistDialog.open();
+
+    return hideWishlist;
+}
+
+function hideWishlist() {
+    if (wishlistDialog) {
+        wishlistDialog.close();
+    }
+}
+
+// Инициализация избранного
+function initWishlist() {
+    const wishlistToggle = document.getElementById('wishlist-toggle');
+    const wishlistModal = document.getElementById('wishlist-modal');
+    const wishlistItems = document.getElementById('wishlist-items');
+
+    if (wishlistToggle) {
+        wishlistToggle.addEventListener('click', () => router.navigate('/wishlist'));
+    }
+
+    if (wishlistModal) {
+        wishlistDialog = new ModalDialog(wishlistModal, {
+            onClose: () => router.back('/'),
+            returnFocus: '#wishlist-toggle'
+        });
+    }
+
+    if (wishlistItems) {
+        wishlistItems.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const productId = parseInt(button.getAttribute('data-product-id'));
+
+            if (button.getAttribute('data-action') === 'move-to-cart') {
+                moveWishlistItemToCart(productId);
+            } else {
+                wishlist.remove(productId);
+            }
+        });
+    }
+
+    // Кнопки избранного есть в карточках каталога и в карточке товара
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.wishlist-toggle');
+        if (!button) return;
+
+        wishlist.toggle(parseInt(button.getAttribute('data-product-id')));
+    });
+
+    wishlist.subscribe(renderWishlistBadge);
+    wishlist.subscribe(updateWishlistButtons);
+    wishlist.subscribe(renderWishlistItems);
+    currencyManager.subscribe(renderWishlistItems);
+    renderWishlistBadge();
+}
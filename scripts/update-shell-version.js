@@ -0,0 +1,69 @@
+// update-shell-version.js
+// Скрипт выпуска: записывает в sw.js версию кэша оболочки — хеш файлов из SHELL_FILES.
+// Запуск перед публикацией: node scripts/update-shell-version.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const SERVICE_WORKER = path.join(ROOT, 'sw.js');
+const VERSION_PATTERN = /^const CACHE_VERSION = '([^']*)';$/m;
+
+/**
+ * Получает список файлов оболочки и записанную версию из sw.js
+ * @param {string} source - Текст sw.js
+ * @returns {Object} - { files, version }
+ */
+function readServiceWorker(source) {
+    const context = vm.createContext({
+        URL,
+        self: { registration: { scope: 'https://localhost/' }, addEventListener: () => {} }
+    });
+    vm.runInContext(source, context, { filename: SERVICE_WORKER });
+
+    return {
+        files: vm.runInContext('SHELL_FILES', context),
+        version: vm.runInContext('CACHE_VERSION', context)
+    };
+}
+
+/**
+ * Вычисляет версию оболочки по содержимому её файлов.
+ * Переводы строк не учитываются: версия не зависит от настроек git на машине выпуска
+ * @param {Array<string>} files - Файлы оболочки относительно корня проекта
+ * @returns {string} - Версия
+ */
+function computeShellVersion(files) {
+    const hash = crypto.createHash('sha256');
+
+    // './' — тот же index.html
+    files.filter(file => file !== './').forEach(file => {
+        const content = fs.readFileSync(path.join(ROOT, file), 'latin1').replace(/\r\n/g, '\n');
+        hash.update(`${file}\0${content}\0`, 'latin1');
+    });
+
+    return hash.digest('hex').slice(0, 12);
+}
+
+// Записывает в sw.js актуальную версию оболочки
+function updateShellVersion() {
+    const source = fs.readFileSync(SERVICE_WORKER, 'utf8');
+    const { files, version } = readServiceWorker(source);
+    const nextVersion = computeShellVersion(files);
+
+    if (version === nextVersion) {
+        console.log(`Версия оболочки не изменилась: ${version}`);
+        return;
+    }
+
+    fs.writeFileSync(SERVICE_WORKER, source.replace(VERSION_PATTERN, `const CACHE_VERSION = '${nextVersion}';`));
+    console.log(`Версия оболочки: ${version} → ${nextVersion}`);
+}
+
+if (require.main === module) {
+    updateShellVersion();
+}
+
+module.exports = { readServiceWorker, computeShellVersion };
@@ -0,0 +1,210 @@
+// sw.js
+// Модуль service worker: кэширование оболочки приложения, ответов каталога и изображений товаров для работы без сети
+
+// Версия сборки — хеш файлов оболочки. Записывается при выпуске скриптом scripts/update-shell-version.js
+// (см. README): изменённый sw.js браузер устанавливает заново, оболочка новой версии загружается
+// целиком в отдельный кэш, старые кэши удаляются при активации
+const CACHE_VERSION = '9cb8897fbd63';
+const SHELL_CACHE = `techstore-shell-${CACHE_VERSION}`;
+// Ответы каталога и изображения не зависят от сборки и переживают обновление
+const DATA_CACHE = 'techstore-data-v1';
+const IMAGE_CACHE = 'techstore-images-v1';
+
+// Сколько изображений хранить в кэше: самые старые удаляются
+const MAX_IMAGE_ENTRIES = 200;
+
+// Оболочка приложения: загружается при установке и отдаётся из кэша одним набором.
+// Страница и скрипты всегда из одной сборки: новая страница не встретит старые скрипты
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'css/responsive.css',
+    'images/icon.svg',
+    'js/template.js',
+    'js/dialog.js',
+    'js/data-source.js',
+    'js/router.js',
+    'js/notifications.js',
+    'js/search.js',
+    'js/main.js',
+    'js/storage.js',
+    'js/currency.js',
+    'js/inventory.js',
+    'js/promotions.js',
+    'js/cart.js',
+    'js/masks.js',
+    'js/validation.js',
+    'js/checkout.js',
+    'js/product-details.js',
+    'js/auth-backend.js',
+    'js/auth.js',
+    'js/orders.js',
+    'js/wishlist.js',
+    'js/compare.js',
+    'js/reviews.js',
+    'js/recommendations.js',
+    'js/offline.js'
+];
+
+// Ответы каталога, доступные без сети: товары, отзывы и курсы валют (см. RestCatalogSource, RestRateSource)
+const CATALOG_PATTERNS = [
+    /\/products$/,
+    /\/products\/[^/]+\/reviews$/,
+    /\/rates$/
+];
+
+// Адреса файлов оболочки
+const SHELL_URLS = SHELL_FILES.map(file => new URL(file, self.registration.scope).href);
+
+self.addEventListener('install', (event) => {
+    // addAll сохраняет все файлы или ни одного. cache: 'reload' — в обход HTTP-кэша браузера,
+    // иначе в новую сборку могли бы попасть старые файлы
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' }))))
+    );
+});
+
+// Новая версия ждёт, пока закроются вкладки со старой: подмена скриптов на открытой странице
+// смешала бы сборки. Пользователь может обновить страницу сам (см. offline.js)
+self.addEventListener('message', (event) => {
+    if (event.data === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('techstore-') && !currentCaches.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Проверяет, можно ли сохранить ответ в кэш
+ * @param {Response} response - Ответ
+ * @returns {boolean} - Результат проверки
+ */
+function isCacheable(response) {
+    // Изображения с другого домена приходят непрозрачными (status 0), но отображаются
+    return Boolean(response) && (response.ok || response.type === 'opaque');
+}
+
+/**
+ * Удаляет самые старые записи кэша сверх лимита
+ * @param {string} cacheName - Имя кэша
+ * @param {number} maxEntries - Сколько записей оставить
+ */
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+
+    await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+}
+
+/**
+ * Отдаёт файл оболочки текущей сборки. Сеть — только если файла почему-то нет в кэше
+ * @param {Request|string} request - Запрос или адрес файла
+ * @returns {Promise<Response>} - Ответ
+ */
+async function fromShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    return cached || fetch(request);
+}
+
+/**
+ * Сначала сеть, без сети — сохранённая копия. Для данных, которые должны быть актуальными
+ * @param {Request} request - Запрос
+ * @param {string} cacheName - Имя кэша
+ * @returns {Promise<Response>} - Ответ
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+
+        if (isCacheable(response)) {
+            await cache.put(request, response.clone());
+        }
+
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+
+        throw error;
+    }
+}
+
+/**
+ * Сразу отдаёт сохранённую копию и обновляет её в фоне. Для изображений товаров
+ * @param {FetchEvent} event - Событие запроса
+ * @param {string} cacheName - Имя кэша
+ * @param {number} [maxEntries] - Лимит записей кэша
+ * @returns {Promise<Response>} - Ответ
+ */
+async function staleWhileRevalidate(event, cacheName, maxEntries = null) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+
+    const update = fetch(event.request).then(async response => {
+        if (isCacheable(response)) {
+            await cache.put(event.request, response.clone());
+
+            if (maxEntries) {
+                await trimCache(cacheName, maxEntries);
+            }
+        }
+
+        return response;
+    });
+
+    if (cached) {
+        // Ошибка обновления без сети ожидаема: пользователь уже получил копию
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const urlWithoutSearch = url.origin + url.pathname;
+
+    // Страница — index.html текущей сборки (параметры адреса не влияют на файл)
+    if (request.mode === 'navigate') {
+        event.respondWith(fromShell('index.html'));
+        return;
+    }
+
+    if (SHELL_URLS.includes(urlWithoutSearch)) {
+        event.respondWith(fromShell(request));
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+        return;
+    }
+
+    // Ответы для конкретного пользователя (корзина, заказы, профиль) не кэшируются
+    if (!request.headers.has('Authorization') && CATALOG_PATTERNS.some(pattern => pattern.test(url.pathname))) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    }
+});
@@ -0,0 +1,232 @@
+// cart.test.js
+// Тесты корзины: версионированное хранение ID и количества, сверка с каталогом и синхронизация вкладок
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, TestStorage } = require('./load-scripts');
+
+// Обработчики события storage, через которое вкладки узнают об изменениях
+const storageListeners = new Set();
+
+const get = loadScripts(['js/data-source.js', 'js/storage.js', 'js/inventory.js', 'js/promotions.js', 'js/cart.js'], {
+    formatPrice: price => String(price),
+    // Разметки корзины нет: отрисовка пропускается
+    document: { getElementById: () => null },
+    window: {
+        addEventListener: (type, listener) => storageListeners.add(listener),
+        removeEventListener: (type, listener) => storageListeners.delete(listener)
+    }
+});
+const ProductCart = get('ProductCart');
+const PromotionEngine = get('PromotionEngine');
+const VersionedStore = get('VersionedStore');
+const CART_STORAGE_VERSION = get('CART_STORAGE_VERSION');
+const CART_MIGRATIONS = get('CART_MIGRATIONS');
+const validateCartData = get('validateCartData');
+const normalizeProduct = get('normalizeProduct');
+
+const PRODUCTS = [
+    { id: 1, name: 'iPhone 14 Pro', price: 99990, stock: 20 },
+    { id: 2, name: 'MacBook Air M2', price: 129990, stock: 3 },
+    { id: 3, name: 'AirPods Pro', price: 24990, stock: 0 },
+    {
+        id: 4,
+        name: 'iPad Air',
+        variants: [
+            { sku: 'IPAD-64', price: 59990, stock: 0, options: { storage: 64 } },
+            { sku: 'IPAD-256', price: 74990, stock: 5, options: { storage: 256 } }
+        ]
+    }
+].map(normalizeProduct);
+
+/**
+ * Создаёт корзину с заданным содержимым localStorage
+ * @param {Object} [entries] - Содержимое localStorage
+ * @returns {ProductCart} - Корзина
+ */
+function createCart(entries = {}) {
+    globalThis.localStorage = new TestStorage(entries);
+    storageListeners.clear();
+    return openCart();
+}
+
+/**
+ * Открывает корзину на текущем localStorage, как новая вкладка
+ * @returns {ProductCart} - Корзина
+ */
+function openCart() {
+    return new ProductCart(new PromotionEngine([]), new VersionedStore('techstore_cart', {
+        version: CART_STORAGE_VERSION,
+        migrations: CART_MIGRATIONS,
+        validate: validateCartData,
+        defaultValue: () => ({ items: [], promoCode: null })
+    }));
+}
+
+/**
+ * Сохраняет корзину в формате, общем для всех версий
+ * @param {Array} items - Позиции корзины
+ * @param {string|null} [promoCode] - Промокод
+ * @returns {string} - Значение для localStorage
+ */
+function storedCart(items, promoCode = null) {
+    return JSON.stringify({ version: CART_STORAGE_VERSION, data: { items, promoCode } });
+}
+
+/**
+ * Оповещает вкладки об изменении корзины, как браузер при записи в localStorage из другой вкладки
+ */
+function dispatchStorageEvent() {
+    storageListeners.forEach(listener => listener({ storageArea: localStorage, key: 'techstore_cart' }));
+}
+
+/**
+ * Получает содержимое корзины в виде пар [ID, количество]
+ * @param {ProductCart} cart - Корзина
+ * @returns {Array<Array<number>>} - Пары [ID, количество]
+ */
+function getEntries(cart) {
+    return cart.items.map(item => [item.id, item.quantity]);
+}
+
+test('в хранилище сохраняются только ID и количество', () => {
+    const cart = createCart();
+
+    cart.addProduct(PRODUCTS[0], 2);
+
+    assert.deepEqual(JSON.parse(localStorage.getItem('techstore_cart')), {
+        version: CART_STORAGE_VERSION,
+        data: { items: [{ id: 1, sku: 'TS-1', quantity: 2 }], promoCode: null }
+    });
+});
+
+test('до сверки с каталогом корзина содержит только сохранённые ID и количество', () => {
+    const cart = createCart({ techstore_cart: storedCart([{ id: 1, sku: 'TS-1', quantity: 2 }]) });
+
+    assert.equal(cart.isSynced, false);
+    assert.deepEqual(getEntries(cart), [[1, 2]]);
+    assert.equal(cart.items[0].price, undefined);
+});
+
+test('корзина старого формата переносится в конверт вместе с промокодом', () => {
+    const cart = createCart({
+        techstore_cart: JSON.stringify([{ id: 1, name: 'iPhone 14 Pro', price: 89990, quantity: 1, image: 'x.jpg' }, null]),
+        techstore_promo_code: 'WELCOME10'
+    });
+
+    assert.deepEqual(getEntries(cart), [[1, 1]]);
+    assert.equal(cart.items[0].sku, null);
+    assert.equal(cart.promoCode, 'WELCOME10');
+    assert.equal(localStorage.getItem('techstore_promo_code'), null);
+    assert.equal(JSON.parse(localStorage.getItem('techstore_cart')).version, CART_STORAGE_VERSION);
+});
+
+test('повреждённая корзина сбрасывается', (t) => {
+    // Сообщение о сброшенных данных ожидаемо
+    t.mock.method(console, 'error', () => {});
+    const cart = createCart({ techstore_cart: storedCart([{ id: 1, sku: 'TS-1', quantity: 0 }]) });
+
+    assert.deepEqual(cart.items, []);
+    assert.equal(localStorage.getItem('techstore_cart'), null);
+});
+
+test('сверка подставляет актуальные данные товаров', () => {
+    const cart = createCart({ techstore_cart: storedCart([{ id: 1, sku: 'TS-1', quantity: 2 }]) });
+
+    const changes = cart.reconcile(PRODUCTS);
+
+    assert.deepEqual(changes, []);
+    assert.equal(cart.isSynced, true);
+    assert.equal(cart.items[0].name, 'iPhone 14 Pro');
+    assert.equal(cart.calculateSubtotal(), 199980);
+});
+
+test('сверка сообщает об изменении цены товара из старого формата хранилища', () => {
+    const cart = createCart({
+        techstore_cart: JSON.stringify([{ id: 1, name: 'iPhone 14 Pro', price: 89990, quantity: 1, image: 'x.jpg' }])
+    });
+
+    const changes = cart.reconcile(PRODUCTS);
+
+    assert.deepEqual(changes, ['«iPhone 14 Pro»: цена изменилась с 89990 до 99990']);
+    assert.equal(cart.items[0].price, 99990);
+    assert.deepEqual(JSON.parse(localStorage.getItem('techstore_cart')).data.items, [{ id: 1, sku: 'TS-1', quantity: 1 }]);
+});
+
+test('сверка удаляет снятые с продажи и закончившиеся товары', () => {
+    const cart = createCart({
+        techstore_cart: storedCart([
+            { id: 1, sku: 'TS-1', quantity: 1 },
+            { id: 3, sku: 'TS-3', quantity: 1 },
+            { id: 9, sku: 'TS-9', name: 'Старый чехол', price: 990, quantity: 1 },
+            { id: 10, sku: 'TS-10', quantity: 1 }
+        ])
+    });
+
+    const changes = cart.reconcile(PRODUCTS);
+
+    assert.deepEqual(getEntries(cart), [[1, 1]]);
+    assert.deepEqual(changes, [
+        '«AirPods Pro» закончился и удалён из корзины',
+        '«Старый чехол» больше не продаётся и удалён из корзины',
+        '«Товар №10» больше не продаётся и удалён из корзины'
+    ]);
+});
+
+test('сверка уменьшает количество до остатка на складе', () => {
+    const cart = createCart({ techstore_cart: storedCart([{ id: 2, sku: 'TS-2', quantity: 5 }]) });
+
+    const changes = cart.reconcile(PRODUCTS);
+
+    assert.deepEqual(getEntries(cart), [[2, 3]]);
+    assert.deepEqual(changes, ['«MacBook Air M2»: количество уменьшено с 5 до 3 шт.']);
+});
+
+test('позиции без артикула получают вариант по умолчанию и объединяются', () => {
+    const cart = createCart({
+        techstore_cart: storedCart([
+            { id: 4, sku: null, quantity: 1 },
+            { id: 4, sku: 'IPAD-256', quantity: 2 }
+        ])
+    });
+
+    cart.reconcile(PRODUCTS);
+
+    assert.deepEqual(cart.items.map(item => [item.sku, item.quantity, item.price]), [['IPAD-256', 3, 74990]]);
+});
+
+test('закончившийся вариант удаляется, остальные варианты товара остаются', () => {
+    const cart = createCart({
+        techstore_cart: storedCart([
+            { id: 4, sku: 'IPAD-64', quantity: 1 },
+            { id: 4, sku: 'IPAD-256', quantity: 1 }
+        ])
+    });
+
+    const changes = cart.reconcile(PRODUCTS);
+
+    assert.deepEqual(cart.items.map(item => item.sku), ['IPAD-256']);
+    assert.equal(changes.length, 1);
+    assert.match(changes[0], /^«iPad Air \(64 .+\)» закончился и удалён из корзины$/);
+});
+
+test('изменение корзины в другой вкладке применяется и сверяется с каталогом', (t) => {
+    const cart = createCart();
+    cart.reconcile(PRODUCTS);
+
+    const events = [];
+    cart.subscribe(event => events.push(event));
+
+    const otherTab = openCart();
+    otherTab.addProduct(PRODUCTS[1], 2);
+    const setItem = t.mock.method(localStorage, 'setItem');
+    dispatchStorageEvent();
+
+    // Изменение уже сохранено другой вкладкой: подписчики узнают, что оно пришло извне
+    assert.deepEqual(events.map(({ type, external }) => [type, external]), [['synced', true]]);
+    // Вкладка не пересохраняет полученную корзину, иначе вкладки сохраняли бы её друг за другом
+    assert.equal(setItem.mock.callCount(), 0);
+    assert.deepEqual(getEntries(cart), [[2, 2]]);
+    assert.equal(cart.items[0].name, 'MacBook Air M2');
+    assert.equal(cart.calculateSubtotal(), 259980);
+});
@@ -0,0 +1,143 @@
+// currency.test.js
+// Тесты валют: округление, пересчёт и форматирование сумм, выбор валюты и загрузка курсов
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, TestStorage } = require('./load-scripts');
+
+const get = loadScripts(['js/data-source.js', 'js/storage.js', 'js/currency.js'], {
+    window: { addEventListener: () => {}, removeEventListener: () => {} },
+    catalogConfig: { source: 'mock', mockDelay: 0 }
+});
+const roundAmount = get('roundAmount');
+const validateRatesData = get('validateRatesData');
+const CurrencyManager = get('CurrencyManager');
+const MockRateSource = get('MockRateSource');
+const VersionedStore = get('VersionedStore');
+const CatalogError = get('CatalogError');
+
+const RATES = { USD: 92.45, EUR: 100.37, KZT: 0.1875 };
+
+/**
+ * Создаёт менеджер валют с отдельным хранилищем
+ * @param {Object} [stored] - Сохранённые настройки { code, rates }
+ * @returns {CurrencyManager} - Менеджер валют
+ */
+function createManager(stored = null) {
+    globalThis.localStorage = new TestStorage(stored ? { currency: JSON.stringify({ version: 1, data: stored }) } : {});
+
+    return new CurrencyManager(new VersionedStore('currency', {
+        version: 1,
+        validate: data => Boolean(data) && typeof data.code === 'string',
+        defaultValue: () => ({ code: 'RUB', rates: {} })
+    }), new MockRateSource(RATES, { delay: 0 }));
+}
+
+/**
+ * Заменяет неразрывные пробелы обычными
+ * @param {string} text - Отформатированная сумма
+ * @returns {string} - Сумма для сравнения
+ */
+function normalizeSpaces(text) {
+    return text.replace(/\s/g, ' ');
+}
+
+test('округление до минимальной единицы валюты без ошибок двоичной арифметики', () => {
+    assert.equal(roundAmount(1.005, 2), 1.01);
+    assert.equal(roundAmount(2.675, 2), 2.68);
+    assert.equal(roundAmount(-1.005, 2), -1.01);
+    assert.equal(roundAmount(99990.5, 0), 99991);
+});
+
+test('курсы неизвестных валют и некорректные значения отбрасываются', () => {
+    assert.deepEqual(
+        { ...validateRatesData({ base: 'RUB', rates: { USD: 92.45, EUR: -1, KZT: 'x', XYZ: 5 } }) },
+        { USD: 92.45 }
+    );
+    assert.throws(() => validateRatesData({ base: 'USD', rates: {} }), CatalogError);
+    assert.throws(() => validateRatesData(null), CatalogError);
+});
+
+test('до загрузки курсов цены показываются в рублях', () => {
+    const manager = createManager();
+
+    assert.equal(manager.code, 'RUB');
+    assert.equal(manager.isAvailable('USD'), false);
+    assert.deepEqual(manager.setCurrency('USD'), { success: false, error: 'Курс этой валюты сейчас недоступен' });
+    assert.equal(normalizeSpaces(manager.format(99990)), '99 990 ₽');
+});
+
+test('суммы пересчитываются по курсу и форматируются по правилам валюты', async () => {
+    const manager = createManager();
+    await manager.loadRates();
+
+    assert.equal(manager.setCurrency('USD').success, true);
+    assert.equal(manager.convert(99990), 1081.56);
+    assert.equal(manager.format(99990), '$1,081.56');
+    assert.equal(normalizeSpaces(manager.format(99990, { code: 'EUR', rate: 100.37 })), '996,21 €');
+    assert.equal(manager.convert(99990, { code: 'KZT', rate: 0.1875 }), 533280);
+});
+
+test('сумма, введённая в валюте, пересчитывается в рубли', async () => {
+    const manager = createManager();
+    await manager.loadRates();
+    manager.setCurrency('USD');
+
+    assert.equal(manager.toBase(1000), 92450);
+    assert.equal(manager.toBase(1081.56), 99990);
+    assert.equal(manager.toBase(5000, { code: 'KZT', rate: 0.1875 }), 938);
+    assert.equal(manager.toBase(50000, { code: 'RUB', rate: 1 }), 50000);
+});
+
+test('итоги заказа складываются из пересчитанных строк', async () => {
+    const manager = createManager();
+    await manager.loadRates();
+
+    const amounts = manager.convertBreakdown({
+        items: [{ price: 99990, quantity: 1 }, { price: 2499, quantity: 3 }, { price: 1999, quantity: 1 }],
+        discounts: [{ amount: 10649 }],
+        deliveryCost: 499
+    }, { code: 'EUR', rate: 100.37 });
+
+    assert.deepEqual(amounts.items.map(item => [item.price, item.total]), [[996.21, 996.21], [24.9, 74.7], [19.92, 19.92]]);
+    // Пересчёт суммы в рублях дал бы 1090,82 — на цент меньше суммы строк
+    assert.equal(amounts.subtotal, 1090.83);
+    assert.equal(amounts.discountTotal, 106.1);
+    assert.equal(amounts.deliveryCost, 4.97);
+    assert.equal(amounts.total, 989.7);
+});
+
+test('итог заказа после округления не становится отрицательным', async () => {
+    const manager = createManager();
+    await manager.loadRates();
+
+    const amounts = manager.convertBreakdown({
+        items: [{ price: 100, quantity: 1 }],
+        discounts: [{ amount: 7 }, { amount: 93 }]
+    }, { code: 'USD', rate: 92.45 });
+
+    assert.equal(amounts.subtotal, 1.08);
+    assert.equal(amounts.discountTotal, 1.09);
+    assert.equal(amounts.total, 0);
+});
+
+test('выбранная валюта и курсы сохраняются и восстанавливаются', async () => {
+    const manager = createManager();
+    const events = [];
+    manager.subscribe(() => events.push(manager.code));
+
+    await manager.loadRates();
+    manager.setCurrency('EUR');
+    manager.setCurrency('EUR');
+
+    assert.deepEqual(events, ['RUB', 'EUR']);
+    assert.deepEqual(manager.getSnapshot(), { code: 'EUR', rate: 100.37 });
+
+    const restored = createManager(JSON.parse(localStorage.getItem('currency')).data);
+    assert.equal(restored.code, 'EUR');
+});
+
+test('валюта без сохранённого курса заменяется рублём', () => {
+    assert.equal(createManager({ code: 'USD', rates: {} }).code, 'RUB');
+    assert.equal(createManager({ code: 'GBP', rates: { GBP: 115 } }).code, 'RUB');
+});
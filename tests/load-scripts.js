@@ -0,0 +1,48 @@
+// load-scripts.js
+// Модуль загрузки скриптов сайта в Node для тестов: скрипты выполняются в общем контексте, как на странице
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Хранилище в памяти вместо localStorage
+class TestStorage {
+    constructor(entries = {}) {
+        this.data = new Map(Object.entries(entries));
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+}
+
+/**
+ * Выполняет скрипты сайта в глобальном контексте. Каждый файл тестов node --test запускает
+ * в отдельном процессе, поэтому глобальные имена скриптов не пересекаются между файлами
+ * @param {Array<string>} files - Пути к скриптам относительно корня проекта, в порядке подключения
+ * @param {Object} [globals] - Глобальные объекты и заглушки функций других модулей
+ * @returns {Function} - get(name): значение глобального имени
+ *                       (объявления const и class не становятся свойствами globalThis)
+ */
+function loadScripts(files, globals = {}) {
+    Object.assign(globalThis, { localStorage: new TestStorage() }, globals);
+
+    files.forEach(file => {
+        const filename = path.join(ROOT, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    });
+
+    return name => vm.runInThisContext(name);
+}
+
+module.exports = { loadScripts, TestStorage };
@@ -0,0 +1,130 @@
+// masks.test.js
+// Тесты масок ввода: контрольные суммы карты и ИНН, приведение значений к каноническому виду
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts(['js/masks.js'], {
+    // Поля в тестах без фокуса: каретка не переставляется
+    document: { activeElement: null }
+});
+const isValidLuhn = get('isValidLuhn');
+const isValidInn = get('isValidInn');
+const INPUT_MASKS = get('INPUT_MASKS');
+const getFieldValue = get('getFieldValue');
+const formatMaskedValue = get('formatMaskedValue');
+const applyInputMask = get('applyInputMask');
+
+/**
+ * Создаёт поле формы
+ * @param {string} value - Значение
+ * @param {Object} [options] - Тип поля и маска
+ * @returns {Object} - Поле с нужными маскам свойствами
+ */
+function createField(value, { type = 'text', mask } = {}) {
+    return { value, type, dataset: mask ? { mask } : {}, selectionStart: value.length };
+}
+
+test('алгоритм Луна принимает номера с верной контрольной цифрой', () => {
+    ['4111111111111111', '5555555555554444', '4012888888881881', '79927398713'].forEach(digits => {
+        assert.equal(isValidLuhn(digits), true, digits);
+    });
+
+    ['4111111111111112', '5555555555554440', '79927398710'].forEach(digits => {
+        assert.equal(isValidLuhn(digits), false, digits);
+    });
+});
+
+test('номер карты: 13–19 цифр с верной контрольной суммой', () => {
+    const { card } = INPUT_MASKS;
+
+    assert.equal(card.normalize('4111 1111-1111 1111'), '4111111111111111');
+    assert.equal(card.format('4111111111111111'), '4111 1111 1111 1111');
+    assert.equal(card.validate('4111111111111111'), true);
+    assert.equal(card.validate('79927398713'), false, 'меньше 13 цифр');
+    assert.equal(card.normalize('4'.repeat(25)).length, 19);
+});
+
+test('ИНН организации: 10 цифр, одна контрольная цифра', () => {
+    assert.equal(isValidInn('7707083893'), true);
+    assert.equal(isValidInn('7707083894'), false);
+});
+
+test('ИНН физического лица: 12 цифр, две контрольные цифры', () => {
+    assert.equal(isValidInn('500100732259'), true);
+    assert.equal(isValidInn('500100732250'), false, 'неверна последняя цифра');
+    assert.equal(isValidInn('500100732269'), false, 'неверна предпоследняя цифра');
+});
+
+test('ИНН другой длины не принимается', () => {
+    ['', '770708389', '77070838931', '5001007322590'].forEach(digits => {
+        assert.equal(isValidInn(digits), false, digits);
+    });
+});
+
+test('телефон приводится к виду +7XXXXXXXXXX', () => {
+    const { phone } = INPUT_MASKS;
+
+    ['8 (912) 345-67-89', '+7 912 345 67 89', '79123456789', '9123456789'].forEach(value => {
+        assert.equal(phone.normalize(value), '+79123456789', value);
+    });
+
+    // 10 цифр — номер без кода страны, даже если начинается с 8
+    ['(812) 123-45-67', '8121234567', '8 (812) 123-45-67', '+7 (812) 123-45-67', '78121234567'].forEach(value => {
+        assert.equal(phone.normalize(value), '+78121234567', value);
+    });
+
+    assert.equal(phone.normalize(''), '');
+    assert.equal(phone.format('+79123456789'), '+7 (912) 345-67-89');
+    assert.equal(phone.format('+7912'), '+7 (912');
+    assert.equal(phone.validate('+7912345678'), false);
+});
+
+test('сохранённое значение форматируется, только если подходит маске', () => {
+    assert.equal(formatMaskedValue('phone', '89123456789'), '+7 (912) 345-67-89');
+    assert.equal(formatMaskedValue('phone', '12-34'), '12-34');
+    assert.equal(formatMaskedValue('postal-code', ' 101000 '), '101000');
+});
+
+test('значение поля: маска, обрезка пробелов и пароль без изменений', () => {
+    assert.equal(getFieldValue(createField('8 912 345-67-89', { mask: 'phone' })), '+79123456789');
+    assert.equal(getFieldValue(createField('  Иван  ')), 'Иван');
+    assert.equal(getFieldValue(createField(' secret ', { type: 'password' })), ' secret ');
+});
+
+/**
+ * Вводит в поле символы по одному, форматируя его после каждого
+ * @param {Object} field - Поле с маской
+ * @param {string} text - Вводимые символы
+ */
+function typeInto(field, text) {
+    for (const char of text) {
+        field.value += char;
+        field.selectionStart = field.value.length;
+        applyInputMask(field);
+    }
+}
+
+test('номер, набранный с 8 или без неё, форматируется с кодом страны', () => {
+    const mobile = createField('', { mask: 'phone' });
+    typeInto(mobile, '89123456789');
+    assert.equal(mobile.value, '+7 (912) 345-67-89');
+
+    const city = createField('', { mask: 'phone' });
+    typeInto(city, '8121234567');
+    assert.equal(city.value, '+7 (812) 123-45-67');
+});
+
+test('поле форматируется при вводе, Backspace после разделителя удаляет цифру', () => {
+    const field = createField('912345', { mask: 'phone' });
+
+    applyInputMask(field);
+    assert.equal(field.value, '+7 (912) 345');
+
+    // Удалён пробел после скобки: маска вернула бы его, поэтому удаляется цифра перед ним
+    field.value = '+7 (912)345';
+    field.selectionStart = 8;
+    applyInputMask(field, { inputType: 'deleteContentBackward' });
+    assert.equal(field.value, '+7 (913) 45');
+});
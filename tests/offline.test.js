@@ -0,0 +1,237 @@
+// offline.test.js
+// Тесты очереди заказов, оформленных без сети: порядок отправки, временные сбои и повтор с задержкой
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+// Сообщения, показанные пользователю
+const messages = [];
+// Промокоды, учтённые как использованные, и товары, возвращённые в корзину
+const promoUsages = [];
+const cartMerges = [];
+
+const get = loadScripts(['js/storage.js', 'js/offline.js'], {
+    window: { addEventListener: () => {}, location: { protocol: 'file:' } },
+    navigator: { onLine: true },
+    session: { token: null },
+    orderBackend: null,
+    showSuccessMessage: message => messages.push(`success:${message}`),
+    showErrorMessage: message => messages.push(`error:${message}`),
+    showInfoMessage: message => messages.push(`info:${message}`),
+    refreshRecommendations: () => {},
+    promotionEngine: { registerUsage: code => promoUsages.push(code) },
+    cart: {
+        merge: data => {
+            cartMerges.push(data);
+            return [];
+        }
+    },
+    getOrderCartItems: order => order.items
+});
+const OrderOutbox = get('OrderOutbox');
+const orderOutbox = get('orderOutbox');
+const connection = get('connection');
+const flushOrderOutbox = get('flushOrderOutbox');
+
+/**
+ * Создаёт ошибку отправки заказа
+ * @param {number|null} status - HTTP-статус или null, если нет сети
+ * @returns {Error} - Ошибка как у RestOrderBackend
+ */
+function createOrderError(status) {
+    const error = new Error(status ? `HTTP ${status}` : 'Нет сети');
+    error.status = status;
+    error.isNetworkError = !status;
+    return error;
+}
+
+/**
+ * Создаёт хранилище заказов, которое отвечает по заданному сценарию
+ * @param {Object} responses - { [номер заказа]: массив статусов ошибок по попыткам }, 0 — заказ принят
+ * @returns {Object} - Хранилище заказов с журналом вызовов calls
+ */
+function createBackend(responses = {}) {
+    const calls = [];
+
+    return {
+        calls,
+        async createOrder(order, token) {
+            calls.push({ number: order.number, token });
+
+            const status = (responses[order.number] || []).shift();
+            if (status !== undefined && status !== 0) {
+                throw createOrderError(status);
+            }
+
+            return { ...order, status: 'created' };
+        }
+    };
+}
+
+/**
+ * Очищает очередь и ставит в неё заказы
+ * @param {Array<string>} numbers - Номера заказов
+ * @param {string|null} [token] - Токен сессии
+ */
+function fillOutbox(numbers, token = null) {
+    orderOutbox.store.clear();
+    numbers.forEach(number => orderOutbox.add({ number }, token));
+}
+
+/**
+ * Получает номера заказов в очереди
+ * @returns {Array<string>} - Номера заказов
+ */
+function getQueuedNumbers() {
+    return orderOutbox.store.load().entries.map(entry => entry.order.number);
+}
+
+test('заказы отправляются по порядку и удаляются из очереди', async () => {
+    fillOutbox(['TS-1', 'TS-2']);
+    const backend = createBackend();
+
+    const result = await orderOutbox.flush(backend);
+
+    assert.deepEqual(backend.calls.map(call => call.number), ['TS-1', 'TS-2']);
+    assert.deepEqual(result.sent.map(order => order.number), ['TS-1', 'TS-2']);
+    assert.equal(result.retryError, null);
+    assert.equal(orderOutbox.getCount(), 0);
+    assert.equal(orderOutbox.isFlushing, false);
+});
+
+test('при временном сбое заказ остаётся в очереди, отправка прерывается', async () => {
+    for (const status of [null, 500, 503, 408, 429]) {
+        fillOutbox(['TS-1', 'TS-2']);
+        const backend = createBackend({ 'TS-1': [status] });
+
+        const result = await orderOutbox.flush(backend);
+
+        assert.equal(result.retryError.status, status);
+        assert.deepEqual(result.rejected, []);
+        assert.deepEqual(backend.calls.map(call => call.number), ['TS-1'], `статус ${status}`);
+        assert.deepEqual(getQueuedNumbers(), ['TS-1', 'TS-2'], `статус ${status}`);
+    }
+});
+
+test('отклонённый сервером заказ удаляется, следующие отправляются', async () => {
+    fillOutbox(['TS-1', 'TS-2']);
+    const backend = createBackend({ 'TS-1': [422] });
+
+    const result = await orderOutbox.flush(backend);
+
+    assert.deepEqual(result.rejected.map(({ order, error }) => [order.number, error.status]), [['TS-1', 422]]);
+    assert.deepEqual(result.sent.map(order => order.number), ['TS-2']);
+    assert.equal(orderOutbox.getCount(), 0);
+});
+
+test('заказ с истёкшей сессией отправляется как гостевой', async () => {
+    fillOutbox(['TS-1'], 'expired-token');
+    const backend = createBackend({ 'TS-1': [401] });
+
+    const result = await orderOutbox.flush(backend);
+
+    assert.deepEqual(backend.calls, [{ number: 'TS-1', token: 'expired-token' }, { number: 'TS-1', token: null }]);
+    assert.equal(result.sent.length, 1);
+});
+
+test('повторная отправка не начинается, пока идёт текущая', async () => {
+    const outbox = new OrderOutbox(orderOutbox.store);
+    fillOutbox(['TS-1']);
+    const backend = createBackend();
+
+    const [first, second] = await Promise.all([outbox.flush(backend), outbox.flush(backend)]);
+
+    assert.equal(first.sent.length, 1);
+    assert.deepEqual(second, { sent: [], rejected: [], retryError: null });
+    assert.equal(backend.calls.length, 1);
+});
+
+test('очередь отправляется повторно с удваивающейся задержкой до успеха', async (t) => {
+    // Сообщения об ошибках отправки ожидаемы
+    t.mock.method(console, 'error', () => {});
+    const timers = [];
+    t.mock.method(globalThis, 'setTimeout', (callback, delay) => timers.push({ callback, delay }));
+
+    /**
+     * Выполняет запланированные повторные отправки, пока они есть
+     * @returns {Promise<Array<number>>} - Задержки выполненных отправок
+     */
+    const runTimers = async () => {
+        const delays = [];
+
+        while (timers.length) {
+            const { callback, delay } = timers.shift();
+            delays.push(delay);
+            callback();
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        return delays;
+    };
+
+    fillOutbox(['TS-1']);
+    globalThis.orderBackend = createBackend({ 'TS-1': [503, 503, 503, 503, 0] });
+    messages.length = 0;
+
+    await flushOrderOutbox();
+
+    assert.deepEqual(await runTimers(), [30000, 60000, 120000, 240000]);
+    assert.equal(globalThis.orderBackend.calls.length, 5);
+    assert.deepEqual(messages, ['success:Отправлены заказы, оформленные без сети: TS-1']);
+    assert.equal(orderOutbox.getCount(), 0);
+
+    // После успешной отправки задержка начинается заново и не превышает 10 минут
+    fillOutbox(['TS-2']);
+    globalThis.orderBackend = createBackend({ 'TS-2': [500, 500, 500, 500, 500, 500, 500, 0] });
+
+    await flushOrderOutbox();
+
+    assert.deepEqual(await runTimers(), [30000, 60000, 120000, 240000, 480000, 600000, 600000]);
+    assert.equal(orderOutbox.getCount(), 0);
+});
+
+test('промокод заказа из очереди учитывается, только когда магазин принял заказ', async (t) => {
+    // Сообщение об отклонённом заказе ожидаемо
+    t.mock.method(console, 'error', () => {});
+    orderOutbox.store.clear();
+    orderOutbox.add({ number: 'TS-1', promoCode: 'WELCOME10', items: [] }, null);
+    orderOutbox.add({ number: 'TS-2', promoCode: 'LAPTOP5000', items: [] }, null);
+    globalThis.orderBackend = createBackend({ 'TS-2': [422] });
+    promoUsages.length = 0;
+
+    await flushOrderOutbox();
+
+    assert.deepEqual(promoUsages, ['WELCOME10']);
+});
+
+test('товары отклонённого заказа возвращаются в корзину', async (t) => {
+    // Сообщение об отклонённом заказе ожидаемо
+    t.mock.method(console, 'error', () => {});
+    const items = [{ id: 1, sku: 'TS-1', quantity: 2, name: 'iPhone 14 Pro' }];
+    orderOutbox.store.clear();
+    orderOutbox.add({ number: 'TS-1', promoCode: 'WELCOME10', items }, null);
+    globalThis.orderBackend = createBackend({ 'TS-1': [422] });
+    messages.length = 0;
+    cartMerges.length = 0;
+
+    await flushOrderOutbox();
+
+    assert.deepEqual(cartMerges, [{ items, promoCode: 'WELCOME10' }]);
+    assert.deepEqual(messages, [
+        'error:Магазин не принял заказ TS-1: HTTP 422. Товары заказа возвращены в корзину, оформите его заново'
+    ]);
+    assert.equal(orderOutbox.getCount(), 0);
+});
+
+test('без сети очередь не отправляется', async () => {
+    fillOutbox(['TS-1']);
+    globalThis.orderBackend = createBackend();
+    connection.update(false);
+
+    await flushOrderOutbox();
+
+    connection.update(true);
+    assert.equal(globalThis.orderBackend.calls.length, 0);
+    assert.deepEqual(getQueuedNumbers(), ['TS-1']);
+});
@@ -0,0 +1,220 @@
+// promotions.test.js
+// Тесты скидок и промокодов: расчёт по типам правил, условия акций и лимиты использований
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, TestStorage } = require('./load-scripts');
+
+const get = loadScripts(['js/storage.js', 'js/promotions.js', 'js/orders.js'], {
+    BASE_CURRENCY: 'RUB',
+    formatPrice: price => `${price} ₽`,
+    delay: () => Promise.resolve(),
+    accountApiConfig: { source: 'local' },
+    session: { backend: null }
+});
+const PromotionEngine = get('PromotionEngine');
+const PROMOTIONS = get('PROMOTIONS');
+const LocalOrderBackend = get('LocalOrderBackend');
+const OrderError = get('OrderError');
+
+// Дата до окончания срока действия всех промокодов, кроме SUMMER23
+const NOW = new Date('2026-01-01T12:00:00+03:00');
+
+const laptop = { id: 1, category: 'laptops', price: 120000, quantity: 1 };
+const phone = { id: 2, category: 'smartphones', price: 80000, quantity: 1 };
+
+/**
+ * Создаёт движок скидок со счётчиками использования в отдельном хранилище
+ * @param {Object} [entries] - Содержимое localStorage
+ * @returns {PromotionEngine} - Движок скидок
+ */
+function createEngine(entries = {}) {
+    globalThis.localStorage = new TestStorage(entries);
+    return new PromotionEngine(PROMOTIONS);
+}
+
+/**
+ * Создаёт товар-аксессуар
+ * @param {number} id - Идентификатор
+ * @param {number} price - Цена
+ * @param {number} [quantity] - Количество
+ * @returns {Object} - Товар корзины
+ */
+function accessory(id, price, quantity = 1) {
+    return { id, category: 'accessories', price, quantity };
+}
+
+test('без акций итог равен сумме товаров', () => {
+    const result = createEngine().calculate([phone], { now: NOW });
+
+    assert.deepEqual(result, { subtotal: 80000, discounts: [], discountTotal: 0, total: 80000, promoError: null });
+});
+
+test('процентная скидка ограничена максимальной суммой', () => {
+    const engine = createEngine();
+
+    assert.equal(engine.calculate([phone], { promoCode: 'welcome10', now: NOW }).discountTotal, 8000);
+    assert.equal(engine.calculate([laptop], { promoCode: 'WELCOME10', now: NOW }).discountTotal, 10000);
+});
+
+test('фиксированная скидка действует на товары категории и требует минимальной суммы', () => {
+    const engine = createEngine();
+
+    const items = [{ ...laptop, price: 60000 }, phone];
+    assert.equal(engine.calculate(items, { promoCode: 'LAPTOP5000', now: NOW }).discountTotal, 5000);
+    assert.equal(
+        engine.calculate([phone], { promoCode: 'LAPTOP5000', now: NOW }).promoError,
+        'В корзине нет товаров, на которые действует промокод'
+    );
+    assert.equal(
+        engine.calculate([{ ...laptop, price: 40000 }], { promoCode: 'LAPTOP5000', now: NOW }).promoError,
+        'Минимальная сумма заказа — 50000 ₽'
+    );
+});
+
+test('фиксированная скидка не больше суммы подходящих товаров', () => {
+    const engine = createEngine();
+    const promotion = engine.findByCode('LAPTOP5000');
+
+    assert.equal(engine.calculateDiscount(promotion, [{ ...laptop, price: 3000 }]), 3000);
+});
+
+test('«третий в подарок»: бесплатны самые дешёвые единицы в каждой группе', () => {
+    const engine = createEngine();
+
+    const mixed = engine.calculate([accessory(1, 3000), accessory(2, 1000), accessory(3, 2000)], { now: NOW });
+    assert.deepEqual(mixed.discounts.map(({ id, amount }) => ({ id, amount })), [
+        { id: 'accessories-3-for-2', amount: 1000 }
+    ]);
+
+    const units = engine.calculate([accessory(1, 5000, 4), accessory(2, 1000, 2)], { now: NOW });
+    assert.equal(units.discountTotal, 5000 + 1000);
+
+    assert.equal(engine.calculate([accessory(1, 5000, 2)], { now: NOW }).discountTotal, 0);
+});
+
+test('автоматические акции суммируются с промокодом', () => {
+    const result = createEngine().calculate([laptop, phone], { promoCode: 'WELCOME10', now: NOW });
+
+    assert.deepEqual(result.discounts.map(({ id, code, amount }) => ({ id, code, amount })), [
+        { id: 'big-order', code: null, amount: 6000 },
+        { id: 'welcome', code: 'WELCOME10', amount: 10000 }
+    ]);
+    assert.equal(result.total, 184000);
+    assert.equal(result.discounts[0].title, 'Скидка 3% на заказ от 150000 ₽');
+});
+
+test('сумма скидок не превышает стоимость товаров', () => {
+    const engine = new PromotionEngine([
+        { id: 'half', title: 'Скидка 50%', type: 'percent', value: 50 },
+        { id: 'gift', code: 'GIFT', title: 'Подарочный сертификат', type: 'fixed', value: 100000 }
+    ], createEngine().usageStore);
+
+    const result = engine.calculate([phone], { promoCode: 'GIFT', now: NOW });
+
+    assert.equal(result.discountTotal, 80000);
+    assert.equal(result.total, 0);
+    assert.deepEqual(result.discounts.map(discount => discount.amount), [40000, 40000]);
+});
+
+test('неизвестный и просроченный промокод не применяются', () => {
+    const engine = createEngine();
+
+    assert.equal(engine.calculate([phone], { promoCode: 'NOPE', now: NOW }).promoError, 'Промокод не найден');
+
+    const expired = engine.calculate([phone], { promoCode: 'SUMMER23', now: NOW });
+    assert.equal(expired.promoError, 'Срок действия промокода истёк');
+    assert.equal(expired.total, 80000);
+});
+
+test('использованный промокод с лимитом на покупателя отклоняется', () => {
+    const engine = createEngine();
+
+    engine.registerUsage(' welcome10 ');
+
+    assert.equal(engine.getUsage('WELCOME10'), 1);
+    assert.deepEqual(
+        JSON.parse(localStorage.getItem('techstore_promo_usage')),
+        { version: 1, data: { usage: { WELCOME10: 1 } } }
+    );
+    assert.equal(engine.validateCode('WELCOME10', [phone], NOW).error, 'Вы уже использовали этот промокод');
+    assert.equal(engine.validateCode('LAPTOP5000', [laptop], NOW).valid, true);
+});
+
+test('счётчики без конверта переносятся в версию 1', () => {
+    const engine = createEngine({ techstore_promo_usage: JSON.stringify({ WELCOME10: 1, LAPTOP5000: 100 }) });
+
+    assert.equal(engine.getUsage('LAPTOP5000'), 100);
+    assert.equal(engine.validateCode('WELCOME10', [phone], NOW).error, 'Вы уже использовали этот промокод');
+});
+
+test('общий лимит промокода в браузере не проверяется', () => {
+    const engine = createEngine({ techstore_promo_usage: JSON.stringify({ LAPTOP5000: 100 }) });
+
+    // Счётчик в браузере считает только свои заказы: общий лимит проверяет сервер
+    assert.equal(engine.validateCode('LAPTOP5000', [laptop], NOW).valid, true);
+});
+
+/**
+ * Создаёт локальное хранилище заказов с пустым списком заказов
+ * @param {Object|null} user - Пользователь, которому принадлежит токен
+ * @returns {LocalOrderBackend} - Хранилище заказов
+ */
+function createOrderBackend(user = null) {
+    globalThis.localStorage = new TestStorage();
+
+    return new LocalOrderBackend({
+        authBackend: { getCurrentUser: async () => user },
+        delay: 0
+    });
+}
+
+/**
+ * Создаёт заказ
+ * @param {string} number - Номер заказа
+ * @param {string} email - Email покупателя
+ * @param {string|null} promoCode - Промокод
+ * @returns {Object} - Заказ
+ */
+function createOrder(number, email, promoCode) {
+    return { number, promoCode, customer: { email }, createdAt: NOW.toISOString() };
+}
+
+test('сервер не принимает повторное использование промокода тем же покупателем', async () => {
+    const backend = createOrderBackend();
+
+    await backend.createOrder(createOrder('TS-1', 'ivan@example.com', 'WELCOME10'), null);
+
+    await assert.rejects(
+        backend.createOrder(createOrder('TS-2', 'Ivan@Example.com', 'WELCOME10'), null),
+        error => error instanceof OrderError && error.status === 422
+    );
+
+    // Другой покупатель и другой промокод принимаются
+    await backend.createOrder(createOrder('TS-3', 'anna@example.com', 'WELCOME10'), null);
+    await backend.createOrder(createOrder('TS-4', 'ivan@example.com', 'LAPTOP5000'), null);
+
+    assert.equal(backend.store.load().orders.length, 3);
+});
+
+test('сервер узнаёт покупателя по учётной записи при другом email', async () => {
+    const backend = createOrderBackend({ id: 7 });
+
+    await backend.createOrder(createOrder('TS-1', 'ivan@example.com', 'WELCOME10'), 'token');
+
+    await assert.rejects(
+        backend.createOrder(createOrder('TS-2', 'ivan.work@example.com', 'WELCOME10'), 'token'),
+        { status: 422 }
+    );
+});
+
+test('сервер проверяет общий лимит промокода, даже если счётчик в браузере сброшен', async () => {
+    const backend = createOrderBackend();
+    const orders = Array.from({ length: 100 }, (_, i) => createOrder(`TS-${i}`, `buyer${i}@example.com`, 'LAPTOP5000'));
+    backend.store.save({ orders });
+
+    await assert.rejects(
+        backend.createOrder(createOrder('TS-100', 'new@example.com', 'LAPTOP5000'), null),
+        { status: 422, message: 'Промокод больше недействителен: исчерпан лимит использований' }
+    );
+});
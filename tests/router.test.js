@@ -0,0 +1,137 @@
+// router.test.js
+// Тесты маршрутизации: разбор hash-адреса, сопоставление с шаблонами и смена маршрутов
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts(['js/router.js']);
+const Router = get('Router');
+
+/**
+ * Подменяет адрес страницы и историю браузера
+ * @param {string} hash - Начальный hash-адрес
+ */
+function setLocation(hash) {
+    const location = { pathname: '/', search: '', hash };
+    const updateHash = (state, title, url) => {
+        location.hash = url.slice(url.indexOf('#'));
+    };
+
+    globalThis.window = { location, addEventListener: () => {} };
+    globalThis.history = { state: null, pushState: updateHash, replaceState: updateHash, back: () => {} };
+}
+
+/**
+ * Создаёт роутер с журналом вызовов обработчиков
+ * @returns {Object} - { router, calls }
+ */
+function createRouter() {
+    const calls = [];
+    const router = new Router()
+        .on('/', () => {
+            calls.push('home');
+            return () => calls.push('leave home');
+        })
+        .on('/category/:category', params => {
+            calls.push(`category ${params.category}`);
+            return () => calls.push(`leave ${params.category}`);
+        })
+        .on('/product/:id/:tab', params => calls.push(`product ${params.id} ${params.tab}`))
+        .otherwise('/');
+
+    return { router, calls };
+}
+
+test('пустой адрес — корневой маршрут', () => {
+    const router = new Router();
+
+    for (const hash of ['', '#']) {
+        const parsed = router.parse(hash);
+        assert.equal(parsed.path, '/');
+        assert.equal([...parsed.query].length, 0);
+    }
+});
+
+test('адрес разбирается на путь без завершающего слэша и параметры запроса', () => {
+    const parsed = new Router().parse('#/search/?q=ipad&page=2');
+
+    assert.equal(parsed.path, '/search');
+    assert.equal(parsed.query.get('q'), 'ipad');
+    assert.equal(parsed.query.get('page'), '2');
+});
+
+test('обычные якоря не считаются маршрутами', () => {
+    assert.equal(new Router().parse('#products'), null);
+});
+
+test('параметры пути извлекаются и декодируются', () => {
+    const { router } = createRouter();
+
+    const matched = router.match('/category/%D0%BD%D0%BE%D1%83%D1%82%D0%B1%D1%83%D0%BA%D0%B8');
+    assert.equal(matched.route.pattern, '/category/:category');
+    assert.deepEqual({ ...matched.params }, { category: 'ноутбуки' });
+
+    assert.deepEqual({ ...router.match('/product/7/reviews').params }, { id: '7', tab: 'reviews' });
+});
+
+test('путь сопоставляется с шаблоном целиком', () => {
+    const { router } = createRouter();
+
+    assert.equal(router.match('/category'), null);
+    assert.equal(router.match('/category/laptops/extra'), null);
+    assert.equal(router.match('/unknown'), null);
+});
+
+test('путь с некорректной escape-последовательностью не соответствует маршруту', () => {
+    setLocation('#/category/%E0');
+    const { router, calls } = createRouter();
+
+    assert.equal(router.match('/category/%E0'), null);
+
+    router.resolve();
+
+    assert.equal(window.location.hash, '#/');
+    assert.deepEqual(calls, ['home']);
+});
+
+test('при уходе с маршрута вызывается функция, которую вернул обработчик', () => {
+    setLocation('#/category/laptops');
+    const { router, calls } = createRouter();
+
+    router.resolve();
+    router.navigate('/');
+    router.navigate('/product/7/specs');
+
+    assert.deepEqual(calls, ['category laptops', 'leave laptops', 'home', 'leave home', 'product 7 specs']);
+});
+
+test('неизвестный адрес заменяется маршрутом по умолчанию', () => {
+    setLocation('#/unknown');
+    const { router, calls } = createRouter();
+
+    router.resolve();
+
+    assert.equal(window.location.hash, '#/');
+    assert.deepEqual(calls, ['home']);
+});
+
+test('тот же адрес обрабатывается повторно только с force', () => {
+    setLocation('#/category/phones');
+    const { router, calls } = createRouter();
+
+    router.resolve();
+    router.resolve();
+    router.navigate('/category/phones');
+
+    assert.deepEqual(calls, ['category phones']);
+
+    router.resolve({ force: true });
+
+    // Перед повторным вызовом обработчика вызывается функция ухода, которую вернул предыдущий
+    assert.deepEqual(calls, ['category phones', 'leave phones', 'category phones']);
+
+    router.navigate('/');
+
+    assert.deepEqual(calls, ['category phones', 'leave phones', 'category phones', 'leave phones', 'home']);
+});
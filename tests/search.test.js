@@ -0,0 +1,90 @@
+// search.test.js
+// Тесты нечёткого поиска: фонетические ключи, расстояние правки, опечатки и ранжирование
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts(['js/search.js']);
+const SearchIndex = get('SearchIndex');
+const toSearchKey = get('toSearchKey');
+const getEditDistance = get('getEditDistance');
+const tokenizeSearchText = get('tokenizeSearchText');
+
+const PRODUCTS = [
+    { id: 1, name: 'iPhone 14 Pro', brand: 'Apple', category: 'smartphones', description: 'Смартфон с камерой 48 Мп' },
+    { id: 2, name: 'MacBook Air M2', brand: 'Apple', category: 'laptops', description: 'Лёгкий ноутбук' },
+    { id: 3, name: 'Apple Watch Series 8', brand: 'Apple', category: 'accessories', description: 'Умные часы' },
+    { id: 4, name: 'Samsung Galaxy S23', brand: 'Samsung', category: 'smartphones', description: 'Флагманский смартфон' }
+];
+
+const CATEGORY_NAMES = { smartphones: 'Смартфоны', laptops: 'Ноутбуки', accessories: 'Аксессуары' };
+
+/**
+ * Ищет товары и возвращает их ID по убыванию релевантности
+ * @param {string} query - Поисковый запрос
+ * @returns {Array<number>} - ID найденных товаров
+ */
+function search(query) {
+    const index = new SearchIndex();
+    index.build(PRODUCTS, CATEGORY_NAMES);
+
+    return index.suggest(query, PRODUCTS.length).map(({ product }) => product.id);
+}
+
+test('текст разбивается на слова в нижнем регистре, ё заменяется на е', () => {
+    assert.deepEqual(tokenizeSearchText('Лёгкий  MacBook-Air, M2!'), ['легкий', 'macbook', 'air', 'm2']);
+    assert.deepEqual(tokenizeSearchText(null), []);
+});
+
+test('латинское и русское написание сводятся к одному ключу', () => {
+    assert.equal(toSearchKey('macbook'), toSearchKey('макбук'));
+    assert.equal(toSearchKey('phone'), toSearchKey('фон'));
+    assert.equal(toSearchKey('galaxy'), toSearchKey('галакси'));
+    assert.equal(toSearchKey('watch'), 'vatch');
+});
+
+test('расстояние правки учитывает перестановку соседних символов', () => {
+    assert.equal(getEditDistance('', 'abc'), 3);
+    assert.equal(getEditDistance('abc', 'abc'), 0);
+    assert.equal(getEditDistance('kitten', 'sitting'), 3);
+    assert.equal(getEditDistance('makbuk', 'mkabuk'), 1);
+});
+
+test('поиск по транслитерации и синонимам', () => {
+    assert.deepEqual(search('макбук'), [2]);
+    assert.deepEqual(search('самсунг галакси'), [4]);
+    assert.deepEqual(search('эпл вотч'), [3]);
+});
+
+test('опечатки допускаются в зависимости от длины слова', () => {
+    assert.deepEqual(search('samsnug'), [4]);
+    assert.deepEqual(search('macbok air'), [2]);
+    // В коротких словах опечатки не допускаются
+    assert.deepEqual(search('pra'), []);
+});
+
+test('последнее слово запроса ищется как начало слова', () => {
+    assert.deepEqual(search('galax'), [4]);
+    assert.deepEqual(search('iphone pr'), [1]);
+});
+
+test('товар найден, только если совпали все слова запроса', () => {
+    assert.deepEqual(search('apple ноутбук'), [2]);
+    assert.deepEqual(search('samsung ноутбук'), []);
+    assert.deepEqual(search('   '), []);
+});
+
+test('совпадение в названии важнее совпадения в описании', () => {
+    const index = new SearchIndex();
+    index.build([
+        { id: 1, name: 'Чехол', brand: 'Apple', category: 'accessories', description: 'Подходит для iPhone' },
+        { id: 2, name: 'iPhone 15', brand: 'Apple', category: 'smartphones', description: 'Смартфон' }
+    ], CATEGORY_NAMES);
+
+    const [first, second] = index.suggest('айфон');
+
+    assert.equal(first.product.id, 2);
+    assert.ok(first.score > second.score);
+    assert.ok(first.matchedWords.has('iphone'));
+});
@@ -0,0 +1,194 @@
+// storage.test.js
+// Тесты версионированного хранилища: конверт с версией, цепочка миграций, сброс повреждённых данных и списки ID товаров
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, TestStorage } = require('./load-scripts');
+
+const get = loadScripts(['js/storage.js']);
+const VersionedStore = get('VersionedStore');
+const IdListStore = get('IdListStore');
+const validateIdListData = get('validateIdListData');
+
+/**
+ * Создаёт хранилище списка заметок версии 2
+ * @param {TestStorage} storage - Хранилище
+ * @returns {VersionedStore} - Хранилище заметок
+ */
+function createNotesStore(storage) {
+    return new VersionedStore('notes', {
+        version: 2,
+        migrations: {
+            // Версия 0: массив строк без конверта
+            0: notes => ({ notes: notes.map(text => ({ text })) }),
+            // Версия 1: заметки без отметки о выполнении
+            1: data => ({ notes: data.notes.map(note => ({ ...note, done: false })) })
+        },
+        validate: data => Boolean(data) && Array.isArray(data.notes),
+        defaultValue: () => ({ notes: [] }),
+        storage
+    });
+}
+
+test('возвращает значение по умолчанию, если данных нет', () => {
+    const store = createNotesStore(new TestStorage());
+
+    assert.deepEqual(store.load(), { notes: [] });
+});
+
+test('сохраняет данные в конверте с номером версии', () => {
+    const storage = new TestStorage();
+    const store = createNotesStore(storage);
+
+    store.save({ notes: [{ text: 'купить', done: true }] });
+
+    assert.deepEqual(JSON.parse(storage.getItem('notes')), {
+        version: 2,
+        data: { notes: [{ text: 'купить', done: true }] }
+    });
+    assert.deepEqual(store.load(), { notes: [{ text: 'купить', done: true }] });
+});
+
+test('данные без конверта проходят все миграции с версии 0 и сохраняются', () => {
+    const storage = new TestStorage({ notes: JSON.stringify(['купить', 'позвонить']) });
+    const store = createNotesStore(storage);
+
+    const expected = { notes: [{ text: 'купить', done: false }, { text: 'позвонить', done: false }] };
+
+    assert.deepEqual(store.load(), expected);
+    assert.deepEqual(JSON.parse(storage.getItem('notes')), { version: 2, data: expected });
+});
+
+test('миграции выполняются с сохранённой версии', () => {
+    const storage = new TestStorage({
+        notes: JSON.stringify({ version: 1, data: { notes: [{ text: 'купить' }] } })
+    });
+
+    assert.deepEqual(createNotesStore(storage).load(), { notes: [{ text: 'купить', done: false }] });
+});
+
+test('миграция получает хранилище и может перенести данные из другого ключа', () => {
+    const storage = new TestStorage({ list: JSON.stringify(['купить']), title: 'Дела' });
+    const store = new VersionedStore('list', {
+        version: 1,
+        migrations: {
+            0: (items, migrationStorage) => {
+                const title = migrationStorage.getItem('title');
+                migrationStorage.removeItem('title');
+                return { items, title };
+            }
+        },
+        validate: data => Array.isArray(data.items),
+        defaultValue: () => ({ items: [], title: null }),
+        storage
+    });
+
+    assert.deepEqual(store.load(), { items: ['купить'], title: 'Дела' });
+    assert.equal(storage.getItem('title'), null);
+});
+
+test('сбрасывает данные версии новее поддерживаемой', (t) => {
+    // Сообщение о сброшенных данных ожидаемо
+    t.mock.method(console, 'error', () => {});
+    const storage = new TestStorage({ notes: JSON.stringify({ version: 3, data: { notes: [] } }) });
+
+    assert.deepEqual(createNotesStore(storage).load(), { notes: [] });
+    assert.equal(storage.getItem('notes'), null);
+});
+
+test('сбрасывает данные без нужной миграции', (t) => {
+    // Сообщение о сброшенных данных ожидаемо
+    t.mock.method(console, 'error', () => {});
+    const storage = new TestStorage({ list: JSON.stringify({ version: 0, data: [] }) });
+    const store = new VersionedStore('list', {
+        version: 2,
+        migrations: { 1: data => data },
+        validate: () => true,
+        defaultValue: () => null,
+        storage
+    });
+
+    assert.equal(store.load(), null);
+    assert.equal(storage.getItem('list'), null);
+});
+
+test('сбрасывает повреждённые и не прошедшие проверку данные', (t) => {
+    // Сообщение о сброшенных данных ожидаемо
+    t.mock.method(console, 'error', () => {});
+    const storage = new TestStorage({ notes: '{не json' });
+
+    assert.deepEqual(createNotesStore(storage).load(), { notes: [] });
+    assert.equal(storage.getItem('notes'), null);
+
+    storage.setItem('notes', JSON.stringify({ version: 2, data: { notes: 'купить' } }));
+
+    assert.deepEqual(createNotesStore(storage).load(), { notes: [] });
+    assert.equal(storage.getItem('notes'), null);
+});
+
+/**
+ * Создаёт хранилище списка ID товаров
+ * @param {TestStorage} storage - Хранилище
+ * @returns {VersionedStore} - Хранилище списка
+ */
+function createIdListStore(storage) {
+    return new VersionedStore('ids', {
+        version: 1,
+        validate: validateIdListData,
+        defaultValue: () => ({ ids: [] }),
+        storage
+    });
+}
+
+test('список ID загружается, сохраняется и оповещает подписчиков', () => {
+    const storage = new TestStorage({ ids: JSON.stringify({ version: 1, data: { ids: [3, 1] } }) });
+    const list = new IdListStore(createIdListStore(storage));
+    const notified = [];
+    list.subscribe(changed => notified.push([...changed.ids]));
+
+    assert.equal(list.has(3), true);
+    assert.equal(list.getCount(), 2);
+
+    list.ids = [2, ...list.ids];
+    list.save();
+
+    assert.deepEqual(notified, [[2, 3, 1]]);
+    assert.deepEqual(JSON.parse(storage.getItem('ids')), { version: 1, data: { ids: [2, 3, 1] } });
+});
+
+test('товары списка берутся из каталога в порядке списка, снятые с продажи пропускаются', () => {
+    const storage = new TestStorage({ ids: JSON.stringify({ version: 1, data: { ids: [3, 9, 1] } }) });
+    const list = new IdListStore(createIdListStore(storage));
+
+    const products = [{ id: 1, name: 'iPhone' }, { id: 3, name: 'AirPods' }];
+
+    assert.deepEqual(list.getProducts(products).map(product => product.name), ['AirPods', 'iPhone']);
+});
+
+test('список ID с некорректными значениями сбрасывается', (t) => {
+    // Сообщение о сброшенных данных ожидаемо
+    t.mock.method(console, 'error', () => {});
+    const storage = new TestStorage({ ids: JSON.stringify({ version: 1, data: { ids: [1, '2', 0] } }) });
+
+    assert.deepEqual(new IdListStore(createIdListStore(storage)).ids, []);
+});
+
+test('список ID обновляется при изменении в другой вкладке', (t) => {
+    const storageListeners = new Set();
+    globalThis.window = {
+        addEventListener: (type, listener) => storageListeners.add(listener),
+        removeEventListener: (type, listener) => storageListeners.delete(listener)
+    };
+    t.after(() => delete globalThis.window);
+
+    const storage = new TestStorage();
+    const list = new IdListStore(createIdListStore(storage));
+    const notified = [];
+    list.subscribe(() => notified.push([...list.ids]));
+
+    createIdListStore(storage).save({ ids: [5] });
+    storageListeners.forEach(listener => listener({ storageArea: storage, key: 'ids' }));
+
+    assert.deepEqual(list.ids, [5]);
+    assert.deepEqual(notified, [[5]]);
+});
@@ -0,0 +1,35 @@
+// sw.test.js
+// Тесты service worker: версия кэша оболочки соответствует её файлам
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { readServiceWorker, computeShellVersion } = require('../scripts/update-shell-version');
+
+const { files, version } = readServiceWorker(fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8'));
+
+test('версия кэша в sw.js записана для текущих файлов оболочки', () => {
+    // Иначе браузеры пользователей не узнают о новой версии и продолжат отдавать старые файлы из кэша
+    assert.equal(version, computeShellVersion(files), 'запустите node scripts/update-shell-version.js');
+});
+
+test('файлы оболочки существуют и подключены на странице', () => {
+    const page = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const scripts = [...page.matchAll(/<script src="([^"]+)"/g)].map(match => match[1]);
+
+    scripts.forEach(script => assert.ok(files.includes(script), `${script} нет в SHELL_FILES`));
+    files.filter(file => file !== './').forEach(file => {
+        assert.ok(fs.existsSync(path.join(__dirname, '..', file)), file);
+    });
+});
+
+test('версия меняется при изменении файла оболочки', (t) => {
+    const readFileSync = fs.readFileSync;
+    t.mock.method(fs, 'readFileSync', (file, encoding) => {
+        const content = readFileSync(file, encoding);
+        return file.endsWith('main.js') ? `${content}\n// изменение` : content;
+    });
+
+    assert.notEqual(computeShellVersion(files), version);
+});
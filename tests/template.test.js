@@ -0,0 +1,200 @@
+// template.test.js
+// Тесты безопасного рендеринга: экранирование подстановок, проверка адресов и обновление списков по ключу
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+// Минимальная модель DOM: узлы списка, вставка и удаление, элемент template
+class FakeNode {
+    constructor(nodeType) {
+        this.nodeType = nodeType;
+        this.parentNode = null;
+    }
+
+    remove() {
+        if (this.parentNode) {
+            const siblings = this.parentNode.childNodes;
+            siblings.splice(siblings.indexOf(this), 1);
+            this.parentNode = null;
+        }
+    }
+}
+
+class FakeElement extends FakeNode {
+    /**
+     * @param {string} [markup] - Разметка, из которой создан элемент
+     */
+    constructor(markup = '') {
+        super(1);
+        this.markup = markup;
+        this.attributes = new Map();
+        this.childNodes = [];
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    appendChild(node) {
+        return this.insertBefore(node, null);
+    }
+
+    insertBefore(node, reference) {
+        node.remove();
+        node.parentNode = this;
+
+        const index = reference ? this.childNodes.indexOf(reference) : -1;
+        this.childNodes.splice(index === -1 ? this.childNodes.length : index, 0, node);
+        return node;
+    }
+}
+
+const get = loadScripts(['js/template.js'], {
+    Node: { ELEMENT_NODE: 1 },
+    document: {
+        // Элемент template: innerHTML создаёт один корневой элемент с этой разметкой
+        createElement: () => ({
+            set innerHTML(markup) {
+                this.content = { firstElementChild: new FakeElement(markup) };
+            }
+        })
+    }
+});
+const html = get('html');
+const SafeHtml = get('SafeHtml');
+const sanitizeUrl = get('sanitizeUrl');
+const renderTemplate = get('renderTemplate');
+const renderKeyedList = get('renderKeyedList');
+
+test('подстановки экранируются в тексте и атрибутах', () => {
+    const value = `<img onerror="x">'\`&`;
+
+    assert.equal(
+        html`<p title="${value}">${value}</p>`.markup,
+        '<p title="&lt;img onerror=&quot;x&quot;&gt;&#39;&#96;&amp;">&lt;img onerror=&quot;x&quot;&gt;&#39;&#96;&amp;</p>'
+    );
+});
+
+test('null и undefined не выводятся, числа выводятся', () => {
+    assert.equal(html`<span>${null}${undefined}${0}</span>`.markup, '<span>0</span>');
+});
+
+test('вложенные шаблоны и массивы шаблонов не экранируются повторно', () => {
+    const item = name => html`<li>${name}</li>`;
+    const list = html`<ul>${['<a>', 'b&c'].map(item)}</ul>`;
+
+    assert.ok(list instanceof SafeHtml);
+    assert.equal(list.markup, '<ul><li>&lt;a&gt;</li><li>b&amp;c</li></ul>');
+    assert.equal(html`<div>${list}</div>`.markup, '<div><ul><li>&lt;a&gt;</li><li>b&amp;c</li></ul></div>');
+});
+
+test('строка с разметкой экранируется, даже если похожа на шаблон', () => {
+    assert.equal(html`<div>${'<b>жирный</b>'}</div>`.markup, '<div>&lt;b&gt;жирный&lt;/b&gt;</div>');
+});
+
+test('опасные схемы адресов блокируются', () => {
+    [
+        'javascript:alert(1)',
+        ' JavaScript:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        '\u0001javascript:alert(1)',
+        'vbscript:msgbox(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'data:image/svg+xml,<svg onload="alert(1)">'
+    ].forEach(url => {
+        assert.equal(sanitizeUrl(url), 'about:invalid', JSON.stringify(url));
+    });
+});
+
+test('относительные адреса, http(s), mailto, tel и растровые data-изображения разрешены', () => {
+    [
+        'images/iphone.jpg',
+        '/images/iphone.jpg',
+        '#/product/1',
+        'https://example.com/a.png',
+        'http://example.com/',
+        'mailto:shop@example.com',
+        'tel:+79123456789',
+        'data:image/png;base64,iVBORw0KGgo=',
+        'data:image/jpeg;base64,/9j/4AAQ'
+    ].forEach(url => {
+        assert.equal(sanitizeUrl(url), url);
+    });
+});
+
+test('адрес в src и href проверяется и экранируется', () => {
+    assert.equal(html`<a href="${'javascript:alert(1)'}">x</a>`.markup, '<a href="about:invalid">x</a>');
+    assert.equal(
+        html`<img src="${'images/a.jpg?w=1&h=2'}" alt="${'javascript:x'}">`.markup,
+        '<img src="images/a.jpg?w=1&amp;h=2" alt="javascript:x">'
+    );
+});
+
+test('в разметку вставляется только результат шаблона html', () => {
+    const container = new FakeElement();
+
+    assert.throws(() => renderTemplate(container, '<p>текст</p>'), TypeError);
+
+    renderTemplate(container, html`<p>${'<текст>'}</p>`);
+    assert.equal(container.innerHTML, '<p>&lt;текст&gt;</p>');
+});
+
+/**
+ * Рендерит список товаров по ID
+ * @param {FakeElement} container - Контейнер
+ * @param {Array} products - Товары { id, name }
+ */
+function renderProducts(container, products) {
+    renderKeyedList(container, products, {
+        key: product => product.id,
+        render: product => html`<li>${product.name}</li>`
+    });
+}
+
+test('список по ключам: неизменившиеся элементы сохраняются, изменившиеся пересоздаются', () => {
+    const container = new FakeElement();
+    container.appendChild(new FakeNode(3));
+    container.appendChild(new FakeElement('<p>Загрузка...</p>'));
+
+    renderProducts(container, [{ id: 1, name: 'iPhone' }, { id: 2, name: 'iPad' }]);
+
+    const [iphone, ipad] = container.children;
+    assert.equal(container.childNodes.length, 2, 'содержимое без ключа удалено');
+    assert.deepEqual(container.children.map(element => element.getAttribute('data-key')), ['1', '2']);
+    assert.equal(iphone.markup, '<li>iPhone</li>');
+
+    renderProducts(container, [{ id: 1, name: 'iPhone' }, { id: 2, name: 'iPad Air' }]);
+
+    assert.equal(container.children[0], iphone);
+    assert.notEqual(container.children[1], ipad);
+    assert.equal(container.children[1].markup, '<li>iPad Air</li>');
+});
+
+test('список по ключам: элементы переставляются и удаляются', () => {
+    const container = new FakeElement();
+    renderProducts(container, [{ id: 1, name: 'iPhone' }, { id: 2, name: 'iPad' }, { id: 3, name: 'Mac' }]);
+    const [iphone, , mac] = container.children;
+
+    renderProducts(container, [{ id: 3, name: 'Mac' }, { id: 1, name: 'iPhone' }]);
+
+    assert.deepEqual(container.children, [mac, iphone]);
+    assert.equal(container.childNodes.length, 2);
+
+    renderProducts(container, []);
+
+    assert.equal(container.childNodes.length, 0);
+});